@@ -79,7 +79,7 @@ async function example2_SendTextMessage() {
     console.log('\n=== דוגמה 2: שליחת הודעת טקסט ===');
     
     try {
-        const phoneNumber = '0501234567'; // החלף במספר אמיתי
+        const phoneNumber = '0502345678'; // החלף במספר אמיתי
         const message = 'שלום! זוהי הודעת בדיקה מ-API של וואטסאפ 📱';
         
         const result = await apiRequest('POST', '/send', {
@@ -110,10 +110,10 @@ async function example3_CheckNumbers() {
     
     try {
         const phoneNumbers = [
-            '0501234567',
-            '0521234567', 
-            '0531234567',
-            '0541234567'
+            '0502345678',
+            '0522345678', 
+            '0532345678',
+            '0542345678'
         ];
         
         console.log('בדיקת רישום מספרים בוואטסאפ:');
@@ -197,9 +197,9 @@ async function example5_BulkMessaging() {
     
     try {
         const contacts = [
-            { phone: '0501234567', name: 'יוסי' },
-            { phone: '0521234567', name: 'שרה' },
-            { phone: '0531234567', name: 'דוד' }
+            { phone: '0502345678', name: 'יוסי' },
+            { phone: '0522345678', name: 'שרה' },
+            { phone: '0532345678', name: 'דוד' }
         ];
 
         console.log(`📤 שולח הודעות ל-${contacts.length} אנשי קשר...`);
@@ -10,20 +10,70 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const fs = require('fs');
-const db = require('./src/db/whatsapp.db.js'); // Import the database connection
 
 // Import our modules
-const WhatsAppService = require('./src/whatsappService');
-const MessageHandler = require('./src/messageHandler');
+const SessionManager = require('./src/sessionManager');
+const OutboxQueue = require('./src/outboxQueue');
+const MessageScheduler = require('./src/messageScheduler');
+const RecurringScheduler = require('./src/recurringScheduler');
+const FlowTimeoutMonitor = require('./src/flowTimeoutMonitor');
+const WebhookService = require('./src/webhookService');
+const EventStream = require('./src/eventStream');
+const { getDeliveryStatus, getMessagePosition, listMessages } = require('./src/messageStore');
+const { getUnconfirmedSend, listUnconfirmedSends } = require('./src/unconfirmedSends');
+const { searchMessages } = require('./src/messageSearch');
+const { MATCH_MODES, parseTrigger } = require('./src/autoResponderStore');
+const { getContactFields, setContactFields, deleteContactField } = require('./src/contactFields');
+const { RUN_STATUSES } = require('./src/flowStore');
+const { GROUP_EVENTS, listGroupEvents } = require('./src/groupEventStore');
+const { claimMessages, ackMessage, nackMessage, markProcessed } = require('./src/messageInbox');
 const logger = require('./src/utils/logger');
-const { validateSendMessageParams, sanitizeInput } = require('./src/utils/validator');
+const {
+    validateSendMessageParams,
+    validateScheduleTime,
+    validateScheduledMessageParams,
+    validateRecurringMessageParams,
+    validateWebhookParams,
+    validateSecretRotationParams,
+    validateDeliveryReplayParams,
+    validateEventStreamParams,
+    validateInboxClaimParams,
+    validateInboxLeaseParams,
+    validateMessageListParams,
+    validateGroupEventListParams,
+    validateMessageSearchParams,
+    validateAutoResponderParams,
+    responderActionNeedsResponse,
+    validateResponderGroupParams,
+    validateContactFieldsParams,
+    validateFlowParams,
+    validatePhoneNormalizeParams,
+    isGroupId,
+    validateGroupCreateParams,
+    validateGroupParticipantsParams,
+    validateGroupInfoParams,
+    validateGroupSettingsParams,
+    validateGroupPictureParams,
+    formatPhoneNumber,
+    sanitizeInput
+} = require('./src/utils/validator');
+const { parseDateTime } = require('./src/utils/time');
+const { decodeCursor } = require('./src/utils/cursor');
+const { DEFAULT_PHONE_REGION, resolveRegion, parsePhoneNumber } = require('./src/utils/phone');
 
 class WhatsAppAPIServer {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
-        this.whatsappService = null;
-        this.messageHandler = null;
+        this.sessionManager = new SessionManager({
+            onSessionCreated: (session) => this.setupDefaultAutoResponders(session.messageHandler)
+        });
+        this.outbox = new OutboxQueue(this.sessionManager);
+        this.scheduler = new MessageScheduler(this.sessionManager);
+        this.recurringScheduler = new RecurringScheduler(this.sessionManager);
+        this.flowTimeoutMonitor = new FlowTimeoutMonitor(this.sessionManager);
+        this.webhookService = new WebhookService(this.sessionManager);
+        this.eventStream = new EventStream(this.sessionManager, this.outbox);
         this.server = null;
         
         this.setupMiddleware();
@@ -66,22 +116,16 @@ class WhatsAppAPIServer {
     }
 
     authenticateRequest(req, res, next) {
-        // Skip auth for health check and public endpoints
+        // Skip auth for health check and public endpoints (also under /sessions/:sessionId)
         const publicEndpoints = ['/health', '/qr', '/status', '/docs', '/api-spec'];
-        if (publicEndpoints.includes(req.path)) {
+        const endpointPath = req.path.replace(/^\/sessions\/[^/]+(?=\/)/, '');
+        if (publicEndpoints.includes(endpointPath)) {
             return next();
         }
 
         const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-        const expectedApiKey = process.env.API_KEY;
-
-        // If no API key is configured, skip authentication
-        if (!expectedApiKey || expectedApiKey === 'your-secure-api-key-change-this-in-production') {
-            logger.warn('API key not configured - authentication disabled');
-            return next();
-        }
 
-        if (!apiKey || apiKey !== expectedApiKey) {
+        if (!this.isValidApiKey(apiKey)) {
             return res.status(401).json({
                 success: false,
                 error: 'Invalid or missing API key',
@@ -94,6 +138,45 @@ class WhatsAppAPIServer {
         next();
     }
 
+    // Shared by the HTTP middleware and WebSocket upgrades
+    isValidApiKey(apiKey) {
+        const expectedApiKey = process.env.API_KEY;
+
+        // If no API key is configured, skip authentication
+        if (!expectedApiKey || expectedApiKey === 'your-secure-api-key-change-this-in-production') {
+            logger.warn('API key not configured - authentication disabled');
+            return true;
+        }
+
+        return !!apiKey && apiKey === expectedApiKey;
+    }
+
+    // WebSocket event stream at /api/ws (same API key and filters as GET /api/events)
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+
+        const reject = (statusCode, statusText) => {
+            socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+        };
+
+        if (url.pathname !== '/api/ws') {
+            return reject(404, 'Not Found');
+        }
+
+        if (!this.isValidApiKey(req.headers['x-api-key'] || query.apiKey)) {
+            return reject(401, 'Unauthorized');
+        }
+
+        const validation = validateEventStreamParams(query, { allowedEvents: EventStream.STREAM_EVENTS });
+        if (!validation.isValid) {
+            return reject(400, 'Bad Request');
+        }
+
+        this.eventStream.handleUpgrade(req, socket, head, this.eventStream.parseFilter(query));
+    }
+
     setupRoutes() {
         // Root endpoint with API documentation
         this.app.get('/', this.getAPIDocumentation.bind(this));
@@ -105,35 +188,165 @@ class WhatsAppAPIServer {
         // Health check endpoint
         this.app.get('/api/health', this.getHealth.bind(this));
 
+        // Session management endpoints
+        this.app.get('/api/sessions', this.listSessions.bind(this));
+        this.app.post('/api/sessions', this.createSession.bind(this));
+        this.app.get('/api/sessions/:sessionId', this.getSessionInfo.bind(this));
+        this.app.delete('/api/sessions/:sessionId', this.deleteSession.bind(this));
+        this.app.post('/api/sessions/:sessionId/start', this.startSession.bind(this));
+        this.app.post('/api/sessions/:sessionId/stop', this.stopSession.bind(this));
+
+        // Real-time event stream (Server-Sent Events; WebSocket clients connect to /api/ws)
+        this.app.get('/api/events', this.streamEvents.bind(this));
+
+        // Webhook subscription endpoints (shared by all sessions, filterable by sessionIds)
+        this.app.post('/api/webhooks', this.createWebhook.bind(this));
+        this.app.get('/api/webhooks', this.getWebhooks.bind(this));
+        this.app.get('/api/webhooks/deliveries', this.getWebhookDeliveries.bind(this));
+        this.app.post('/api/webhooks/deliveries/replay', this.replayWebhookDeliveries.bind(this));
+        this.app.get('/api/webhooks/deliveries/:id', this.getWebhookDelivery.bind(this));
+        this.app.post('/api/webhooks/deliveries/:id/replay', this.replayWebhookDelivery.bind(this));
+        this.app.post('/api/webhooks/:id/rotate-secret', this.rotateWebhookSecret.bind(this));
+        this.app.get('/api/webhooks/:id', this.getWebhook.bind(this));
+        this.app.put('/api/webhooks/:id', this.updateWebhook.bind(this));
+        this.app.delete('/api/webhooks/:id', this.deleteWebhook.bind(this));
+
+        // Phone number parsing (no WhatsApp session involved)
+        this.app.post('/api/phone/normalize', this.normalizePhoneNumbers.bind(this));
+
+        // Per-session endpoints, served under /api/sessions/:sessionId and aliased under /api for the default session
+        const sessionRouter = express.Router({ mergeParams: true });
+
         // WhatsApp connection endpoints
-        this.app.get('/api/qr', this.getQRCode.bind(this));
-        this.app.get('/api/status', this.getStatus.bind(this));
-        this.app.post('/api/connect', this.connect.bind(this));
-        this.app.post('/api/disconnect', this.disconnect.bind(this));
+        sessionRouter.get('/qr', this.getQRCode.bind(this));
+        sessionRouter.get('/status', this.getStatus.bind(this));
+        sessionRouter.post('/connect', this.connect.bind(this));
+        sessionRouter.post('/disconnect', this.disconnect.bind(this));
 
         // Message endpoints
-        this.app.post('/api/send', this.sendMessage.bind(this));
-        this.app.post('/api/send-to-chat', this.sendToChat.bind(this));
-        this.app.post('/api/send-media', this.sendMediaMessage.bind(this));
-        this.app.get('/api/messages', this.getMessages.bind(this));
-        this.app.get('/api/messages/stats', this.getMessageStats.bind(this));
-        this.app.get('/api/messages/unprocessed', this.getUnprocessedMessages.bind(this));
-        this.app.post('/api/messages/reply', this.replyToMessage.bind(this));
+        sessionRouter.post('/send', this.sendMessage.bind(this));
+        sessionRouter.post('/send-to-chat', this.sendToChat.bind(this));
+        sessionRouter.post('/send-media', this.sendMediaMessage.bind(this));
+        sessionRouter.get('/messages', this.getMessages.bind(this));
+        sessionRouter.get('/messages/stats', this.getMessageStats.bind(this));
+        sessionRouter.get('/messages/unprocessed', this.getUnprocessedMessages.bind(this));
+        sessionRouter.get('/messages/search', this.searchMessages.bind(this));
+        sessionRouter.post('/messages/reply', this.replyToMessage.bind(this));
+        sessionRouter.post('/messages/claim', this.claimMessages.bind(this));
+        sessionRouter.get('/messages/unconfirmed', this.getUnconfirmedSends.bind(this));
+        sessionRouter.get('/messages/unconfirmed/:id', this.getUnconfirmedSend.bind(this));
+        sessionRouter.get('/messages/:id/status', this.getMessageStatus.bind(this));
+        sessionRouter.post('/messages/:id/ack', this.ackMessage.bind(this));
+        sessionRouter.post('/messages/:id/nack', this.nackMessage.bind(this));
+        sessionRouter.post('/messages/:id/processed', this.markMessageProcessed.bind(this));
+        // Outbound queue endpoints
+        sessionRouter.get('/outbox', this.getOutbox.bind(this));
+        sessionRouter.get('/outbox/:id', this.getOutboxJob.bind(this));
+        // Scheduled message endpoints
+        sessionRouter.post('/scheduled-messages', this.createScheduledMessage.bind(this));
+        sessionRouter.get('/scheduled-messages', this.getScheduledMessages.bind(this));
+        sessionRouter.get('/scheduled-messages/:id', this.getScheduledMessage.bind(this));
+        sessionRouter.put('/scheduled-messages/:id', this.rescheduleMessage.bind(this));
+        sessionRouter.delete('/scheduled-messages/:id', this.cancelScheduledMessage.bind(this));
+        // Recurring message endpoints
+        sessionRouter.post('/recurring-messages', this.createRecurringMessage.bind(this));
+        sessionRouter.get('/recurring-messages', this.getRecurringMessages.bind(this));
+        sessionRouter.get('/recurring-messages/:id', this.getRecurringMessage.bind(this));
+        sessionRouter.put('/recurring-messages/:id', this.updateRecurringMessage.bind(this));
+        sessionRouter.delete('/recurring-messages/:id', this.cancelRecurringMessage.bind(this));
+        sessionRouter.post('/recurring-messages/:id/pause', this.pauseRecurringMessage.bind(this));
+        sessionRouter.post('/recurring-messages/:id/resume', this.resumeRecurringMessage.bind(this));
+        sessionRouter.get('/recurring-messages/:id/runs', this.getRecurringMessageRuns.bind(this));
         // Chat endpoints
-        this.app.get('/api/chats', this.getChats.bind(this));
-        this.app.get('/api/chats/:chatId/info', this.getChatInfo.bind(this));
-        this.app.get('/api/chats/:chatId/messages', this.getChatMessages.bind(this));
+        sessionRouter.get('/chats', this.getChats.bind(this));
+        sessionRouter.get('/chats/:chatId/info', this.getChatInfo.bind(this));
+        sessionRouter.get('/chats/:chatId/messages', this.getChatMessages.bind(this));
+
+        // Group management
+        sessionRouter.post('/groups', this.createGroup.bind(this));
+        sessionRouter.get('/groups/:groupId', this.getGroup.bind(this));
+        sessionRouter.put('/groups/:groupId', this.updateGroupInfo.bind(this));
+        sessionRouter.get('/groups/:groupId/participants', this.getGroupParticipants.bind(this));
+        sessionRouter.post('/groups/:groupId/participants/:action(add|remove|promote|demote)', this.manageGroupParticipants.bind(this));
+        sessionRouter.put('/groups/:groupId/picture', this.setGroupPicture.bind(this));
+        sessionRouter.delete('/groups/:groupId/picture', this.deleteGroupPicture.bind(this));
+        sessionRouter.put('/groups/:groupId/settings', this.updateGroupSettings.bind(this));
+        sessionRouter.post('/groups/:groupId/leave', this.leaveGroup.bind(this));
+        sessionRouter.get('/groups/:groupId/invite', this.getGroupInviteLink.bind(this));
+        sessionRouter.post('/groups/:groupId/invite/revoke', this.revokeGroupInviteLink.bind(this));
+        sessionRouter.get('/groups/:groupId/events', this.getGroupEvents.bind(this));
+        sessionRouter.get('/group-events', this.getGroupEvents.bind(this));
 
         // Auto-responder endpoints
-        this.app.post('/api/auto-responders', this.addAutoResponder.bind(this));
-        this.app.get('/api/auto-responders', this.getAutoResponders.bind(this));
-        this.app.delete('/api/auto-responders/:id', this.removeAutoResponder.bind(this));
-        this.app.put('/api/auto-responders/:id/toggle', this.toggleAutoResponder.bind(this));
+        sessionRouter.post('/auto-responders', this.addAutoResponder.bind(this));
+        sessionRouter.get('/auto-responders', this.getAutoResponders.bind(this));
+        sessionRouter.get('/auto-responders/settings', this.getAutoResponderSettings.bind(this));
+        sessionRouter.put('/auto-responders/settings', this.updateAutoResponderSettings.bind(this));
+        sessionRouter.get('/auto-responders/groups', this.getAutoResponderGroups.bind(this));
+        sessionRouter.put('/auto-responders/groups/:groupId', this.setAutoResponderGroup.bind(this));
+        sessionRouter.delete('/auto-responders/groups/:groupId', this.removeAutoResponderGroup.bind(this));
+        sessionRouter.get('/auto-responders/:id', this.getAutoResponder.bind(this));
+        sessionRouter.put('/auto-responders/:id', this.updateAutoResponder.bind(this));
+        sessionRouter.delete('/auto-responders/:id', this.removeAutoResponder.bind(this));
+        sessionRouter.put('/auto-responders/:id/toggle', this.toggleAutoResponder.bind(this));
+
+        // Custom contact fields for reply templates
+        sessionRouter.get('/contacts/:contactId/fields', this.getContactFields.bind(this));
+        sessionRouter.put('/contacts/:contactId/fields', this.updateContactFields.bind(this));
+        sessionRouter.delete('/contacts/:contactId/fields/:field', this.deleteContactField.bind(this));
+
+        // Conversational flows
+        sessionRouter.post('/flows', this.createFlow.bind(this));
+        sessionRouter.get('/flows', this.getFlows.bind(this));
+        sessionRouter.get('/flows/:id', this.getFlow.bind(this));
+        sessionRouter.put('/flows/:id', this.updateFlow.bind(this));
+        sessionRouter.delete('/flows/:id', this.removeFlow.bind(this));
+        sessionRouter.post('/flows/:id/start', this.startFlow.bind(this));
+        sessionRouter.get('/flows/:id/runs', this.getFlowRuns.bind(this));
+        sessionRouter.delete('/flows/:id/runs/:runId', this.cancelFlowRun.bind(this));
 
         // Utility endpoints
-        this.app.post('/api/check-number', this.checkNumber.bind(this));
-        this.app.get('/api/client-info', this.getClientInfo.bind(this));
-        this.app.post('/api/webhook', this.handleWebhook.bind(this));
+
+        sessionRouter.post('/check-number', this.checkNumber.bind(this));
+        sessionRouter.get('/client-info', this.getClientInfo.bind(this));
+        sessionRouter.post('/webhook', this.handleWebhook.bind(this));
+
+        this.app.use('/api/sessions/:sessionId', this.requireSession.bind(this), sessionRouter);
+        this.app.use('/api', sessionRouter);
+    }
+
+    // Resolve the session a request targets - routes without :sessionId act on the default session
+    getSessionId(req) {
+        return req.params.sessionId || SessionManager.DEFAULT_SESSION_ID;
+    }
+
+    getSession(req) {
+        return this.sessionManager.getSession(this.getSessionId(req));
+    }
+
+    getWhatsAppService(req) {
+        const session = this.getSession(req);
+        return session ? session.whatsappService : null;
+    }
+
+    getMessageHandler(req) {
+        const session = this.getSession(req);
+        return session ? session.messageHandler : null;
+    }
+
+    // Named sessions must be created through POST /api/sessions before they can be used
+    requireSession(req, res, next) {
+        if (!this.sessionManager.hasSession(req.params.sessionId)) {
+            return res.status(404).json({
+                success: false,
+                error: `Session ${req.params.sessionId} not found`,
+                hebrew: {
+                    error: 'הסשן לא נמצא'
+                }
+            });
+        }
+
+        next();
     }
 
     // Redoc HTML endpoint
@@ -284,14 +497,19 @@ class WhatsAppAPIServer {
                     path: '/api/connect',
                     description: 'Initialize WhatsApp connection'
                 },
+                sessions: {
+                    method: 'GET',
+                    path: '/api/sessions',
+                    description: 'List WhatsApp sessions. Every endpoint is also available under /api/sessions/:sessionId/...'
+                },
                 sendMessage: {
                     method: 'POST',
                     path: '/api/send',
                     description: 'Send a text message',
                     body: {
-                        phoneNumber: 'string (required) - Phone number without country code',
+                        phoneNumber: 'string (required) - Phone number, national or international (+44...)',
                         message: 'string (required) - Message text',
-                        countryCode: 'string (optional, default: "972") - Country code'
+                        countryCode: `string (optional, default: "${DEFAULT_PHONE_REGION}") - Region ("IL") or calling code ("972") of national numbers`
                     }
                 }
             },
@@ -317,7 +535,8 @@ class WhatsAppAPIServer {
     // Health check endpoint
     async getHealth(req, res) {
         try {
-            const status = this.whatsappService ? this.whatsappService.getStatus() : { isReady: false };
+            const whatsappService = this.getWhatsAppService(req);
+            const status = whatsappService ? whatsappService.getStatus() : { isReady: false };
             
             res.json({
                 success: true,
@@ -325,6 +544,7 @@ class WhatsAppAPIServer {
                 timestamp: new Date().toISOString(),
                 environment: process.env.NODE_ENV,
                 whatsapp: status,
+                sessions: this.sessionManager.listSessions(),
                 uptime: process.uptime(),
                 memory: process.memoryUsage(),
                 version: require('./package.json').version,
@@ -343,627 +563,3265 @@ class WhatsAppAPIServer {
         }
     }
 
-    // Get QR code for WhatsApp authentication
-    async getQRCode(req, res) {
+    // List all WhatsApp sessions
+    async listSessions(req, res) {
         try {
-            if (!this.whatsappService) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'WhatsApp service not initialized. Call /api/connect first.'
-                });
-            }
+            const sessions = this.sessionManager.listSessions();
 
-            const qrCode = this.whatsappService.getQrCode();
-            
             res.json({
                 success: true,
-                qrCode: qrCode,
-                message: qrCode ? 'Scan this QR code with your WhatsApp mobile app' : 'No QR code available',
-                hebrew: {
-                    message: qrCode ? 'סרוק קוד זה עם אפליקציית וואטסאפ' : 'אין קוד QR זמין',
-                    instructions: qrCode ? [
-                        'פתח את וואטסאפ בטלפון',
-                        'לך להגדרות > מכשירים מקושרים',
-                        'לחץ על "קשר מכשיר"',
-                        'סרוק את הקוד'
-                    ] : []
-                }
+                count: sessions.length,
+                sessions: sessions
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get QR code'
+                error: 'Failed to list sessions'
             });
         }
     }
 
-    // Get WhatsApp connection status
-    async getStatus(req, res) {
+    // Create a named WhatsApp session (optionally starting it right away)
+    async createSession(req, res) {
         try {
-            if (!this.whatsappService) {
-                return res.json({
-                    success: true,
-                    status: {
-                        isReady: false,
-                        connectionStatus: 'not_initialized',
-                        message: 'WhatsApp service not initialized. Call /api/connect to start.'
-                    },
-                    hebrew: {
-                        status: 'לא מחובר',
-                        message: 'שירות וואטסאפ לא הופעל'
-                    }
+            const { sessionId, start } = req.body;
+
+            if (!this.sessionManager.isValidSessionId(sessionId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid session ID. Use 1-64 letters, digits, "_" or "-"'
+                });
+            }
+
+            if (this.sessionManager.hasSession(sessionId)) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Session ${sessionId} already exists`
                 });
             }
 
-            const status = this.whatsappService.getStatus();
-            const clientInfo = await this.whatsappService.getClientInfo();
+            const session = this.sessionManager.createSession(sessionId);
 
-            res.json({
+            if (start === true) {
+                await this.sessionManager.startSession(sessionId);
+            }
+
+            res.status(201).json({
                 success: true,
-                status: {
-                    ...status,
-                    clientInfo,
-                    lastUpdate: new Date().toISOString()
-                },
+                message: 'Session created successfully',
+                session: this.sessionManager.describeSession(session),
+                nextSteps: [
+                    `Start session: POST /api/sessions/${sessionId}/start`,
+                    `Check QR code: GET /api/sessions/${sessionId}/qr`
+                ],
                 hebrew: {
-                    status: status.isReady ? 'מחובר ומוכן' : 'לא מוכן',
-                    message: status.isReady ? 'מוכן לשליחת הודעות' : 'עדיין לא מוכן'
+                    message: 'הסשן נוצר בהצלחה'
                 }
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get status'
+                error: 'Failed to create session: ' + error.message
             });
         }
     }
 
-    // Initialize WhatsApp connection
-    async connect(req, res) {
+    // Get a single session
+    async getSessionInfo(req, res) {
         try {
-            if (this.whatsappService && this.whatsappService.isReady) {
-                return res.json({
-                    success: true,
-                    message: 'WhatsApp is already connected and ready',
-                    hebrew: {
-                        message: 'וואטסאפ כבר מחובר ומוכן'
-                    }
+            const session = this.getSession(req);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Session ${req.params.sessionId} not found`
                 });
             }
 
-            // Initialize services if not already done
-            if (!this.whatsappService) {
-                logger.info('Initializing WhatsApp service...');
-                this.whatsappService = new WhatsAppService();
-                this.messageHandler = new MessageHandler(this.whatsappService);
-
-                // Add default auto-responders
-                this.setupDefaultAutoResponders();
-            }
-
-            // start() will handle destroying existing browser if needed
-            await this.whatsappService.start();
+            const clientInfo = await session.whatsappService.getClientInfo();
 
             res.json({
                 success: true,
-                message: 'WhatsApp connection initiated successfully. Please scan QR code if prompted.',
-                nextSteps: [
-                    'Check QR code: GET /api/qr',
-                    'Monitor status: GET /api/status',
-                    'Start sending messages once authenticated'
-                ],
-                hebrew: {
-                    message: 'התחברות לוואטסאפ החלה בהצלחה',
-                    nextSteps: [
-                        'בדוק קוד QR: GET /api/qr',
-                        'עקוב אחר הסטטוס: GET /api/status',
-                        'התחל לשלוח הודעות לאחר האימות'
-                    ]
+                session: {
+                    ...this.sessionManager.describeSession(session),
+                    clientInfo
                 }
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to connect to WhatsApp: ' + error.message
+                error: 'Failed to get session'
             });
         }
     }
 
-    // Disconnect from WhatsApp
-    async disconnect(req, res) {
+    // Start a session's WhatsApp client
+    async startSession(req, res) {
         try {
-            if (!this.whatsappService) {
-                return res.json({
-                    success: true,
-                    message: 'WhatsApp service was not initialized'
+            const session = this.getSession(req);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Session ${req.params.sessionId} not found`
                 });
             }
 
-            await this.whatsappService.stop();
+            await this.sessionManager.startSession(session.id);
 
             res.json({
                 success: true,
-                message: 'WhatsApp disconnected successfully',
+                message: `Session ${session.id} started. Please scan QR code if prompted.`,
                 hebrew: {
-                    message: 'וואטסאפ נותק בהצלחה'
+                    message: 'הסשן הופעל בהצלחה'
                 }
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to disconnect from WhatsApp'
+                error: 'Failed to start session: ' + error.message
             });
         }
     }
 
-    // Send a text message
-    async sendMessage(req, res) {
+    // Stop a session's WhatsApp client (the session and its login are kept)
+    async stopSession(req, res) {
         try {
-            const { phoneNumber, message, countryCode } = req.body;
-
-            // Validate input
-            const validation = validateSendMessageParams({ phoneNumber, message, countryCode });
-            if (!validation.isValid) {
-                return res.status(400).json({
+            const session = this.getSession(req);
+            if (!session) {
+                return res.status(404).json({
                     success: false,
-                    errors: validation.errors
+                    error: `Session ${req.params.sessionId} not found`
                 });
             }
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'WhatsApp service not ready. Please connect first.',
-                    help: 'Call POST /api/connect to initialize the connection',
-                    hebrew: {
-                        error: 'שירות וואטסאפ לא מוכן. אנא התחבר תחילה.'
-                    }
-                });
-            }
+            await this.sessionManager.stopSession(session.id);
 
-            // Sanitize message content
-            const sanitizedMessage = sanitizeInput(message, { maxLength: 4096 });
+            res.json({
+                success: true,
+                message: `Session ${session.id} stopped`,
+                hebrew: {
+                    message: 'הסשן נעצר'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to stop session'
+            });
+        }
+    }
 
-            // Use Israeli country code as default
-            const defaultCountryCode = countryCode || '972';
-            
-            const result = await this.whatsappService.sendMessage(
-                phoneNumber, 
-                sanitizedMessage, 
-                defaultCountryCode
-            );
+    // Delete a session together with its stored login
+    async deleteSession(req, res) {
+        try {
+            const deleted = await this.sessionManager.deleteSession(req.params.sessionId);
 
-            if (result.success) {
-                logger.info(`Message sent successfully to ${phoneNumber}`);
+            if (deleted) {
                 res.json({
-                    ...result,
+                    success: true,
+                    message: `Session ${req.params.sessionId} deleted`,
                     hebrew: {
-                        status: 'נשלח בהצלחה'
+                        message: 'הסשן נמחק'
                     }
                 });
             } else {
-                res.status(400).json(result);
+                res.status(404).json({
+                    success: false,
+                    error: `Session ${req.params.sessionId} not found`
+                });
             }
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to send message'
+                error: 'Failed to delete session'
             });
         }
     }
 
-    // Send message to a chat (group or individual) by chat ID
-    async sendToChat(req, res) {
+    // Stream events over Server-Sent Events until the client disconnects
+    async streamEvents(req, res) {
         try {
-            const { chatId, message } = req.body;
-
-            if (!chatId || !message) {
+            const validation = validateEventStreamParams(req.query, { allowedEvents: EventStream.STREAM_EVENTS });
+            if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Chat ID and message are required'
+                    errors: validation.errors
                 });
             }
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            this.eventStream.addSseClient(req, res, this.eventStream.parseFilter(req.query));
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to open event stream'
+            });
+        }
+    }
+
+    // Register a webhook subscription
+    async createWebhook(req, res) {
+        try {
+            const { url, events, filters, description, enabled, secret } = req.body;
+
+            const validation = validateWebhookParams(req.body, { allowedEvents: WebhookService.WEBHOOK_EVENTS });
+            if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    error: 'WhatsApp service not ready. Please connect first.'
+                    errors: validation.errors
                 });
             }
 
-            const result = await this.whatsappService.sendToChat(chatId, message);
+            const webhook = this.webhookService.create({ url, events, filters, description, enabled, secret });
 
-            if (result.success) {
-                logger.info(`Message sent successfully to chat ${chatId}`);
-                res.json(result);
-            } else {
-                res.status(400).json(result);
-            }
+            res.status(201).json({
+                success: true,
+                message: 'Webhook registered successfully',
+                webhook: webhook,
+                hebrew: {
+                    message: 'ה-Webhook נרשם בהצלחה'
+                }
+            });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to send message to chat'
+                error: 'Failed to register webhook'
             });
         }
     }
 
-    // Send a media message (image, video, document)
-    async sendMediaMessage(req, res) {
+    // List webhook subscriptions
+    async getWebhooks(req, res) {
         try {
-            const { chatId, phoneNumber, mediaBase64, mimetype, filename, caption } = req.body;
-
-            // Determine target (chatId or phoneNumber)
-            const target = chatId || (phoneNumber ? `${phoneNumber}@c.us` : null);
+            const webhooks = this.webhookService.list();
 
-            if (!target) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Either chatId or phoneNumber is required'
-                });
-            }
+            res.json({
+                success: true,
+                count: webhooks.length,
+                availableEvents: WebhookService.WEBHOOK_EVENTS,
+                webhooks: webhooks
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhooks'
+            });
+        }
+    }
 
-            if (!mediaBase64 || !mimetype) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'mediaBase64 and mimetype are required'
-                });
-            }
+    // Get a single webhook subscription
+    async getWebhook(req, res) {
+        try {
+            const webhook = this.webhookService.get(req.params.id, { includeSecret: true });
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
-                return res.status(400).json({
+            if (!webhook) {
+                return res.status(404).json({
                     success: false,
-                    error: 'WhatsApp service not ready. Please connect first.'
+                    error: 'Webhook not found'
                 });
             }
 
-            const result = await this.whatsappService.sendMedia(
-                target,
-                mediaBase64,
-                mimetype,
-                filename || 'media',
-                caption || ''
+            res.json({
+                success: true,
+                webhook: webhook
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook'
+            });
+        }
+    }
+
+    // Update a webhook subscription (only the fields that are sent change)
+    async updateWebhook(req, res) {
+        try {
+            const { url, events, filters, description, enabled } = req.body;
+
+            const validation = validateWebhookParams(req.body, {
+                partial: true,
+                allowedEvents: WebhookService.WEBHOOK_EVENTS
+            });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const changes = Object.fromEntries(
+                Object.entries({ url, events, filters, description, enabled }).filter(([, value]) => value !== undefined)
             );
+            const webhook = this.webhookService.update(req.params.id, changes);
 
-            if (result.success) {
-                logger.info(`Media sent successfully to ${target}`);
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Webhook updated successfully',
+                webhook: webhook
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update webhook'
+            });
+        }
+    }
+
+    // Replace a webhook's signing secret; the old one keeps signing during the grace period
+    async rotateWebhookSecret(req, res) {
+        try {
+            const { secret, gracePeriodSeconds } = req.body;
+
+            const validation = validateSecretRotationParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const webhook = this.webhookService.rotateSecret(req.params.id, { secret, gracePeriodSeconds });
+
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Webhook secret rotated successfully',
+                webhook: webhook,
+                hebrew: {
+                    message: 'הסוד של ה-Webhook הוחלף בהצלחה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to rotate webhook secret'
+            });
+        }
+    }
+
+    // Remove a webhook subscription
+    async deleteWebhook(req, res) {
+        try {
+            const removed = this.webhookService.remove(req.params.id);
+
+            if (removed) {
+                res.json({
+                    success: true,
+                    message: 'Webhook removed successfully'
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove webhook'
+            });
+        }
+    }
+
+    // List webhook deliveries; status=dead is the dead-letter list
+    async getWebhookDeliveries(req, res) {
+        try {
+            const { status, event } = req.query;
+            const webhookId = req.query.webhookId ? parseInt(req.query.webhookId) : undefined;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            if (status && !['pending', 'delivering', 'delivered', 'dead'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Status must be one of: pending, delivering, delivered, dead'
+                });
+            }
+
+            const deliveries = this.webhookService.listDeliveries({ webhookId, status, event, limit, offset });
+
+            res.json({
+                success: true,
+                count: deliveries.length,
+                deliveries: deliveries
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook deliveries'
+            });
+        }
+    }
+
+    // Get a single webhook delivery
+    async getWebhookDelivery(req, res) {
+        try {
+            const delivery = this.webhookService.getDelivery(req.params.id);
+
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook delivery not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                delivery: delivery
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get webhook delivery'
+            });
+        }
+    }
+
+    // Send a dead-lettered (or already delivered) event again
+    async replayWebhookDelivery(req, res) {
+        try {
+            if (!this.webhookService.getDelivery(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook delivery not found'
+                });
+            }
+
+            const delivery = this.webhookService.replay(req.params.id);
+
+            if (!delivery) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Webhook delivery is still pending'
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                message: 'Webhook delivery queued for replay',
+                delivery: delivery,
+                hebrew: {
+                    message: 'משלוח ה-Webhook הוכנס מחדש לתור'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to replay webhook delivery'
+            });
+        }
+    }
+
+    // Replay every dead-lettered delivery created since a timestamp
+    async replayWebhookDeliveries(req, res) {
+        try {
+            const { since, webhookId, includeDelivered } = req.body;
+
+            const validation = validateDeliveryReplayParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const replayed = this.webhookService.replaySince({ since, webhookId, includeDelivered });
+
+            res.status(202).json({
+                success: true,
+                message: `${replayed} webhook deliveries queued for replay`,
+                replayed: replayed,
+                hebrew: {
+                    message: `${replayed} משלוחי Webhook הוכנסו מחדש לתור`
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to replay webhook deliveries'
+            });
+        }
+    }
+
+    // Get QR code for WhatsApp authentication
+    async getQRCode(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not initialized. Call /api/connect first.'
+                });
+            }
+
+            const qrCode = whatsappService.getQrCode();
+            
+            res.json({
+                success: true,
+                qrCode: qrCode,
+                message: qrCode ? 'Scan this QR code with your WhatsApp mobile app' : 'No QR code available',
+                hebrew: {
+                    message: qrCode ? 'סרוק קוד זה עם אפליקציית וואטסאפ' : 'אין קוד QR זמין',
+                    instructions: qrCode ? [
+                        'פתח את וואטסאפ בטלפון',
+                        'לך להגדרות > מכשירים מקושרים',
+                        'לחץ על "קשר מכשיר"',
+                        'סרוק את הקוד'
+                    ] : []
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get QR code'
+            });
+        }
+    }
+
+    // Get WhatsApp connection status
+    async getStatus(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService) {
+                return res.json({
+                    success: true,
+                    status: {
+                        isReady: false,
+                        connectionStatus: 'not_initialized',
+                        message: 'WhatsApp service not initialized. Call /api/connect to start.'
+                    },
+                    hebrew: {
+                        status: 'לא מחובר',
+                        message: 'שירות וואטסאפ לא הופעל'
+                    }
+                });
+            }
+
+            const status = whatsappService.getStatus();
+            const clientInfo = await whatsappService.getClientInfo();
+
+            res.json({
+                success: true,
+                status: {
+                    ...status,
+                    clientInfo,
+                    lastUpdate: new Date().toISOString()
+                },
+                hebrew: {
+                    status: status.isReady ? 'מחובר ומוכן' : 'לא מוכן',
+                    message: status.isReady ? 'מוכן לשליחת הודעות' : 'עדיין לא מוכן'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get status'
+            });
+        }
+    }
+
+    // Initialize WhatsApp connection
+    async connect(req, res) {
+        try {
+            let whatsappService = this.getWhatsAppService(req);
+
+            if (whatsappService && whatsappService.isReady) {
+                return res.json({
+                    success: true,
+                    message: 'WhatsApp is already connected and ready',
+                    hebrew: {
+                        message: 'וואטסאפ כבר מחובר ומוכן'
+                    }
+                });
+            }
+
+            // Initialize the session if not already done (default auto-responders are added on creation)
+            if (!whatsappService) {
+                logger.info('Initializing WhatsApp service...');
+                whatsappService = this.sessionManager.ensureSession(this.getSessionId(req)).whatsappService;
+            }
+
+            // start() will handle destroying existing browser if needed
+            await whatsappService.start();
+
+            res.json({
+                success: true,
+                message: 'WhatsApp connection initiated successfully. Please scan QR code if prompted.',
+                nextSteps: [
+                    'Check QR code: GET /api/qr',
+                    'Monitor status: GET /api/status',
+                    'Start sending messages once authenticated'
+                ],
+                hebrew: {
+                    message: 'התחברות לוואטסאפ החלה בהצלחה',
+                    nextSteps: [
+                        'בדוק קוד QR: GET /api/qr',
+                        'עקוב אחר הסטטוס: GET /api/status',
+                        'התחל לשלוח הודעות לאחר האימות'
+                    ]
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to connect to WhatsApp: ' + error.message
+            });
+        }
+    }
+
+    // Disconnect from WhatsApp
+    async disconnect(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService) {
+                return res.json({
+                    success: true,
+                    message: 'WhatsApp service was not initialized'
+                });
+            }
+
+            await whatsappService.stop();
+
+            res.json({
+                success: true,
+                message: 'WhatsApp disconnected successfully',
+                hebrew: {
+                    message: 'וואטסאפ נותק בהצלחה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to disconnect from WhatsApp'
+            });
+        }
+    }
+
+    // Send a text message
+    async sendMessage(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const { phoneNumber, message, countryCode, queue } = req.body;
+
+            // Validate input
+            const validation = validateSendMessageParams({ phoneNumber, message, countryCode });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            // Sanitize message content
+            const sanitizedMessage = sanitizeInput(message, { maxLength: 4096 });
+
+            // Queued messages keep the region they were accepted in, even if the default changes
+            const defaultCountryCode = countryCode || DEFAULT_PHONE_REGION;
+
+            if (queue === true) {
+                return await this.sendThroughOutbox(req, res, 'message', {
+                    phoneNumber,
+                    message: sanitizedMessage,
+                    countryCode: defaultCountryCode
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not ready. Please connect first.',
+                    help: 'Call POST /api/connect to initialize the connection',
+                    hebrew: {
+                        error: 'שירות וואטסאפ לא מוכן. אנא התחבר תחילה.'
+                    }
+                });
+            }
+
+            const result = await whatsappService.sendMessage(
+                phoneNumber, 
+                sanitizedMessage, 
+                defaultCountryCode
+            );
+
+            if (result.success) {
+                logger.info(`Message sent successfully to ${phoneNumber}`);
+                res.json({
+                    ...result,
+                    hebrew: {
+                        status: 'נשלח בהצלחה'
+                    }
+                });
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send message'
+            });
+        }
+    }
+
+    // Send message to a chat (group or individual) by chat ID
+    async sendToChat(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const { chatId, message, queue } = req.body;
+
+            if (!chatId || !message) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Chat ID and message are required'
+                });
+            }
+
+            if (queue === true) {
+                return await this.sendThroughOutbox(req, res, 'chat', { chatId, message });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not ready. Please connect first.'
+                });
+            }
+
+            const result = await whatsappService.sendToChat(chatId, message);
+
+            if (result.success) {
+                logger.info(`Message sent successfully to chat ${chatId}`);
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send message to chat'
+            });
+        }
+    }
+
+    // Send a media message (image, video, document)
+    async sendMediaMessage(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const { chatId, phoneNumber, mediaBase64, mimetype, filename, caption, queue } = req.body;
+
+            // Determine target (chatId or phoneNumber)
+            const target = chatId || (phoneNumber ? `${phoneNumber}@c.us` : null);
+
+            if (!target) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Either chatId or phoneNumber is required'
+                });
+            }
+
+            if (!mediaBase64 || !mimetype) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'mediaBase64 and mimetype are required'
+                });
+            }
+
+            if (queue === true) {
+                return await this.sendThroughOutbox(req, res, 'media', {
+                    chatId: target,
+                    mediaBase64,
+                    mimetype,
+                    filename: filename || 'media',
+                    caption: caption || ''
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not ready. Please connect first.'
+                });
+            }
+
+            const result = await whatsappService.sendMedia(
+                target,
+                mediaBase64,
+                mimetype,
+                filename || 'media',
+                caption || ''
+            );
+
+            if (result.success) {
+                logger.info(`Media sent successfully to ${target}`);
+                res.json({
+                    ...result,
+                    hebrew: {
+                        status: 'נשלח בהצלחה'
+                    }
+                });
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send media: ' + error.message
+            });
+        }
+    }
+
+    // Queue a send (opt-in with queue: true) and attempt it right away when the session is ready.
+    // Responds 200 once sent, 202 while queued for retry/connection and 400 on a permanent failure.
+    async sendThroughOutbox(req, res, type, payload) {
+        const sessionId = this.getSessionId(req);
+        let job = this.outbox.enqueue(sessionId, type, payload);
+
+        if (this.outbox.isSessionReady(sessionId)) {
+            job = await this.outbox.processJob(job.id);
+        }
+
+        if (job.status === 'sent') {
+            logger.info(`Message sent successfully via outbox job ${job.id}`);
+            return res.json({
+                ...job.result,
+                jobId: job.id,
+                hebrew: {
+                    status: 'נשלח בהצלחה'
+                }
+            });
+        }
+
+        if (job.status === 'failed') {
+            return res.status(400).json({
+                success: false,
+                error: job.lastError,
+                jobId: job.id
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            queued: true,
+            jobId: job.id,
+            job: job,
+            message: 'Message queued and will be sent once WhatsApp is ready',
+            statusUrl: `${req.baseUrl}/outbox/${job.id}`,
+            hebrew: {
+                status: 'ההודעה נכנסה לתור ותישלח כשוואטסאפ יהיה מוכן'
+            }
+        });
+    }
+
+    // List outbox jobs
+    async getOutbox(req, res) {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            if (status && !['queued', 'sending', 'sent', 'failed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Status must be one of: queued, sending, sent, failed'
+                });
+            }
+
+            const jobs = this.outbox.listJobs({ sessionId: this.getSessionId(req), status, limit, offset });
+
+            res.json({
+                success: true,
+                count: jobs.length,
+                jobs: jobs
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get outbox'
+            });
+        }
+    }
+
+    // Get a single outbox job
+    async getOutboxJob(req, res) {
+        try {
+            const job = this.outbox.getJob(req.params.id, this.getSessionId(req));
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Outbox job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                job: job
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get outbox job'
+            });
+        }
+    }
+
+    // Schedule a text or media message for a later time
+    async createScheduledMessage(req, res) {
+        try {
+            const { chatId, phoneNumber, countryCode, message, media, sendAt, delaySeconds, timezone } = req.body;
+
+            const validation = validateScheduledMessageParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const scheduled = this.scheduler.schedule(this.getSessionId(req), {
+                chatId,
+                phoneNumber,
+                countryCode,
+                message: media ? null : sanitizeInput(message, { maxLength: 4096 }),
+                media,
+                sendAt,
+                delaySeconds,
+                timezone
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `Message scheduled for ${scheduled.sendAt}`,
+                scheduledMessage: scheduled,
+                hebrew: {
+                    message: 'ההודעה תוזמנה בהצלחה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to schedule message'
+            });
+        }
+    }
+
+    // List scheduled messages
+    async getScheduledMessages(req, res) {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            const scheduledMessages = this.scheduler.list({ sessionId: this.getSessionId(req), status, limit, offset });
+
+            res.json({
+                success: true,
+                count: scheduledMessages.length,
+                scheduledMessages: scheduledMessages
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled messages'
+            });
+        }
+    }
+
+    // Get a single scheduled message
+    async getScheduledMessage(req, res) {
+        try {
+            const scheduled = this.scheduler.get(req.params.id, this.getSessionId(req));
+
+            if (!scheduled) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                scheduledMessage: scheduled
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get scheduled message'
+            });
+        }
+    }
+
+    // Move a pending (or failed) scheduled message to a new time
+    async rescheduleMessage(req, res) {
+        try {
+            const { sendAt, delaySeconds, timezone } = req.body;
+
+            const validation = validateScheduleTime({ sendAt, delaySeconds, timezone });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const sessionId = this.getSessionId(req);
+            if (!this.scheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            const scheduled = this.scheduler.reschedule(req.params.id, sessionId, { sendAt, delaySeconds, timezone });
+
+            if (!scheduled) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only pending or failed scheduled messages can be rescheduled'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Message rescheduled for ${scheduled.sendAt}`,
+                scheduledMessage: scheduled,
+                hebrew: {
+                    message: 'מועד ההודעה עודכן'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reschedule message'
+            });
+        }
+    }
+
+    // Cancel a pending scheduled message
+    async cancelScheduledMessage(req, res) {
+        try {
+            const sessionId = this.getSessionId(req);
+            if (!this.scheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            const scheduled = this.scheduler.cancel(req.params.id, sessionId);
+
+            if (!scheduled) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only pending scheduled messages can be cancelled'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Scheduled message cancelled',
+                scheduledMessage: scheduled,
+                hebrew: {
+                    message: 'ההודעה המתוזמנת בוטלה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel scheduled message'
+            });
+        }
+    }
+
+    // Create a recurring message driven by a cron expression
+    async createRecurringMessage(req, res) {
+        try {
+            const { chatId, phoneNumber, countryCode, message, cron, timezone, startAt, endAt, maxOccurrences, description } = req.body;
+
+            const validation = validateRecurringMessageParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const recurring = this.recurringScheduler.create(this.getSessionId(req), {
+                chatId: chatId || formatPhoneNumber(phoneNumber, countryCode),
+                message: sanitizeInput(message, { maxLength: 4096 }),
+                cron,
+                timezone,
+                startAt,
+                endAt,
+                maxOccurrences,
+                description
+            });
+
+            res.status(201).json({
+                success: true,
+                message: recurring.nextRunAt ? `Recurring message created, next run at ${recurring.nextRunAt}` : 'Recurring message created but has no future runs',
+                recurringMessage: recurring,
+                hebrew: {
+                    message: 'הודעה חוזרת נוצרה בהצלחה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create recurring message: ' + error.message
+            });
+        }
+    }
+
+    // List recurring messages
+    async getRecurringMessages(req, res) {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            const recurringMessages = this.recurringScheduler.list({ sessionId: this.getSessionId(req), status, limit, offset });
+
+            res.json({
+                success: true,
+                count: recurringMessages.length,
+                recurringMessages: recurringMessages
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get recurring messages'
+            });
+        }
+    }
+
+    // Get a single recurring message
+    async getRecurringMessage(req, res) {
+        try {
+            const recurring = this.recurringScheduler.get(req.params.id, this.getSessionId(req));
+
+            if (!recurring) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                recurringMessage: recurring
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get recurring message'
+            });
+        }
+    }
+
+    // Update the content or schedule of an active or paused recurring message
+    async updateRecurringMessage(req, res) {
+        try {
+            const { chatId, phoneNumber, countryCode, message, cron, timezone, endAt, maxOccurrences, description } = req.body;
+
+            const validation = validateRecurringMessageParams(req.body, { partial: true });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const sessionId = this.getSessionId(req);
+            if (!this.recurringScheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            const recurring = this.recurringScheduler.update(req.params.id, sessionId, {
+                chatId: chatId || (phoneNumber ? formatPhoneNumber(phoneNumber, countryCode) : undefined),
+                message: message !== undefined ? sanitizeInput(message, { maxLength: 4096 }) : undefined,
+                cron,
+                timezone,
+                endAt,
+                maxOccurrences,
+                description
+            });
+
+            if (!recurring) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only active or paused recurring messages can be updated'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Recurring message updated',
+                recurringMessage: recurring
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update recurring message'
+            });
+        }
+    }
+
+    // Pause a recurring message
+    async pauseRecurringMessage(req, res) {
+        try {
+            const sessionId = this.getSessionId(req);
+            if (!this.recurringScheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            const recurring = this.recurringScheduler.pause(req.params.id, sessionId);
+
+            if (!recurring) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only active recurring messages can be paused'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Recurring message paused',
+                recurringMessage: recurring,
+                hebrew: {
+                    message: 'ההודעה החוזרת הושהתה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to pause recurring message'
+            });
+        }
+    }
+
+    // Resume a paused recurring message
+    async resumeRecurringMessage(req, res) {
+        try {
+            const sessionId = this.getSessionId(req);
+            if (!this.recurringScheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            const recurring = this.recurringScheduler.resume(req.params.id, sessionId);
+
+            if (!recurring) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only paused recurring messages can be resumed'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Recurring message resumed',
+                recurringMessage: recurring,
+                hebrew: {
+                    message: 'ההודעה החוזרת חודשה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resume recurring message'
+            });
+        }
+    }
+
+    // Cancel a recurring message (its run history is kept)
+    async cancelRecurringMessage(req, res) {
+        try {
+            const sessionId = this.getSessionId(req);
+            if (!this.recurringScheduler.get(req.params.id, sessionId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            const recurring = this.recurringScheduler.cancel(req.params.id, sessionId);
+
+            if (!recurring) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Recurring message already completed or cancelled'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Recurring message cancelled',
+                recurringMessage: recurring
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel recurring message'
+            });
+        }
+    }
+
+    // Get the run history of a recurring message
+    async getRecurringMessageRuns(req, res) {
+        try {
+            if (!this.recurringScheduler.get(req.params.id, this.getSessionId(req))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurring message not found'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+            const runs = this.recurringScheduler.getRuns(req.params.id, { limit, offset });
+
+            res.json({
+                success: true,
+                count: runs.length,
+                runs: runs
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get recurring message runs'
+            });
+        }
+    }
+
+    //Get Chats
+    async getChats(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const chats = await whatsappService.getChats();
+            res.json({ success: true, chats });
+        } catch (err) {
+            res.status(500).json({ success: false, error: err.message });
+        }
+    }
+
+    //Get Chat info by ID
+    async getChatInfo(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const { chatId } = req.params;
+            if (!chatId) {
+                return res.status(400).json({ success: false, error: 'Chat ID is required' });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not ready'
+                });
+            }
+
+            const chatInfo = await whatsappService.getChatInfo(chatId);
+            res.json({ success: true, ...chatInfo });
+        } catch (err) {
+            res.status(500).json({ success: false, error: err.message });
+        }
+    }
+
+    // Participants given as phone numbers become chat IDs; contact IDs are passed through
+    toParticipantIds(participants = [], countryCode) {
+        return participants.map(participant => /@(c\.us|lid)$/.test(participant)
+            ? participant
+            : formatPhoneNumber(participant, countryCode));
+    }
+
+    // Group actions answer like the send endpoints: the service result, 400 when WhatsApp refused
+    respondWithGroupResult(res, result, message, hebrewMessage) {
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.json({
+            ...result,
+            message,
+            hebrew: {
+                message: hebrewMessage
+            }
+        });
+    }
+
+    respondNotReady(res) {
+        return res.status(400).json({
+            success: false,
+            error: 'WhatsApp service not ready. Please connect first.',
+            hebrew: {
+                error: 'שירות וואטסאפ לא מוכן. אנא התחבר תחילה.'
+            }
+        });
+    }
+
+    // Create a group with optional participants and settings
+    async createGroup(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const validation = validateGroupCreateParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const { subject, participants, countryCode, settings } = req.body;
+            const result = await whatsappService.createGroup(
+                subject.trim(),
+                this.toParticipantIds(participants, countryCode),
+                settings
+            );
+
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+            res.status(201).json({
+                ...result,
+                message: 'Group created',
+                hebrew: {
+                    message: 'הקבוצה נוצרה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create group'
+            });
+        }
+    }
+
+    // Group metadata with participants and our own admin status
+    async getGroup(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId } = req.params;
+
+            if (!isGroupId(groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'groupId must be a group chat id ending with @g.us'
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const group = await whatsappService.getGroupInfo(groupId);
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                group
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get group'
+            });
+        }
+    }
+
+    // Participants with their contact names
+    async getGroupParticipants(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId } = req.params;
+
+            if (!isGroupId(groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'groupId must be a group chat id ending with @g.us'
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const participants = await whatsappService.getGroupParticipants(groupId);
+            if (!participants) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                groupId,
+                count: participants.length,
+                participants
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get group participants'
+            });
+        }
+    }
+
+    // Add, remove, promote or demote participants (this account must be a group admin)
+    async manageGroupParticipants(req, res) {
+        const messages = {
+            add: ['Participants added', 'המשתתפים נוספו לקבוצה'],
+            remove: ['Participants removed', 'המשתתפים הוסרו מהקבוצה'],
+            promote: ['Participants promoted to admin', 'המשתתפים מונו למנהלים'],
+            demote: ['Participants demoted', 'הרשאות הניהול של המשתתפים הוסרו']
+        };
+
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId, action } = req.params;
+
+            const validation = validateGroupParticipantsParams(groupId, req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const participantIds = this.toParticipantIds(req.body.participants, req.body.countryCode);
+            const result = await {
+                add: () => whatsappService.addGroupParticipants(groupId, participantIds),
+                remove: () => whatsappService.removeGroupParticipants(groupId, participantIds),
+                promote: () => whatsappService.promoteGroupParticipants(groupId, participantIds),
+                demote: () => whatsappService.demoteGroupParticipants(groupId, participantIds)
+            }[action]();
+
+            this.respondWithGroupResult(res, result, ...messages[action]);
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: `Failed to ${req.params.action} group participants`
+            });
+        }
+    }
+
+    // Change the group subject and/or description
+    async updateGroupInfo(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId } = req.params;
+
+            const validation = validateGroupInfoParams(groupId, req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const { subject, description } = req.body;
+            const result = await whatsappService.updateGroupInfo(groupId, {
+                subject: subject !== undefined ? subject.trim() : undefined,
+                description
+            });
+
+            this.respondWithGroupResult(res, result, 'Group info updated', 'פרטי הקבוצה עודכנו');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update group info'
+            });
+        }
+    }
+
+    async setGroupPicture(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId } = req.params;
+
+            const validation = validateGroupPictureParams(groupId, req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const { mediaBase64, mimetype, file, url } = req.body;
+            const result = await whatsappService.setGroupPicture(groupId, { mediaBase64, mimetype, file, url });
+
+            this.respondWithGroupResult(res, result, 'Group picture updated', 'תמונת הקבוצה עודכנה');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set group picture'
+            });
+        }
+    }
+
+    async deleteGroupPicture(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const result = await whatsappService.deleteGroupPicture(req.params.groupId);
+
+            this.respondWithGroupResult(res, result, 'Group picture deleted', 'תמונת הקבוצה נמחקה');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete group picture'
+            });
+        }
+    }
+
+    // Admins-only messages, info editing and adding members
+    async updateGroupSettings(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+            const { groupId } = req.params;
+
+            const validation = validateGroupSettingsParams(groupId, req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly } = req.body;
+            const result = await whatsappService.updateGroupSettings(groupId, { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly });
+
+            this.respondWithGroupResult(res, result, 'Group settings updated', 'הגדרות הקבוצה עודכנו');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update group settings'
+            });
+        }
+    }
+
+    async leaveGroup(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const result = await whatsappService.leaveGroup(req.params.groupId);
+
+            this.respondWithGroupResult(res, result, 'Left the group', 'יצאת מהקבוצה');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to leave group'
+            });
+        }
+    }
+
+    async getGroupInviteLink(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const result = await whatsappService.getGroupInviteLink(req.params.groupId);
+
+            this.respondWithGroupResult(res, result, 'Group invite link', 'קישור ההזמנה לקבוצה');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get group invite link'
+            });
+        }
+    }
+
+    // The current link stops working and a new one is returned
+    async revokeGroupInviteLink(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return this.respondNotReady(res);
+            }
+
+            const result = await whatsappService.revokeGroupInviteLink(req.params.groupId);
+
+            this.respondWithGroupResult(res, result, 'Group invite link revoked', 'קישור ההזמנה הקודם בוטל ונוצר קישור חדש');
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to revoke group invite link'
+            });
+        }
+    }
+
+    // Stored join/leave/admin/update events - of one group, or of every group when there is no :groupId
+    async getGroupEvents(req, res) {
+        try {
+            const { groupId } = req.params;
+            const { event, participant } = req.query;
+
+            if (groupId !== undefined && !isGroupId(groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'groupId must be a group chat id ending with @g.us'
+                });
+            }
+
+            if (event !== undefined && !GROUP_EVENTS.includes(event)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `event must be one of: ${GROUP_EVENTS.join(', ')}`
+                });
+            }
+
+            const validation = validateGroupEventListParams(req.query);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const page = listGroupEvents(this.getSessionId(req), {
+                groupId,
+                event,
+                participant,
+                limit: Math.min(parseInt(req.query.limit) || 50, 500),
+                after: req.query.cursor ? decodeCursor(req.query.cursor) : null
+            });
+
+            res.json({
+                success: true,
+                count: page.events.length,
+                ...page
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get group events'
+            });
+        }
+    }
+
+    // Filters and paging options shared by the message listing endpoints (query already validated)
+    parseMessageListQuery(query, defaults = {}) {
+        const types = String(query.type || '').split(',').map(type => type.trim()).filter(Boolean);
+        const filters = {
+            chatId: query.chatId,
+            sender: query.sender,
+            direction: query.direction,
+            types,
+            fromMe: query.fromMe !== undefined ? query.fromMe === 'true' : undefined,
+            processed: query.processed !== undefined ? query.processed === 'true' : undefined,
+            since: query.since !== undefined ? parseDateTime(query.since) : null,
+            until: query.until !== undefined ? parseDateTime(query.until) : null,
+            ...defaults.filters
+        };
+
+        // A cursor continues the listing in the order it was created with
+        const after = query.cursor ? decodeCursor(query.cursor) : null;
+
+        return {
+            filters,
+            options: {
+                limit: Math.min(parseInt(query.limit) || 50, 500),
+                order: after ? after.order : (query.order || defaults.order || 'desc'),
+                after,
+                includeRaw: query.includeRaw === 'true'
+            }
+        };
+    }
+
+    //Get Chats messages - stored messages of one chat, paged with before/after message ids or a cursor
+    async getChatMessages(req, res) {
+        try {
+            const { chatId } = req.params;
+            const { before, after } = req.query;
+
+            const validation = validateMessageListParams(req.query, { allowAnchors: true });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const sessionId = this.getSessionId(req);
+            const { filters, options } = this.parseMessageListQuery(req.query, { filters: { chatId } });
+
+            if (before || after) {
+                const anchor = getMessagePosition(sessionId, before || after, chatId);
+                if (!anchor) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Message not found',
+                        hebrew: {
+                            error: 'ההודעה לא נמצאה'
+                        }
+                    });
+                }
+
+                // before: older messages, newest first; after: newer messages, oldest first
+                options.after = anchor;
+                options.order = before ? 'desc' : 'asc';
+            }
+
+            const page = listMessages(sessionId, filters, options);
+
+            res.json({
+                success: true,
+                count: page.messages.length,
+                ...page
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get chat messages'
+            });
+        }
+    }
+
+    // Full-text search over message bodies and captions, best matches first
+    async searchMessages(req, res) {
+        try {
+            const validation = validateMessageSearchParams(req.query);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const { q, chatId, sender, direction, order } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const offset = parseInt(req.query.offset) || 0;
+
+            const { total, results } = searchMessages(this.getSessionId(req), q, {
+                chatId,
+                sender,
+                direction,
+                since: req.query.since !== undefined ? parseDateTime(req.query.since) : null,
+                until: req.query.until !== undefined ? parseDateTime(req.query.until) : null,
+                order,
+                limit,
+                offset,
+                includeRaw: req.query.includeRaw === 'true'
+            });
+
+            res.json({
+                success: true,
+                query: q,
+                total: total,
+                count: results.length,
+                results: results
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to search messages'
+            });
+        }
+    }
+
+    //Get unprocessed messages - oldest first by default
+    async getUnprocessedMessages(req, res) {
+        try {
+            const validation = validateMessageListParams(req.query);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const { filters, options } = this.parseMessageListQuery(req.query, {
+                order: 'asc',
+                filters: { direction: 'inbound', processed: false }
+            });
+            const page = listMessages(this.getSessionId(req), filters, options);
+
+            res.json({
+                success: true,
+                count: page.messages.length,
+                ...page
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get unprocessed messages'
+            });
+        }
+    }
+
+    // List sends that hit the markedUnread error and their reconciliation state
+    async getUnconfirmedSends(req, res) {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+
+            if (status && !['unconfirmed', 'confirmed', 'failed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Status must be one of: unconfirmed, confirmed, failed'
+                });
+            }
+
+            const sends = listUnconfirmedSends(this.getSessionId(req), { status, limit, offset });
+
+            res.json({
+                success: true,
+                count: sends.length,
+                sends: sends
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get unconfirmed sends'
+            });
+        }
+    }
+
+    // Resolve an unconfirmed send to its real message ID (or a definite failure after the timeout)
+    async getUnconfirmedSend(req, res) {
+        try {
+            const send = getUnconfirmedSend(this.getSessionId(req), req.params.id);
+
+            if (!send) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Unconfirmed send not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                send: send
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get unconfirmed send'
+            });
+        }
+    }
+
+    // Delivery status (sent/delivered/read) of a message with its ack history
+    async getMessageStatus(req, res) {
+        try {
+            const status = getDeliveryStatus(this.getSessionId(req), req.params.id);
+
+            if (!status) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    hebrew: {
+                        error: 'ההודעה לא נמצאה'
+                    }
+                });
+            }
+
+            res.json({
+                success: true,
+                ...status
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message status'
+            });
+        }
+    }
+
+    // Lease unprocessed messages to a worker; they stay hidden from other claims until the lease expires
+    async claimMessages(req, res) {
+        try {
+            const { limit, visibilityTimeoutSeconds, consumer } = req.body;
+
+            const validation = validateInboxClaimParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const claim = claimMessages(this.getSessionId(req), { limit, visibilityTimeoutSeconds, consumer });
+
+            res.json({
+                success: true,
+                count: claim.messages.length,
+                ...claim
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to claim messages'
+            });
+        }
+    }
+
+    // Maps an inbox lease check result to an error response
+    sendLeaseError(res, result) {
+        if (result === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found',
+                hebrew: {
+                    error: 'ההודעה לא נמצאה'
+                }
+            });
+        }
+
+        res.status(409).json({
+            success: false,
+            error: result === 'already_processed'
+                ? 'Message was already processed'
+                : 'Lease is not held - it expired and the message was claimed again, or it was released'
+        });
+    }
+
+    // Acknowledge a claimed message: it is marked as processed and leaves the inbox
+    async ackMessage(req, res) {
+        try {
+            const validation = validateInboxLeaseParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const result = ackMessage(this.getSessionId(req), req.params.id, req.body.leaseId);
+            if (result !== 'ok') {
+                return this.sendLeaseError(res, result);
+            }
+
+            res.json({
+                success: true,
+                message: 'Message acknowledged',
+                hebrew: {
+                    message: 'ההודעה סומנה כמעובדת'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to acknowledge message'
+            });
+        }
+    }
+
+    // Release a claimed message back to the inbox, optionally after a delay
+    async nackMessage(req, res) {
+        try {
+            const { leaseId, delaySeconds } = req.body;
+
+            const validation = validateInboxLeaseParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const result = nackMessage(this.getSessionId(req), req.params.id, leaseId, { delaySeconds });
+            if (result !== 'ok') {
+                return this.sendLeaseError(res, result);
+            }
+
+            res.json({
+                success: true,
+                message: 'Message released back to the inbox',
+                hebrew: {
+                    message: 'ההודעה הוחזרה לתיבת הדואר הנכנס'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to release message'
+            });
+        }
+    }
+
+    // Mark a message as processed without sending a reply (ignores any lease on it)
+    async markMessageProcessed(req, res) {
+        try {
+            if (!markProcessed(this.getSessionId(req), req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                    hebrew: {
+                        error: 'ההודעה לא נמצאה'
+                    }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Message marked as processed',
+                hebrew: {
+                    message: 'ההודעה סומנה כמעובדת'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to mark message as processed'
+            });
+        }
+    }
+
+    async replyToMessage(req, res) {
+        try {
+            const whatsappService = this.getWhatsAppService(req);
+
+            const { messageId, reply } = req.body;
+
+            if (!messageId || !reply) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message ID and reply text are required'
+                });
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp service not ready. Please connect first.',
+                    hebrew: {
+                        error: 'שירות וואטסאפ לא מוכן. אנא התחבר תחילה.'
+                    }
+                });
+            }
+
+            const result = await whatsappService.replyToMessage(messageId, reply);
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    message: 'Reply sent successfully',
+                    hebrew: {
+                        status: 'נשלח בהצלחה'
+                    }
+                });
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send reply'
+            });
+        }
+    }
+
+    // Get messages - stored inbound and outbound messages, newest first, with filters and cursor paging
+    async getMessages(req, res) {
+        try {
+            const validation = validateMessageListParams(req.query);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const { filters, options } = this.parseMessageListQuery(req.query);
+            const page = listMessages(this.getSessionId(req), filters, options);
+
+            res.json({
+                success: true,
+                count: page.messages.length,
+                ...page
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get messages'
+            });
+        }
+    }
+
+    // Get message statistics
+    async getMessageStats(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const stats = messageHandler.getMessageStats();
+
+            res.json({
+                success: true,
+                stats: stats
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get message statistics'
+            });
+        }
+    }
+
+    // Add auto-responder
+    async addAutoResponder(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { trigger, response } = req.body;
+            const options = req.body.options || {};
+
+            const validation = validateAutoResponderParams({ trigger, response, ...options });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            if (options.id && messageHandler.getAutoResponder(options.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Auto-responder with this ID already exists'
+                });
+            }
+
+            // "/pattern/flags" triggers are regular expressions
+            let parsedTrigger;
+            try {
+                parsedTrigger = parseTrigger(trigger);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid regex pattern'
+                });
+            }
+
+            // Responders that send media, a location, a reaction etc. may have no response text
+            const responderId = messageHandler.addAutoResponder(parsedTrigger, response !== undefined ? response : '', options);
+
+            res.json({
+                success: true,
+                responderId: responderId,
+                message: 'Auto-responder added successfully'
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to add auto-responder'
+            });
+        }
+    }
+
+    // Get auto-responders
+    async getAutoResponders(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const responders = messageHandler.getAutoResponders();
+
+            res.json({
+                success: true,
+                count: responders.length,
+                autoResponders: responders
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get auto-responders'
+            });
+        }
+    }
+
+    // Get how responders are evaluated for the session
+    async getAutoResponderSettings(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            res.json({
+                success: true,
+                settings: messageHandler.settings
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get auto-responder settings'
+            });
+        }
+    }
+
+    // Choose first-match or all-match evaluation and whether groups are answered by default
+    async updateAutoResponderSettings(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { matchMode, groupMessages } = req.body;
+
+            if (matchMode === undefined && groupMessages === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Provide matchMode and/or groupMessages'
+                });
+            }
+            if (matchMode !== undefined && !MATCH_MODES.includes(matchMode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `matchMode must be one of: ${MATCH_MODES.join(', ')}`
+                });
+            }
+            if (groupMessages !== undefined && typeof groupMessages !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'groupMessages must be a boolean'
+                });
+            }
+
+            const changes = {};
+            if (matchMode !== undefined) {
+                changes.matchMode = matchMode;
+            }
+            if (groupMessages !== undefined) {
+                changes.groupMessages = groupMessages;
+            }
+
+            res.json({
+                success: true,
+                message: 'Auto-responder settings updated',
+                settings: messageHandler.updateSettings(changes),
+                hebrew: {
+                    message: 'הגדרות המענים האוטומטיים עודכנו'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update auto-responder settings'
+            });
+        }
+    }
+
+    // Groups with their own auto-responder setting
+    async getAutoResponderGroups(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            res.json({
+                success: true,
+                groupMessages: messageHandler.settings.groupMessages,
+                groups: messageHandler.getGroupSettings()
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get auto-responder groups'
+            });
+        }
+    }
+
+    // Enable or disable auto-responders in one group, optionally only when the bot is addressed
+    async setAutoResponderGroup(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { groupId } = req.params;
+            const validation = validateResponderGroupParams(groupId, req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const group = messageHandler.setGroupSettings(groupId, {
+                enabled: req.body.enabled,
+                mentionOnly: req.body.mentionOnly
+            });
+
+            res.json({
+                success: true,
+                message: 'Group auto-responder setting saved',
+                group,
+                hebrew: {
+                    message: 'הגדרת המענים האוטומטיים לקבוצה נשמרה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to save group auto-responder setting'
+            });
+        }
+    }
+
+    // The group falls back to the session's groupMessages setting
+    async removeAutoResponderGroup(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            if (!messageHandler.removeGroupSettings(req.params.groupId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group setting not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Group auto-responder setting removed',
+                hebrew: {
+                    message: 'הגדרת המענים האוטומטיים לקבוצה הוסרה'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove group auto-responder setting'
+            });
+        }
+    }
+
+    // Get a single auto-responder
+    async getAutoResponder(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const responder = messageHandler.getAutoResponder(req.params.id);
+
+            if (!responder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Auto-responder not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                autoResponder: responder
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get auto-responder'
+            });
+        }
+    }
+
+    // Edit an auto-responder - omitted fields keep their value
+    async updateAutoResponder(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { trigger, response, description, enabled, priority, conditions, locale, timezone, action } = req.body;
+
+            const validation = validateAutoResponderParams({ trigger, response, description, enabled, priority, conditions, locale, timezone, action }, { partial: true });
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            // Switching to a text or reply action needs a response to send
+            const current = messageHandler.getAutoResponder(req.params.id);
+            if (current && responderActionNeedsResponse(action !== undefined ? action : current.action) &&
+                !(response !== undefined ? response : current.response).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: ['response must be a non-empty string']
+                });
+            }
+
+            let parsedTrigger;
+            try {
+                parsedTrigger = trigger !== undefined ? parseTrigger(trigger) : undefined;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid regex pattern'
+                });
+            }
+
+            const responder = messageHandler.updateAutoResponder(req.params.id, {
+                trigger: parsedTrigger,
+                response,
+                description,
+                enabled,
+                priority,
+                conditions,
+                locale,
+                timezone,
+                action
+            });
+
+            if (!responder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Auto-responder not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Auto-responder updated successfully',
+                autoResponder: responder
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update auto-responder'
+            });
+        }
+    }
+
+    // Remove auto-responder
+    async removeAutoResponder(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { id } = req.params;
+
+            if (!id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Responder ID is required'
+                });
+            }
+
+            const removed = messageHandler.removeAutoResponder(id);
+
+            if (removed) {
+                res.json({
+                    success: true,
+                    message: 'Auto-responder removed successfully'
+                });
+            } else {
+                res.status(404).json({
+                    success: false,
+                    error: 'Auto-responder not found'
+                });
+            }
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove auto-responder'
+            });
+        }
+    }
+
+    // Toggle auto-responder
+    async toggleAutoResponder(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Message handler not initialized'
+                });
+            }
+
+            const { id } = req.params;
+            const { enabled } = req.body;
+
+            if (!id) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Responder ID is required'
+                });
+            }
+
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Enabled must be a boolean value'
+                });
+            }
+
+            const toggled = messageHandler.toggleAutoResponder(id, enabled);
+
+            if (toggled) {
                 res.json({
-                    ...result,
-                    hebrew: {
-                        status: 'נשלח בהצלחה'
-                    }
+                    success: true,
+                    message: `Auto-responder ${enabled ? 'enabled' : 'disabled'} successfully`
                 });
             } else {
-                res.status(400).json(result);
+                res.status(404).json({
+                    success: false,
+                    error: 'Auto-responder not found'
+                });
             }
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to send media: ' + error.message
+                error: 'Failed to toggle auto-responder'
             });
         }
     }
 
-    //Get Chats
-    async getChats(req, res) {
+    // Get the custom fields of a contact ({{contact.<field>}} in reply templates)
+    async getContactFields(req, res) {
         try {
-            const chats = await this.whatsappService.getChats();
-            res.json({ success: true, chats });
-        } catch (err) {
-            res.status(500).json({ success: false, error: err.message });
+            const { contactId } = req.params;
+
+            res.json({
+                success: true,
+                contactId: contactId,
+                fields: getContactFields(this.getSessionId(req), contactId)
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get contact fields'
+            });
         }
     }
 
-    //Get Chat info by ID
-    async getChatInfo(req, res) {
+    // Set custom fields of a contact - merged into the existing fields, null removes a field
+    async updateContactFields(req, res) {
         try {
-            const { chatId } = req.params;
-            if (!chatId) {
-                return res.status(400).json({ success: false, error: 'Chat ID is required' });
-            }
-
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            const validation = validateContactFieldsParams(req.body);
+            if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    error: 'WhatsApp service not ready'
+                    errors: validation.errors
                 });
             }
 
-            const chatInfo = await this.whatsappService.getChatInfo(chatId);
-            res.json({ success: true, ...chatInfo });
-        } catch (err) {
-            res.status(500).json({ success: false, error: err.message });
+            const fields = setContactFields(this.getSessionId(req), req.params.contactId, req.body.fields);
+
+            res.json({
+                success: true,
+                contactId: req.params.contactId,
+                fields: fields,
+                hebrew: {
+                    message: 'שדות איש הקשר עודכנו'
+                }
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update contact fields'
+            });
         }
     }
 
-    //Get Chats messages
-    async getChatMessages(req, res) {
+    // Remove one custom field of a contact
+    async deleteContactField(req, res) {
         try {
-            const { chatId } = req.params;
-            if (!chatId) {
-                return res.status(400).json({ success: false, error: 'Chat ID is required' });
+            const { contactId, field } = req.params;
+
+            if (!deleteContactField(this.getSessionId(req), contactId, field)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact field not found'
+                });
             }
-            const messages = await this.whatsappService.getMessages(chatId);
-            res.json({ success: true, messages });
-        } catch (err) {
-            res.status(500).json({ success: false, error: err.message });
-        }
-    }
 
-    //Get unprocessed messages
-    async getUnprocessedMessages(req, res) {
-        try {
-            const messages = db.prepare(`SELECT * FROM messages WHERE processed = 0`).all();
-            res.json({ success: true, messages });
-        } catch (err) {
-            res.status(500).json({ success: false, error: err.message });
+            res.json({
+                success: true,
+                message: 'Contact field removed'
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove contact field'
+            });
         }
     }
 
-    async replyToMessage(req, res) {
+    // Create a conversational flow
+    async createFlow(req, res) {
         try {
-            const { messageId, reply } = req.body;
+            const messageHandler = this.getMessageHandler(req);
 
-            if (!messageId || !reply) {
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Message ID and reply text are required'
+                    error: 'Message handler not initialized'
                 });
             }
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            const validation = validateFlowParams(req.body);
+            if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    error: 'WhatsApp service not ready. Please connect first.',
-                    hebrew: {
-                        error: 'שירות וואטסאפ לא מוכן. אנא התחבר תחילה.'
-                    }
+                    errors: validation.errors
                 });
             }
 
-            const result = await this.whatsappService.replyToMessage(messageId, reply);
-
-            if (result.success) {
-                res.json({
-                    success: true,
-                    message: 'Reply sent successfully',
-                    hebrew: {
-                        status: 'נשלח בהצלחה'
-                    }
+            if (messageHandler.flowEngine.getFlow(req.body.id)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Flow with this ID already exists'
                 });
-            } else {
-                res.status(400).json(result);
             }
+
+            const { id, name, description, trigger, enabled, timeoutSeconds, timezone, keywords, messages, steps } = req.body;
+            const flow = messageHandler.flowEngine.addFlow({ id, name, description, trigger, enabled, timeoutSeconds, timezone, keywords, messages, steps });
+
+            res.status(201).json({
+                success: true,
+                flow,
+                hebrew: {
+                    message: 'התסריט נוצר בהצלחה'
+                }
+            });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to send reply'
+                error: 'Failed to create flow'
             });
         }
     }
 
-    // Get messages
-    async getMessages(req, res) {
+    // List flows
+    async getFlows(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const limit = parseInt(req.query.limit) || 50;
-            const messages = this.messageHandler.getRecentMessages(limit);
+            const flows = messageHandler.flowEngine.getFlows();
 
             res.json({
                 success: true,
-                count: messages.length,
-                messages: messages
+                count: flows.length,
+                flows
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get messages'
+                error: 'Failed to get flows'
             });
         }
     }
 
-    // Get message statistics
-    async getMessageStats(req, res) {
+    // Get a single flow
+    async getFlow(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const stats = this.messageHandler.getMessageStats();
+            const flow = messageHandler.flowEngine.getFlow(req.params.id);
+
+            if (!flow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
+                });
+            }
 
             res.json({
                 success: true,
-                stats: stats
+                flow
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get message statistics'
+                error: 'Failed to get flow'
             });
         }
     }
 
-    // Add auto-responder
-    async addAutoResponder(req, res) {
+    // Update a flow
+    async updateFlow(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const { trigger, response, options } = req.body;
+            const { name, description, trigger, enabled, timeoutSeconds, timezone, keywords, messages, steps } = req.body;
+            const changes = { name, description, trigger, enabled, timeoutSeconds, timezone, keywords, messages, steps };
 
-            if (!trigger || !response) {
+            const validation = validateFlowParams(changes, { partial: true });
+            if (!validation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Trigger and response are required'
+                    errors: validation.errors
                 });
             }
 
-            // Convert string regex to RegExp if needed
-            let parsedTrigger = trigger;
-            if (typeof trigger === 'string' && trigger.startsWith('/') && trigger.includes('/')) {
-                try {
-                    const regexMatch = trigger.match(/^\/(.+)\/([gimuy]*)$/);
-                    if (regexMatch) {
-                        parsedTrigger = new RegExp(regexMatch[1], regexMatch[2]);
-                    }
-                } catch (error) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Invalid regex pattern'
-                    });
-                }
-            }
+            const flow = messageHandler.flowEngine.updateFlow(req.params.id, changes);
 
-            const responderId = this.messageHandler.addAutoResponder(parsedTrigger, response, options || {});
+            if (!flow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
+                });
+            }
 
             res.json({
                 success: true,
-                responderId: responderId,
-                message: 'Auto-responder added successfully'
+                message: 'Flow updated successfully',
+                flow
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to add auto-responder'
+                error: 'Failed to update flow'
             });
         }
     }
 
-    // Get auto-responders
-    async getAutoResponders(req, res) {
+    // Delete a flow; chats in the middle of it are dropped out of it
+    async removeFlow(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const responders = this.messageHandler.getAutoResponders();
+            if (!messageHandler.flowEngine.removeFlow(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
+                });
+            }
 
             res.json({
                 success: true,
-                count: responders.length,
-                autoResponders: responders
+                message: 'Flow removed successfully',
+                hebrew: {
+                    message: 'התסריט נמחק'
+                }
             });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to get auto-responders'
+                error: 'Failed to remove flow'
             });
         }
     }
 
-    // Remove auto-responder
-    async removeAutoResponder(req, res) {
+    // Start a flow in a chat without waiting for its trigger (e.g. a survey after a purchase)
+    async startFlow(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const { id } = req.params;
+            const { chatId } = req.body;
 
-            if (!id) {
+            if (typeof chatId !== 'string' || !/^[\w.-]+@(c|g)\.us$/.test(chatId)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Responder ID is required'
+                    error: 'chatId must be a chat ID ending with @c.us or @g.us'
                 });
             }
 
-            const removed = this.messageHandler.removeAutoResponder(id);
+            // In a group only the given participant answers the flow
+            const isGroup = isGroupId(chatId);
+            const contactId = isGroup ? req.body.contactId : chatId;
+            if (isGroup && (typeof contactId !== 'string' || !/^[\w.-]+@(c\.us|lid)$/.test(contactId))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'contactId (the participant ID ending with @c.us or @lid) is required to start a flow in a group'
+                });
+            }
 
-            if (removed) {
-                res.json({
-                    success: true,
-                    message: 'Auto-responder removed successfully'
+            if (!messageHandler.flowEngine.getFlow(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
                 });
-            } else {
-                res.status(404).json({
+            }
+
+            if (!whatsappService || !whatsappService.isReady) {
+                return res.status(400).json({
                     success: false,
-                    error: 'Auto-responder not found'
+                    error: 'WhatsApp service not ready. Please connect first.'
+                });
+            }
+
+            if (messageHandler.flowEngine.getActiveRun(chatId, contactId)) {
+                return res.status(409).json({
+                    success: false,
+                    error: isGroup ? 'The participant is already in a flow in this group' : 'The chat is already in a flow'
                 });
             }
+
+            const run = await messageHandler.flowEngine.startFlow(req.params.id, chatId, contactId);
+
+            res.status(201).json({
+                success: true,
+                run,
+                hebrew: {
+                    message: 'התסריט הופעל בצ\'אט'
+                }
+            });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to remove auto-responder'
+                error: 'Failed to start flow'
             });
         }
     }
 
-    // Toggle auto-responder
-    async toggleAutoResponder(req, res) {
+    // Runs of a flow with their answers, newest first
+    async getFlowRuns(req, res) {
         try {
-            if (!this.messageHandler) {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
                     error: 'Message handler not initialized'
                 });
             }
 
-            const { id } = req.params;
-            const { enabled } = req.body;
+            const { status } = req.query;
 
-            if (!id) {
+            if (status !== undefined && !RUN_STATUSES.includes(status)) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Responder ID is required'
+                    error: `status must be one of: ${RUN_STATUSES.join(', ')}`
                 });
             }
 
-            if (typeof enabled !== 'boolean') {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+            const offset = parseInt(req.query.offset) || 0;
+            const runs = messageHandler.flowEngine.getRuns({ flowId: req.params.id, status, limit, offset });
+
+            res.json({
+                success: true,
+                count: runs.length,
+                runs
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get flow runs'
+            });
+        }
+    }
+
+    // Cancel a running flow in a chat (the chat is not notified)
+    async cancelFlowRun(req, res) {
+        try {
+            const messageHandler = this.getMessageHandler(req);
+
+            if (!messageHandler) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Enabled must be a boolean value'
+                    error: 'Message handler not initialized'
                 });
             }
 
-            const toggled = this.messageHandler.toggleAutoResponder(id, enabled);
+            const current = messageHandler.flowEngine.getRun(parseInt(req.params.runId));
 
-            if (toggled) {
-                res.json({
-                    success: true,
-                    message: `Auto-responder ${enabled ? 'enabled' : 'disabled'} successfully`
+            if (!current || current.flowId !== req.params.id) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow run not found'
                 });
-            } else {
-                res.status(404).json({
+            }
+
+            const run = messageHandler.flowEngine.cancelRun(current.id);
+
+            if (!run) {
+                return res.status(409).json({
                     success: false,
-                    error: 'Auto-responder not found'
+                    error: `Flow run is already ${current.status}`
                 });
             }
+
+            res.json({
+                success: true,
+                message: 'Flow run cancelled',
+                run
+            });
         } catch (error) {
             logger.apiError(error, req);
             res.status(500).json({
                 success: false,
-                error: 'Failed to toggle auto-responder'
+                error: 'Failed to cancel flow run'
+            });
+        }
+    }
+
+    // Parse phone numbers into E.164 with their region and type; invalid numbers get an error each
+    async normalizePhoneNumbers(req, res) {
+        try {
+            const validation = validatePhoneNormalizeParams(req.body);
+            if (!validation.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: validation.errors
+                });
+            }
+
+            const { phoneNumber, phoneNumbers, countryCode } = req.body;
+            const normalize = (input) => ({ input, ...parsePhoneNumber(input, countryCode) });
+
+            if (phoneNumbers) {
+                const results = phoneNumbers.map(normalize);
+                return res.json({
+                    success: true,
+                    region: resolveRegion(countryCode),
+                    valid: results.filter(result => result.isValid).length,
+                    invalid: results.filter(result => !result.isValid).length,
+                    results
+                });
+            }
+
+            res.json({
+                success: true,
+                region: resolveRegion(countryCode),
+                result: normalize(phoneNumber)
+            });
+        } catch (error) {
+            logger.apiError(error, req);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to normalize phone numbers'
             });
         }
     }
@@ -971,6 +3829,8 @@ class WhatsAppAPIServer {
     // Check if phone number is registered on WhatsApp
     async checkNumber(req, res) {
         try {
+            const whatsappService = this.getWhatsAppService(req);
+
             const { phoneNumber, countryCode } = req.body;
 
             if (!phoneNumber) {
@@ -980,23 +3840,30 @@ class WhatsAppAPIServer {
                 });
             }
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            if (!whatsappService || !whatsappService.isReady) {
                 return res.status(400).json({
                     success: false,
                     error: 'WhatsApp service not ready'
                 });
             }
 
-            const isRegistered = await this.whatsappService.isRegisteredNumber(
-                phoneNumber, 
-                countryCode || '972'
-            );
+            const phone = parsePhoneNumber(phoneNumber, countryCode);
+            if (!phone.isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: phone.error
+                });
+            }
+
+            const isRegistered = await whatsappService.isRegisteredNumber(phone.e164);
 
             res.json({
                 success: true,
                 phoneNumber: phoneNumber,
                 isRegistered: isRegistered,
-                countryCode: countryCode || '972'
+                countryCode: phone.countryCode,
+                e164: phone.e164,
+                type: phone.type
             });
         } catch (error) {
             logger.apiError(error, req);
@@ -1010,14 +3877,16 @@ class WhatsAppAPIServer {
     // Get client information
     async getClientInfo(req, res) {
         try {
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            const whatsappService = this.getWhatsAppService(req);
+
+            if (!whatsappService || !whatsappService.isReady) {
                 return res.status(400).json({
                     success: false,
                     error: 'WhatsApp service not ready'
                 });
             }
 
-            const clientInfo = await this.whatsappService.getClientInfo();
+            const clientInfo = await whatsappService.getClientInfo();
 
             res.json({
                 success: true,
@@ -1035,6 +3904,8 @@ class WhatsAppAPIServer {
     // Handle incoming webhooks
     async handleWebhook(req, res) {
         try {
+            const whatsappService = this.getWhatsAppService(req);
+
             const { phoneNumber, message, countryCode, webhook_token } = req.body;
 
             if (!phoneNumber || !message) {
@@ -1044,18 +3915,14 @@ class WhatsAppAPIServer {
                 });
             }
 
-            if (!this.whatsappService || !this.whatsappService.isReady) {
+            if (!whatsappService || !whatsappService.isReady) {
                 return res.status(400).json({
                     success: false,
                     error: 'WhatsApp service not ready'
                 });
             }
 
-            const result = await this.whatsappService.sendMessage(
-                phoneNumber, 
-                message, 
-                countryCode || '972'
-            );
+            const result = await whatsappService.sendMessage(phoneNumber, message, countryCode);
 
             res.json(result);
         } catch (error) {
@@ -1068,26 +3935,26 @@ class WhatsAppAPIServer {
     }
 
     // Setup default auto-responders
-    setupDefaultAutoResponders() {
-        if (!this.messageHandler) return;
+    setupDefaultAutoResponders(messageHandler) {
+        if (!messageHandler) return;
 
         try {
             //TODO: check if we need to recieve any message from the user automatically
-            // this.messageHandler.addAutoResponder(
+            // messageHandler.addAutoResponder(
             //     /^(שלום|היי|הלו|hello|hi)$/i,
             //     'שלום! תודה שפניתם אלינו. איך אני יכול לעזור לכם היום? 😊',
             //     { id: 'welcome_hebrew', enabled: true }
             // );
 
             // // Help command in Hebrew
-            // this.messageHandler.addAutoResponder(
+            // messageHandler.addAutoResponder(
             //     /^(עזרה|help|\/help)$/i,
             //     'פקודות זמינות:\n- הקלידו "שלום" לברכה\n- הקלידו "סטטוס" לבדיקת מצב\n- הקלידו "מידע" למידע נוסף',
             //     { id: 'help_command_hebrew', enabled: true }
             // );
 
             // Status command in Hebrew
-            // this.messageHandler.addAutoResponder(
+            // messageHandler.addAutoResponder(
             //     /^(סטטוס|status|\/status)$/i,
             //     () => {
             //         const uptime = Math.floor(process.uptime());
@@ -1115,6 +3982,7 @@ class WhatsAppAPIServer {
                 availableEndpoints: [
                     'GET /',
                     'GET /api/health',
+                    'GET /api/sessions',
                     'GET /api/status',
                     'POST /api/connect',
                     'GET /api/qr',
@@ -1166,10 +4034,14 @@ class WhatsAppAPIServer {
         try {
             logger.info('Starting graceful shutdown...');
             
-            if (this.whatsappService) {
-                await this.whatsappService.stop();
-                logger.info('WhatsApp service stopped');
-            }
+            this.outbox.stop();
+            this.scheduler.stop();
+            this.recurringScheduler.stop();
+            this.flowTimeoutMonitor.stop();
+            this.webhookService.stop();
+            this.eventStream.stop();
+            await this.sessionManager.stopAll();
+            logger.info('WhatsApp sessions stopped');
             
             if (this.server) {
                 this.server.close(() => {
@@ -1193,6 +4065,13 @@ class WhatsAppAPIServer {
     // Start the server
     async start() {
         try {
+            this.outbox.start();
+            this.scheduler.start();
+            this.recurringScheduler.start();
+            this.flowTimeoutMonitor.start();
+            this.webhookService.start();
+            this.eventStream.start();
+
             this.server = this.app.listen(this.port, () => {
                 logger.info(`🚀 WhatsApp API Server started on port ${this.port}`);
                 logger.info(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -1215,12 +4094,8 @@ class WhatsAppAPIServer {
                     logger.info('Auto-connecting to WhatsApp...');
                     setTimeout(async () => {
                         try {
-                            if (!this.whatsappService) {
-                                this.whatsappService = new WhatsAppService();
-                                this.messageHandler = new MessageHandler(this.whatsappService);
-                                this.setupDefaultAutoResponders();
-                            }
-                            await this.whatsappService.start();
+                            this.sessionManager.ensureSession();
+                            await this.sessionManager.startAll();
                             logger.info('Auto-connect completed');
                         } catch (error) {
                             logger.error('Auto-connect failed:', error);
@@ -1229,6 +4104,8 @@ class WhatsAppAPIServer {
                 }
             });
 
+            this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
             this.server.on('error', (error) => {
                 if (error.code === 'EADDRINUSE') {
                     logger.error(`Port ${this.port} is already in use`);
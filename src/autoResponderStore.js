@@ -0,0 +1,262 @@
+/**
+ * Auto-Responder Store - persists auto-responders to the auto_responders table
+ * Text triggers are stored as is; regex triggers as their source and flags.
+ */
+
+const db = require('./db/whatsapp.db');
+const logger = require('./utils/logger');
+const { WEEKDAYS } = require('./utils/time');
+
+// "/pattern/flags" strings are regex triggers, anything else matches as text
+const REGEX_TRIGGER_PATTERN = /^\/(.+)\/([dgimsuy]*)$/s;
+
+/**
+ * Parses a trigger given over the API into a RegExp or a text trigger.
+ * Throws a SyntaxError when a regex trigger does not compile.
+ */
+function parseTrigger(trigger) {
+    const match = typeof trigger === 'string' ? trigger.match(REGEX_TRIGGER_PATTERN) : null;
+    return match ? new RegExp(match[1], match[2]) : trigger;
+}
+
+// Regex triggers only see the start of long messages, which bounds the time one match can take
+const MAX_TRIGGER_TEXT_LENGTH = 4096;
+
+const MATCH_MODES = ['first', 'all'];
+
+/**
+ * What a responder does when it fires. "text" sends the response as a new message and "reply"
+ * quotes the triggering message with it; media and documents use the response as their caption.
+ */
+const ACTION_TYPES = ['text', 'reply', 'media', 'document', 'location', 'contact', 'reaction', 'forward'];
+
+// Actions that send the rendered response itself and therefore need one
+const TEXT_ACTION_TYPES = ['text', 'reply'];
+
+function normalizeAction(action = {}) {
+    return {
+        ...action,
+        type: action.type || 'text',
+        quote: action.type === 'reply' || action.quote === true
+    };
+}
+
+/**
+ * Fills in the defaults of a responder's conditions. Only text messages are answered unless
+ * messageTypes says otherwise; schedule days may be given as names ("SUN") or numbers (0 = Sunday).
+ */
+function normalizeConditions(conditions = {}) {
+    const schedule = conditions.schedule
+        ? {
+            ...conditions.schedule,
+            days: (conditions.schedule.days || [0, 1, 2, 3, 4, 5, 6])
+                .map(day => typeof day === 'string' ? WEEKDAYS.indexOf(day.toUpperCase()) : day),
+            outside: conditions.schedule.outside === true
+        }
+        : null;
+
+    return {
+        chatIds: conditions.chatIds || [],
+        excludeChatIds: conditions.excludeChatIds || [],
+        contactIds: conditions.contactIds || [],
+        excludeContactIds: conditions.excludeContactIds || [],
+        chatTypes: conditions.chatTypes || ['private', 'group'],
+        messageTypes: conditions.messageTypes || ['chat'],
+        schedule,
+        cooldownSeconds: conditions.cooldownSeconds || null,
+        maxFiresPerContact: conditions.maxFiresPerContact || null,
+        mentionOnly: conditions.mentionOnly === true
+    };
+}
+
+function toRow(sessionId, responder) {
+    const isRegex = responder.trigger instanceof RegExp;
+
+    return {
+        sessionId,
+        id: responder.id,
+        triggerType: isRegex ? 'regex' : 'text',
+        triggerPattern: isRegex ? responder.trigger.source : responder.trigger,
+        triggerFlags: isRegex ? responder.trigger.flags : '',
+        response: responder.response,
+        description: responder.description || '',
+        enabled: responder.enabled ? 1 : 0,
+        conditions: JSON.stringify(responder.conditions),
+        priority: responder.priority,
+        locale: responder.locale || null,
+        timezone: responder.timezone || null,
+        action: JSON.stringify(responder.action),
+        createdAt: responder.createdAt,
+        updatedAt: responder.updatedAt
+    };
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        trigger: row.triggerType === 'regex' ? new RegExp(row.triggerPattern, row.triggerFlags) : row.triggerPattern,
+        response: row.response,
+        description: row.description,
+        enabled: row.enabled === 1,
+        priority: row.priority,
+        conditions: normalizeConditions(JSON.parse(row.conditions)),
+        locale: row.locale,
+        timezone: row.timezone,
+        action: normalizeAction(row.action ? JSON.parse(row.action) : undefined),
+        persistent: true,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt
+    };
+}
+
+// Responders of a session in creation order; rows that no longer compile are skipped
+function loadAutoResponders(sessionId) {
+    const rows = db.prepare(`SELECT * FROM auto_responders WHERE sessionId = ? ORDER BY createdAt, rowid`).all(sessionId);
+    const responders = [];
+
+    for (const row of rows) {
+        try {
+            responders.push(fromRow(row));
+        } catch (error) {
+            logger.error(`Skipping auto-responder ${row.id} with an invalid trigger: ${error.message}`);
+        }
+    }
+    return responders;
+}
+
+function insertAutoResponder(sessionId, responder) {
+    db.prepare(`
+        INSERT INTO auto_responders (sessionId, id, triggerType, triggerPattern, triggerFlags, response, description, enabled, conditions, priority, locale, timezone, action, createdAt, updatedAt)
+        VALUES (@sessionId, @id, @triggerType, @triggerPattern, @triggerFlags, @response, @description, @enabled, @conditions, @priority, @locale, @timezone, @action, @createdAt, @updatedAt)
+    `).run(toRow(sessionId, responder));
+}
+
+function updateAutoResponder(sessionId, responder) {
+    db.prepare(`
+        UPDATE auto_responders
+        SET triggerType = @triggerType, triggerPattern = @triggerPattern, triggerFlags = @triggerFlags, response = @response,
+            description = @description, enabled = @enabled, conditions = @conditions, priority = @priority,
+            locale = @locale, timezone = @timezone, action = @action, updatedAt = @updatedAt
+        WHERE sessionId = @sessionId AND id = @id
+    `).run(toRow(sessionId, responder));
+}
+
+function deleteAutoResponder(sessionId, id) {
+    deleteFires(sessionId, id);
+    return db.prepare(`DELETE FROM auto_responders WHERE sessionId = ? AND id = ?`).run(sessionId, id).changes > 0;
+}
+
+// How often and when a responder last fired for a contact (cooldown and max-fires checks)
+function getFireStats(sessionId, responderId, contactId) {
+    const row = db.prepare(`
+        SELECT COUNT(*) AS count, MAX(firedAt) AS lastFiredAt FROM auto_responder_fires
+        WHERE sessionId = ? AND responderId = ? AND contactId = ?
+    `).get(sessionId, responderId, contactId);
+
+    return { count: row.count, lastFiredAt: row.lastFiredAt };
+}
+
+/**
+ * Records a fire unless the responder's cooldown or max fires per contact forbid it. The check
+ * and the insert run in one write transaction, so two messages handled at the same time (or by
+ * two processes) cannot both pass the limit. Returns the fire id, or null when over the limit.
+ */
+function claimFire(sessionId, responderId, { chatId, contactId, messageId }, { cooldownSeconds, maxFiresPerContact } = {}) {
+    return db.transaction(() => {
+        const stats = getFireStats(sessionId, responderId, contactId);
+        if (maxFiresPerContact && stats.count >= maxFiresPerContact) {
+            return null;
+        }
+        if (cooldownSeconds && stats.lastFiredAt && Date.now() - stats.lastFiredAt < cooldownSeconds * 1000) {
+            return null;
+        }
+
+        return db.prepare(`
+            INSERT INTO auto_responder_fires (sessionId, responderId, chatId, contactId, messageId, firedAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(sessionId, responderId, chatId, contactId, messageId || null, Date.now()).lastInsertRowid;
+    }).immediate();
+}
+
+// Gives a claimed fire back when the response could not be sent
+function releaseFire(sessionId, fireId) {
+    db.prepare(`DELETE FROM auto_responder_fires WHERE sessionId = ? AND id = ?`).run(sessionId, fireId);
+}
+
+// Responders set up in code are not stored, but their fires are
+function deleteFires(sessionId, responderId) {
+    db.prepare(`DELETE FROM auto_responder_fires WHERE sessionId = ? AND responderId = ?`).run(sessionId, responderId);
+}
+
+/**
+ * Session-wide settings. matchMode first: only the highest-priority matching responder fires;
+ * all: every matching responder fires. groupMessages: whether groups without their own
+ * setting are answered at all.
+ */
+function getSettings(sessionId) {
+    const row = db.prepare(`SELECT matchMode, groupMessages FROM auto_responder_settings WHERE sessionId = ?`).get(sessionId);
+    return {
+        matchMode: row ? row.matchMode : 'first',
+        groupMessages: row ? row.groupMessages === 1 : false
+    };
+}
+
+function saveSettings(sessionId, settings) {
+    db.prepare(`
+        INSERT INTO auto_responder_settings (sessionId, matchMode, groupMessages, updatedAt) VALUES (?, ?, ?, ?)
+        ON CONFLICT(sessionId) DO UPDATE SET
+            matchMode = excluded.matchMode, groupMessages = excluded.groupMessages, updatedAt = excluded.updatedAt
+    `).run(sessionId, settings.matchMode, settings.groupMessages ? 1 : 0, new Date().toISOString());
+}
+
+function formatGroupSettings(row) {
+    return {
+        groupId: row.groupId,
+        enabled: row.enabled === 1,
+        mentionOnly: row.mentionOnly === 1,
+        updatedAt: row.updatedAt
+    };
+}
+
+// Groups with their own setting, overriding the session's groupMessages
+function listGroupSettings(sessionId) {
+    return db.prepare(`SELECT * FROM auto_responder_groups WHERE sessionId = ? ORDER BY groupId`)
+        .all(sessionId)
+        .map(formatGroupSettings);
+}
+
+function saveGroupSettings(sessionId, groupId, { enabled, mentionOnly }) {
+    db.prepare(`
+        INSERT INTO auto_responder_groups (sessionId, groupId, enabled, mentionOnly, updatedAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(sessionId, groupId) DO UPDATE SET
+            enabled = excluded.enabled, mentionOnly = excluded.mentionOnly, updatedAt = excluded.updatedAt
+    `).run(sessionId, groupId, enabled ? 1 : 0, mentionOnly ? 1 : 0, new Date().toISOString());
+
+    return formatGroupSettings(db.prepare(`SELECT * FROM auto_responder_groups WHERE sessionId = ? AND groupId = ?`).get(sessionId, groupId));
+}
+
+function deleteGroupSettings(sessionId, groupId) {
+    return db.prepare(`DELETE FROM auto_responder_groups WHERE sessionId = ? AND groupId = ?`).run(sessionId, groupId).changes > 0;
+}
+
+module.exports = {
+    MATCH_MODES,
+    ACTION_TYPES,
+    TEXT_ACTION_TYPES,
+    MAX_TRIGGER_TEXT_LENGTH,
+    parseTrigger,
+    normalizeConditions,
+    normalizeAction,
+    loadAutoResponders,
+    insertAutoResponder,
+    updateAutoResponder,
+    deleteAutoResponder,
+    claimFire,
+    releaseFire,
+    deleteFires,
+    getSettings,
+    saveSettings,
+    listGroupSettings,
+    saveGroupSettings,
+    deleteGroupSettings
+};
@@ -0,0 +1,57 @@
+/**
+ * Contact Fields - custom per-contact values (e.g. company, tier) available to reply templates
+ * as {{contact.<field>}}
+ */
+
+const db = require('./db/whatsapp.db');
+
+// Plain numbers are read as personal chat IDs
+function normalizeContactId(contactId) {
+    return contactId.includes('@') ? contactId : `${contactId}@c.us`;
+}
+
+function getContactFields(sessionId, contactId) {
+    const fields = {};
+    const rows = db.prepare(`SELECT field, value FROM contact_fields WHERE sessionId = ? AND contactId = ? ORDER BY field`)
+        .all(sessionId, normalizeContactId(contactId));
+
+    for (const row of rows) {
+        fields[row.field] = row.value;
+    }
+    return fields;
+}
+
+// Merges the given fields into the contact's fields; a null value removes the field
+function setContactFields(sessionId, contactId, fields) {
+    const id = normalizeContactId(contactId);
+    const now = new Date().toISOString();
+    const upsert = db.prepare(`
+        INSERT INTO contact_fields (sessionId, contactId, field, value, updatedAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(sessionId, contactId, field) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt
+    `);
+    const remove = db.prepare(`DELETE FROM contact_fields WHERE sessionId = ? AND contactId = ? AND field = ?`);
+
+    db.transaction(() => {
+        for (const [field, value] of Object.entries(fields)) {
+            if (value === null) {
+                remove.run(sessionId, id, field);
+            } else {
+                upsert.run(sessionId, id, field, String(value), now);
+            }
+        }
+    })();
+
+    return getContactFields(sessionId, id);
+}
+
+function deleteContactField(sessionId, contactId, field) {
+    return db.prepare(`DELETE FROM contact_fields WHERE sessionId = ? AND contactId = ? AND field = ?`)
+        .run(sessionId, normalizeContactId(contactId), field).changes > 0;
+}
+
+module.exports = {
+    normalizeContactId,
+    getContactFields,
+    setContactFields,
+    deleteContactField
+};
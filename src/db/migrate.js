@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Database migrations CLI
+ *   node src/db/migrate.js status        - list migrations and whether they are applied
+ *   node src/db/migrate.js up            - apply pending migrations (the server also does this on startup)
+ *   node src/db/migrate.js rollback [n]  - revert the last n applied migrations (default 1)
+ * Stop the server before rolling back.
+ */
+
+const db = require('./connection');
+const { label, getStatus, migrate, rollback } = require('./migrator');
+
+function printStatus() {
+    const { migrations, unknown } = getStatus(db);
+
+    for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${label(migration)} - ${state}`);
+    }
+    for (const version of unknown) {
+        console.log(`⚠️ ${version} - applied, but no migration file exists for it`);
+    }
+
+    const pending = migrations.filter(migration => !migration.applied).length;
+    console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+function main() {
+    const [command = 'status', argument] = process.argv.slice(2);
+
+    switch (command) {
+        case 'status':
+            printStatus();
+            break;
+        case 'up': {
+            const applied = migrate(db);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+            break;
+        }
+        case 'rollback': {
+            const steps = argument === undefined ? 1 : parseInt(argument);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('rollback expects a positive number of steps');
+            }
+            const reverted = rollback(db, { steps });
+            console.log(reverted.length > 0 ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use status, up or rollback [steps]`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
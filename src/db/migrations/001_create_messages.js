@@ -0,0 +1,21 @@
+// טבלת הודעות
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS messages (
+            id TEXT PRIMARY KEY,
+            fromNumber TEXT NOT NULL,
+            toNumber TEXT,
+            body TEXT,
+            timestamp INTEGER,
+            type TEXT,
+            isGroupMsg INTEGER,
+            processed INTEGER DEFAULT 0
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS messages`).run();
+    }
+};
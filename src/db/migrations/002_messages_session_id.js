@@ -0,0 +1,12 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// Messages from every WhatsApp session share one table; rows from before multi-session belong to "default"
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'messages', 'sessionId', `TEXT NOT NULL DEFAULT 'default'`);
+    },
+
+    down(db) {
+        dropColumnIfExists(db, 'messages', 'sessionId');
+    }
+};
@@ -0,0 +1,15 @@
+// טבלת סשנים
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            createdAt TEXT NOT NULL
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS sessions`).run();
+    }
+};
@@ -0,0 +1,29 @@
+// תור הודעות יוצאות
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            type TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            maxAttempts INTEGER NOT NULL DEFAULT 5,
+            nextAttemptAt INTEGER NOT NULL,
+            lastError TEXT,
+            messageId TEXT,
+            result TEXT,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            sentAt TEXT
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_outbox_status_next ON outbox (status, nextAttemptAt)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS outbox`).run();
+    }
+};
@@ -0,0 +1,30 @@
+// הודעות מתוזמנות
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS scheduled_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            chatId TEXT,
+            phoneNumber TEXT,
+            countryCode TEXT,
+            message TEXT,
+            media TEXT,
+            sendAt INTEGER NOT NULL,
+            timezone TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            messageId TEXT,
+            error TEXT,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            sentAt TEXT
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_send ON scheduled_messages (status, sendAt)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS scheduled_messages`).run();
+    }
+};
@@ -0,0 +1,43 @@
+// הודעות חוזרות
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS recurring_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            chatId TEXT NOT NULL,
+            message TEXT NOT NULL,
+            cronExpression TEXT NOT NULL,
+            timezone TEXT NOT NULL,
+            description TEXT,
+            endAt INTEGER,
+            maxOccurrences INTEGER,
+            occurrences INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'active',
+            nextRunAt INTEGER,
+            lastRunAt TEXT,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL
+        )
+        `).run();
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS recurring_message_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            recurringMessageId INTEGER NOT NULL,
+            scheduledFor TEXT NOT NULL,
+            ranAt TEXT NOT NULL,
+            status TEXT NOT NULL,
+            messageId TEXT,
+            error TEXT
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_recurring_runs_message ON recurring_message_runs (recurringMessageId, id)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS recurring_message_runs`).run();
+        db.prepare(`DROP TABLE IF EXISTS recurring_messages`).run();
+    }
+};
@@ -0,0 +1,21 @@
+// מנויי Webhook
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL,
+            events TEXT NOT NULL,
+            filters TEXT NOT NULL DEFAULT '{}',
+            description TEXT,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS webhooks`).run();
+    }
+};
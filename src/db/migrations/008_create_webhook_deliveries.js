@@ -0,0 +1,30 @@
+// משלוחי Webhook (כולל ניסיונות חוזרים ו-dead letter)
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            webhookId INTEGER NOT NULL,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            event TEXT NOT NULL,
+            body TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            maxAttempts INTEGER NOT NULL DEFAULT 8,
+            nextAttemptAt INTEGER NOT NULL,
+            lastError TEXT,
+            responseStatus INTEGER,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            deliveredAt TEXT
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next ON webhook_deliveries (status, nextAttemptAt)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhookId, id)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS webhook_deliveries`).run();
+    }
+};
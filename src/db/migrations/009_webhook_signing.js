@@ -0,0 +1,24 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// Signing secrets (the previous one keeps signing until previousSecretExpiresAt after a rotation)
+// and the unique delivery id sent as X-Webhook-Delivery
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'webhooks', 'secret', 'TEXT');
+        addColumnIfMissing(db, 'webhooks', 'previousSecret', 'TEXT');
+        addColumnIfMissing(db, 'webhooks', 'previousSecretExpiresAt', 'INTEGER');
+        db.prepare(`UPDATE webhooks SET secret = 'whsec_' || lower(hex(randomblob(24))) WHERE secret IS NULL`).run();
+
+        addColumnIfMissing(db, 'webhook_deliveries', 'deliveryId', 'TEXT');
+        db.prepare(`UPDATE webhook_deliveries SET deliveryId = lower(hex(randomblob(16))) WHERE deliveryId IS NULL`).run();
+        db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_delivery_id ON webhook_deliveries (deliveryId)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP INDEX IF EXISTS idx_webhook_deliveries_delivery_id`).run();
+        dropColumnIfExists(db, 'webhook_deliveries', 'deliveryId');
+        dropColumnIfExists(db, 'webhooks', 'previousSecretExpiresAt');
+        dropColumnIfExists(db, 'webhooks', 'previousSecret');
+        dropColumnIfExists(db, 'webhooks', 'secret');
+    }
+};
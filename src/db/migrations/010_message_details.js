@@ -0,0 +1,41 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// Full conversation log: both directions, sender details, quoted message, media metadata, ack and the raw payload
+const COLUMNS = {
+    serializedId: 'TEXT',
+    chatId: 'TEXT',
+    direction: `TEXT NOT NULL DEFAULT 'inbound'`,
+    fromMe: 'INTEGER NOT NULL DEFAULT 0',
+    author: 'TEXT',
+    notifyName: 'TEXT',
+    quotedMsgId: 'TEXT',
+    hasMedia: 'INTEGER NOT NULL DEFAULT 0',
+    mimetype: 'TEXT',
+    filename: 'TEXT',
+    caption: 'TEXT',
+    ack: 'INTEGER',
+    raw: 'TEXT',
+    createdAt: 'TEXT'
+};
+
+module.exports = {
+    up(db) {
+        for (const [column, definition] of Object.entries(COLUMNS)) {
+            addColumnIfMissing(db, 'messages', column, definition);
+        }
+
+        // Rows stored before chatId existed were all inbound
+        db.prepare(`UPDATE messages SET chatId = fromNumber WHERE chatId IS NULL`).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_serialized_id ON messages (serializedId)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_chat ON messages (sessionId, chatId, timestamp)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP INDEX IF EXISTS idx_messages_session_chat`).run();
+        db.prepare(`DROP INDEX IF EXISTS idx_messages_serialized_id`).run();
+        for (const column of Object.keys(COLUMNS).reverse()) {
+            dropColumnIfExists(db, 'messages', column);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+// היסטוריית אישורי מסירה (ack) של הודעות
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS message_acks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            messageId TEXT NOT NULL,
+            ack INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            createdAt TEXT NOT NULL
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_message_acks_message ON message_acks (sessionId, messageId, id)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS message_acks`).run();
+    }
+};
@@ -0,0 +1,27 @@
+// שליחות שלא אושרו (באג markedUnread) עד להתאמה מול message_create
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS unconfirmed_sends (
+            id TEXT PRIMARY KEY,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            chatId TEXT NOT NULL,
+            body TEXT NOT NULL,
+            sentAt INTEGER NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'unconfirmed',
+            messageId TEXT,
+            serializedId TEXT,
+            error TEXT,
+            createdAt TEXT NOT NULL,
+            resolvedAt TEXT
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_unconfirmed_sends_status ON unconfirmed_sends (sessionId, status, chatId)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS unconfirmed_sends`).run();
+    }
+};
@@ -0,0 +1,27 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// Claim/lease state for the inbox of unprocessed incoming messages
+const COLUMNS = {
+    leaseId: 'TEXT',
+    leasedBy: 'TEXT',
+    leaseExpiresAt: 'INTEGER',
+    deliveryCount: 'INTEGER NOT NULL DEFAULT 0',
+    processedAt: 'TEXT'
+};
+
+module.exports = {
+    up(db) {
+        for (const [column, definition] of Object.entries(COLUMNS)) {
+            addColumnIfMissing(db, 'messages', column, definition);
+        }
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_inbox ON messages (sessionId, direction, processed, leaseExpiresAt)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP INDEX IF EXISTS idx_messages_inbox`).run();
+        for (const column of Object.keys(COLUMNS).reverse()) {
+            dropColumnIfExists(db, 'messages', column);
+        }
+    }
+};
@@ -0,0 +1,12 @@
+// אינדקסים לדפדוף וסינון של רשימות הודעות
+module.exports = {
+    up(db) {
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_timestamp ON messages (sessionId, timestamp)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_sender ON messages (sessionId, fromNumber, timestamp)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP INDEX IF EXISTS idx_messages_session_sender`).run();
+        db.prepare(`DROP INDEX IF EXISTS idx_messages_session_timestamp`).run();
+    }
+};
@@ -0,0 +1,45 @@
+// אינדקס חיפוש טקסט מלא (FTS5) על תוכן וכיתוב ההודעות, מסונכרן בטריגרים
+module.exports = {
+    up(db) {
+        // unicode61 keeps Hebrew letters as word characters; prefix indexes speed up "word*" queries
+        db.prepare(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            body,
+            caption,
+            content = 'messages',
+            content_rowid = 'rowid',
+            tokenize = 'unicode61 remove_diacritics 2',
+            prefix = '2 3'
+        )
+        `).run();
+
+        db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+            INSERT INTO messages_fts (rowid, body, caption) VALUES (new.rowid, new.body, new.caption);
+        END
+        `).run();
+
+        db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.rowid, old.body, old.caption);
+        END
+        `).run();
+
+        db.prepare(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body, caption ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.rowid, old.body, old.caption);
+            INSERT INTO messages_fts (rowid, body, caption) VALUES (new.rowid, new.body, new.caption);
+        END
+        `).run();
+
+        // Index the messages stored before this migration
+        db.prepare(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TRIGGER IF EXISTS messages_fts_update`).run();
+        db.prepare(`DROP TRIGGER IF EXISTS messages_fts_delete`).run();
+        db.prepare(`DROP TRIGGER IF EXISTS messages_fts_insert`).run();
+        db.prepare(`DROP TABLE IF EXISTS messages_fts`).run();
+    }
+};
@@ -0,0 +1,24 @@
+// מענים אוטומטיים - נשמרים במסד הנתונים ונטענים מחדש בעליית השרת
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS auto_responders (
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            id TEXT NOT NULL,
+            triggerType TEXT NOT NULL,
+            triggerPattern TEXT NOT NULL,
+            triggerFlags TEXT NOT NULL DEFAULT '',
+            response TEXT NOT NULL,
+            description TEXT NOT NULL DEFAULT '',
+            enabled INTEGER NOT NULL DEFAULT 1,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            PRIMARY KEY (sessionId, id)
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS auto_responders`).run();
+    }
+};
@@ -0,0 +1,38 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// תנאי הפעלה, עדיפות ומעקב הפעלות של מענים אוטומטיים
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'auto_responders', 'conditions', `TEXT NOT NULL DEFAULT '{}'`);
+        addColumnIfMissing(db, 'auto_responders', 'priority', 'INTEGER NOT NULL DEFAULT 0');
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS auto_responder_fires (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            responderId TEXT NOT NULL,
+            chatId TEXT NOT NULL,
+            contactId TEXT NOT NULL,
+            messageId TEXT,
+            firedAt INTEGER NOT NULL
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_auto_responder_fires_contact ON auto_responder_fires (sessionId, responderId, contactId, firedAt)`).run();
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS auto_responder_settings (
+            sessionId TEXT PRIMARY KEY,
+            matchMode TEXT NOT NULL DEFAULT 'first',
+            updatedAt TEXT NOT NULL
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS auto_responder_settings`).run();
+        db.prepare(`DROP TABLE IF EXISTS auto_responder_fires`).run();
+        dropColumnIfExists(db, 'auto_responders', 'priority');
+        dropColumnIfExists(db, 'auto_responders', 'conditions');
+    }
+};
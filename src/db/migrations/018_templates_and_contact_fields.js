@@ -0,0 +1,26 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// שפה/אזור זמן לתבניות תשובה ושדות מותאמים אישית לכל איש קשר
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'auto_responders', 'locale', 'TEXT');
+        addColumnIfMissing(db, 'auto_responders', 'timezone', 'TEXT');
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS contact_fields (
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            contactId TEXT NOT NULL,
+            field TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            PRIMARY KEY (sessionId, contactId, field)
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS contact_fields`).run();
+        dropColumnIfExists(db, 'auto_responders', 'timezone');
+        dropColumnIfExists(db, 'auto_responders', 'locale');
+    }
+};
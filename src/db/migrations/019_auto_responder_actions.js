@@ -0,0 +1,12 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// פעולת המענה האוטומטי (מדיה, מסמך, מיקום, איש קשר, תגובה, ציטוט, העברה) כ-JSON
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'auto_responders', 'action', 'TEXT');
+    },
+
+    down(db) {
+        dropColumnIfExists(db, 'auto_responders', 'action');
+    }
+};
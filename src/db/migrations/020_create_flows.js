@@ -0,0 +1,47 @@
+// תסריטי שיחה (flows) ומצב השיחה לכל צ'אט
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS flows (
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT NOT NULL DEFAULT '',
+            trigger TEXT,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            definition TEXT NOT NULL,
+            createdAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            PRIMARY KEY (sessionId, id)
+        )
+        `).run();
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS flow_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            flowId TEXT NOT NULL,
+            chatId TEXT NOT NULL,
+            contactId TEXT NOT NULL,
+            stepId TEXT,
+            answers TEXT NOT NULL DEFAULT '{}',
+            history TEXT NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'active',
+            expiresAt INTEGER,
+            startedAt TEXT NOT NULL,
+            updatedAt TEXT NOT NULL,
+            endedAt TEXT
+        )
+        `).run();
+
+        // A chat is in at most one flow at a time
+        db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_runs_active_chat ON flow_runs (sessionId, chatId) WHERE status = 'active'`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_flow_runs_flow ON flow_runs (sessionId, flowId, id)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_flow_runs_expiry ON flow_runs (status, expiresAt)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS flow_runs`).run();
+        db.prepare(`DROP TABLE IF EXISTS flows`).run();
+    }
+};
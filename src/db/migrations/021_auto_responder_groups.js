@@ -0,0 +1,24 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schema');
+
+// מענים אוטומטיים בקבוצות - ברירת מחדל לסשן והגדרה לכל קבוצה
+module.exports = {
+    up(db) {
+        addColumnIfMissing(db, 'auto_responder_settings', 'groupMessages', 'INTEGER NOT NULL DEFAULT 0');
+
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS auto_responder_groups (
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            groupId TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            mentionOnly INTEGER NOT NULL DEFAULT 0,
+            updatedAt TEXT NOT NULL,
+            PRIMARY KEY (sessionId, groupId)
+        )
+        `).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS auto_responder_groups`).run();
+        dropColumnIfExists(db, 'auto_responder_settings', 'groupMessages');
+    }
+};
@@ -0,0 +1,27 @@
+// אירועי חברות ועדכונים בקבוצות (הצטרפות, עזיבה, מנהלים, פרטי קבוצה)
+module.exports = {
+    up(db) {
+        db.prepare(`
+        CREATE TABLE IF NOT EXISTS group_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId TEXT NOT NULL DEFAULT 'default',
+            groupId TEXT NOT NULL,
+            event TEXT NOT NULL,
+            type TEXT,
+            actor TEXT,
+            participants TEXT NOT NULL DEFAULT '[]',
+            body TEXT,
+            notificationId TEXT,
+            timestamp INTEGER,
+            createdAt TEXT NOT NULL
+        )
+        `).run();
+
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_group_events_group ON group_events (sessionId, groupId, id)`).run();
+        db.prepare(`CREATE INDEX IF NOT EXISTS idx_group_events_event ON group_events (sessionId, event, id)`).run();
+    },
+
+    down(db) {
+        db.prepare(`DROP TABLE IF EXISTS group_events`).run();
+    }
+};
@@ -0,0 +1,89 @@
+// מפתח ההודעות לפי סשן: אותו מזהה הודעה מגיע לשני צדי השיחה ולכל חברי הקבוצה
+//
+// SQLite cannot change a primary key in place, so the table is rebuilt (rowids are kept for the
+// full-text index) and its indexes and full-text triggers are created again.
+const COLUMNS = [
+    'id', 'sessionId', 'serializedId', 'chatId', 'direction', 'fromNumber', 'toNumber', 'author', 'notifyName',
+    'body', 'timestamp', 'type', 'isGroupMsg', 'fromMe', 'quotedMsgId', 'hasMedia', 'mimetype', 'filename',
+    'caption', 'ack', 'raw', 'processed', 'processedAt', 'leaseId', 'leasedBy', 'leaseExpiresAt', 'deliveryCount',
+    'createdAt'
+];
+
+function rebuildMessages(db, primaryKey) {
+    db.prepare(`
+    CREATE TABLE messages_rebuild (
+        id TEXT NOT NULL,
+        sessionId TEXT NOT NULL DEFAULT 'default',
+        serializedId TEXT,
+        chatId TEXT,
+        direction TEXT NOT NULL DEFAULT 'inbound',
+        fromNumber TEXT NOT NULL,
+        toNumber TEXT,
+        author TEXT,
+        notifyName TEXT,
+        body TEXT,
+        timestamp INTEGER,
+        type TEXT,
+        isGroupMsg INTEGER,
+        fromMe INTEGER NOT NULL DEFAULT 0,
+        quotedMsgId TEXT,
+        hasMedia INTEGER NOT NULL DEFAULT 0,
+        mimetype TEXT,
+        filename TEXT,
+        caption TEXT,
+        ack INTEGER,
+        raw TEXT,
+        processed INTEGER DEFAULT 0,
+        processedAt TEXT,
+        leaseId TEXT,
+        leasedBy TEXT,
+        leaseExpiresAt INTEGER,
+        deliveryCount INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT,
+        PRIMARY KEY (${primaryKey})
+    )
+    `).run();
+
+    // OR IGNORE only matters when rolling back: the same id in two sessions keeps the older row
+    const columns = COLUMNS.join(', ');
+    db.prepare(`INSERT OR IGNORE INTO messages_rebuild (rowid, ${columns}) SELECT rowid, ${columns} FROM messages ORDER BY rowid`).run();
+    db.prepare(`DROP TABLE messages`).run();
+    db.prepare(`ALTER TABLE messages_rebuild RENAME TO messages`).run();
+
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_serialized_id ON messages (serializedId)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_chat ON messages (sessionId, chatId, timestamp)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_inbox ON messages (sessionId, direction, processed, leaseExpiresAt)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_timestamp ON messages (sessionId, timestamp)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_sender ON messages (sessionId, fromNumber, timestamp)`).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, body, caption) VALUES (new.rowid, new.body, new.caption);
+    END
+    `).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.rowid, old.body, old.caption);
+    END
+    `).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body, caption ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.rowid, old.body, old.caption);
+        INSERT INTO messages_fts (rowid, body, caption) VALUES (new.rowid, new.body, new.caption);
+    END
+    `).run();
+
+    db.prepare(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`).run();
+}
+
+module.exports = {
+    up(db) {
+        rebuildMessages(db, 'sessionId, id');
+    },
+
+    down(db) {
+        rebuildMessages(db, 'id');
+    }
+};
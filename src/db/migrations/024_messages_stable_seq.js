@@ -0,0 +1,107 @@
+// מספר רץ קבוע להודעות (seq) - אינדקס החיפוש והסמנים של הדפדוף נשענים עליו במקום rowid
+//
+// The implicit rowid of a table with a TEXT primary key may be renumbered by VACUUM, which would
+// point the full-text index and outstanding cursors at other messages. seq is an INTEGER PRIMARY KEY
+// (an alias of rowid that VACUUM keeps); it starts from the current rowids, so the index stays valid.
+const COLUMNS = [
+    'id', 'sessionId', 'serializedId', 'chatId', 'direction', 'fromNumber', 'toNumber', 'author', 'notifyName',
+    'body', 'timestamp', 'type', 'isGroupMsg', 'fromMe', 'quotedMsgId', 'hasMedia', 'mimetype', 'filename',
+    'caption', 'ack', 'raw', 'processed', 'processedAt', 'leaseId', 'leasedBy', 'leaseExpiresAt', 'deliveryCount',
+    'createdAt'
+];
+
+function rebuildMessages(db, { withSeq }) {
+    db.prepare(`
+    CREATE TABLE messages_rebuild (
+        ${withSeq ? 'seq INTEGER PRIMARY KEY AUTOINCREMENT,' : ''}
+        id TEXT NOT NULL,
+        sessionId TEXT NOT NULL DEFAULT 'default',
+        serializedId TEXT,
+        chatId TEXT,
+        direction TEXT NOT NULL DEFAULT 'inbound',
+        fromNumber TEXT NOT NULL,
+        toNumber TEXT,
+        author TEXT,
+        notifyName TEXT,
+        body TEXT,
+        timestamp INTEGER,
+        type TEXT,
+        isGroupMsg INTEGER,
+        fromMe INTEGER NOT NULL DEFAULT 0,
+        quotedMsgId TEXT,
+        hasMedia INTEGER NOT NULL DEFAULT 0,
+        mimetype TEXT,
+        filename TEXT,
+        caption TEXT,
+        ack INTEGER,
+        raw TEXT,
+        processed INTEGER DEFAULT 0,
+        processedAt TEXT,
+        leaseId TEXT,
+        leasedBy TEXT,
+        leaseExpiresAt INTEGER,
+        deliveryCount INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT,
+        ${withSeq ? 'UNIQUE (sessionId, id)' : 'PRIMARY KEY (sessionId, id)'}
+    )
+    `).run();
+
+    const columns = COLUMNS.join(', ');
+    db.prepare(`
+        INSERT INTO messages_rebuild (${withSeq ? 'seq' : 'rowid'}, ${columns})
+        SELECT ${withSeq ? 'rowid' : 'seq'}, ${columns} FROM messages
+    `).run();
+    db.prepare(`DROP TABLE messages`).run();
+    db.prepare(`ALTER TABLE messages_rebuild RENAME TO messages`).run();
+
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_serialized_id ON messages (serializedId)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_chat ON messages (sessionId, chatId, timestamp)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_inbox ON messages (sessionId, direction, processed, leaseExpiresAt)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_timestamp ON messages (sessionId, timestamp)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_messages_session_sender ON messages (sessionId, fromNumber, timestamp)`).run();
+
+    // The full-text table names its rowid column, so it is created again
+    const key = withSeq ? 'seq' : 'rowid';
+    db.prepare(`DROP TABLE IF EXISTS messages_fts`).run();
+    db.prepare(`
+    CREATE VIRTUAL TABLE messages_fts USING fts5(
+        body,
+        caption,
+        content = 'messages',
+        content_rowid = '${key}',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+    )
+    `).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, body, caption) VALUES (new.${key}, new.body, new.caption);
+    END
+    `).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.${key}, old.body, old.caption);
+    END
+    `).run();
+
+    db.prepare(`
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body, caption ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, body, caption) VALUES ('delete', old.${key}, old.body, old.caption);
+        INSERT INTO messages_fts (rowid, body, caption) VALUES (new.${key}, new.body, new.caption);
+    END
+    `).run();
+
+    db.prepare(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`).run();
+}
+
+module.exports = {
+    up(db) {
+        rebuildMessages(db, { withSeq: true });
+    },
+
+    down(db) {
+        rebuildMessages(db, { withSeq: false });
+    }
+};
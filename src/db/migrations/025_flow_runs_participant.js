@@ -0,0 +1,20 @@
+// בקבוצות כל משתתף עונה לתסריט משלו - שיחה פעילה אחת לכל משתתף בצ'אט
+module.exports = {
+    up(db) {
+        db.prepare(`DROP INDEX IF EXISTS idx_flow_runs_active_chat`).run();
+        db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_runs_active_contact ON flow_runs (sessionId, chatId, contactId) WHERE status = 'active'`).run();
+    },
+
+    down(db) {
+        // Only the newest active run of a group survives the older one-run-per-chat rule
+        db.prepare(`
+            UPDATE flow_runs SET status = 'cancelled', expiresAt = NULL, endedAt = ?
+            WHERE status = 'active' AND id NOT IN (
+                SELECT MAX(id) FROM flow_runs WHERE status = 'active' GROUP BY sessionId, chatId
+            )
+        `).run(new Date().toISOString());
+
+        db.prepare(`DROP INDEX IF EXISTS idx_flow_runs_active_contact`).run();
+        db.prepare(`CREATE UNIQUE INDEX IF NOT EXISTS idx_flow_runs_active_chat ON flow_runs (sessionId, chatId) WHERE status = 'active'`).run();
+    }
+};
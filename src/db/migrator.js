@@ -0,0 +1,120 @@
+/**
+ * Migrator - applies the versioned migrations in src/db/migrations in order.
+ * Files are named "<version>_<name>.js" and export up(db) and down(db); each one runs in a
+ * transaction and is recorded in schema_migrations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// "004_create_outbox" - the same label as the file name
+function label(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function ensureMigrationsTable(db) {
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt TEXT NOT NULL
+    )
+    `).run();
+}
+
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            version: parseInt(match[1]),
+            name: match[2],
+            ...require(path.join(directory, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+function getAppliedVersions(db) {
+    ensureMigrationsTable(db);
+    return new Map(
+        db.prepare(`SELECT version, appliedAt FROM schema_migrations ORDER BY version`).all()
+            .map(row => [row.version, row.appliedAt])
+    );
+}
+
+// Every known migration with its applied state, plus applied versions that have no file (newer code rolled back)
+function getStatus(db, migrations = loadMigrations()) {
+    const applied = getAppliedVersions(db);
+    const status = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.get(migration.version) || null
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    const unknown = [...applied.keys()].filter(version => !known.has(version));
+
+    return { migrations: status, unknown };
+}
+
+// Applies pending migrations in version order; returns the ones that ran
+function migrate(db, { migrations = loadMigrations(), logger = console } = {}) {
+    const applied = getAppliedVersions(db);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare(`INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)`)
+                .run(migration.version, migration.name, new Date().toISOString());
+        })();
+        logger.info(`🗄️ Applied migration ${label(migration)}`);
+    }
+
+    return pending;
+}
+
+// Reverts the last `steps` applied migrations, newest first; returns the ones that were reverted
+function rollback(db, { steps = 1, migrations = loadMigrations(), logger = console } = {}) {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const applied = [...getAppliedVersions(db).keys()].sort((a, b) => b - a).slice(0, steps);
+    const reverted = [];
+
+    for (const version of applied) {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new Error(`Cannot roll back migration ${version}: no migration file for it`);
+        }
+        if (typeof migration.down !== 'function') {
+            throw new Error(`Migration ${label(migration)} cannot be rolled back`);
+        }
+
+        db.transaction(() => {
+            migration.down(db);
+            db.prepare(`DELETE FROM schema_migrations WHERE version = ?`).run(version);
+        })();
+        logger.info(`↩️ Rolled back migration ${label(migration)}`);
+        reverted.push(migration);
+    }
+
+    return reverted;
+}
+
+module.exports = {
+    label,
+    loadMigrations,
+    getStatus,
+    migrate,
+    rollback
+};
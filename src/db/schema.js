@@ -0,0 +1,26 @@
+/**
+ * Schema helpers for migrations. Databases created before migrations existed were built by
+ * ad-hoc CREATE/ALTER statements, so the early migrations only add what is missing.
+ */
+
+function columnExists(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+    if (!columnExists(db, table, column)) {
+        db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    }
+}
+
+function dropColumnIfExists(db, table, column) {
+    if (columnExists(db, table, column)) {
+        db.prepare(`ALTER TABLE ${table} DROP COLUMN ${column}`).run();
+    }
+}
+
+module.exports = {
+    columnExists,
+    addColumnIfMissing,
+    dropColumnIfExists
+};
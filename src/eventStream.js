@@ -0,0 +1,187 @@
+const { WebSocketServer } = require('ws');
+const WhatsAppService = require('./whatsappService');
+const logger = require('./utils/logger');
+
+// Session events plus outbox job updates ("outbox_job")
+const STREAM_EVENTS = [...WhatsAppService.EVENTS, 'outbox_job'];
+
+class EventStream {
+    constructor(sessionManager, outbox, options = {}) {
+        this.sessionManager = sessionManager;
+        this.outbox = outbox;
+        this.heartbeatMs = options.heartbeatMs || parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25000;
+        this.clients = new Set();
+        this.listeners = new Map();
+        this.nextEventId = 1;
+        this.heartbeatTimer = null;
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.onOutboxJob = (job) => this.publish('outbox_job', { sessionId: job.sessionId, ...job });
+    }
+
+    start() {
+        for (const event of WhatsAppService.EVENTS) {
+            const listener = (payload) => this.publish(event, payload);
+            this.listeners.set(event, listener);
+            this.sessionManager.on(event, listener);
+        }
+        this.outbox.on('job', this.onOutboxJob);
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+        logger.info('Event stream started');
+    }
+
+    // Closes every open stream so the HTTP server can shut down
+    stop() {
+        for (const [event, listener] of this.listeners) {
+            this.sessionManager.removeListener(event, listener);
+        }
+        this.listeners.clear();
+        this.outbox.removeListener('job', this.onOutboxJob);
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        for (const client of this.clients) {
+            client.close();
+        }
+        this.clients.clear();
+    }
+
+    // Query string filters: events, chatIds and sessionIds as comma-separated lists
+    parseFilter(query = {}) {
+        const toSet = (value) => {
+            const items = String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+            return items.length > 0 ? new Set(items) : null;
+        };
+
+        return {
+            events: toSet(query.events),
+            chatIds: toSet(query.chatIds),
+            sessionIds: toSet(query.sessionIds)
+        };
+    }
+
+    // The chat filter only applies to events that carry a chatId (or the groupId of group events)
+    matches(filter, event, payload) {
+        const chatId = payload.chatId !== undefined ? payload.chatId : payload.groupId;
+
+        if (filter.events && !filter.events.has(event)) {
+            return false;
+        }
+        if (filter.sessionIds && !filter.sessionIds.has(payload.sessionId)) {
+            return false;
+        }
+        if (filter.chatIds && chatId !== undefined && !filter.chatIds.has(chatId)) {
+            return false;
+        }
+        return true;
+    }
+
+    publish(event, payload) {
+        if (this.clients.size === 0) {
+            return;
+        }
+
+        const { sessionId, ...eventPayload } = payload;
+        const message = {
+            id: this.nextEventId++,
+            event,
+            sessionId,
+            timestamp: new Date().toISOString(),
+            payload: eventPayload
+        };
+
+        for (const client of this.clients) {
+            if (this.matches(client.filter, event, payload)) {
+                try {
+                    client.send(message);
+                } catch (error) {
+                    logger.error(`Failed to push ${event} to ${client.type} client:`, error);
+                }
+            }
+        }
+    }
+
+    addClient(client) {
+        this.clients.add(client);
+        logger.info(`📡 ${client.type} client connected (${this.clients.size} open)`);
+    }
+
+    removeClient(client) {
+        if (this.clients.delete(client)) {
+            logger.info(`📡 ${client.type} client disconnected (${this.clients.size} open)`);
+        }
+    }
+
+    // Server-Sent Events: keeps the response open and writes one "event:" block per event
+    addSseClient(req, res, filter) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const client = {
+            type: 'sse',
+            filter,
+            send: (message) => {
+                res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`);
+            },
+            ping: () => res.write(': ping\n\n'),
+            close: () => res.end()
+        };
+
+        this.addClient(client);
+        req.on('close', () => this.removeClient(client));
+    }
+
+    // Completes a WebSocket upgrade that has already been authenticated
+    handleUpgrade(req, socket, head, filter) {
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            let alive = true;
+            const client = {
+                type: 'websocket',
+                filter,
+                send: (message) => ws.send(JSON.stringify(message)),
+                // A client that missed the previous ping is considered gone
+                ping: () => {
+                    if (!alive) {
+                        ws.terminate();
+                        return;
+                    }
+                    alive = false;
+                    ws.ping();
+                },
+                close: () => ws.close(1001, 'Server shutting down')
+            };
+
+            ws.on('pong', () => {
+                alive = true;
+            });
+            ws.on('close', () => this.removeClient(client));
+            ws.on('error', (error) => logger.error('WebSocket client error:', error));
+
+            this.addClient(client);
+            ws.send(JSON.stringify({ event: 'connected', timestamp: new Date().toISOString() }));
+        });
+    }
+
+    heartbeat() {
+        for (const client of this.clients) {
+            try {
+                client.ping();
+            } catch (error) {
+                this.removeClient(client);
+            }
+        }
+    }
+}
+
+EventStream.STREAM_EVENTS = STREAM_EVENTS;
+
+module.exports = EventStream;
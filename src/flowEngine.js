@@ -0,0 +1,449 @@
+const logger = require('./utils/logger');
+const { DEFAULT_TIMEZONE, parseDateInput, getZonedDate } = require('./utils/time');
+const { parseTemplate, renderTemplate } = require('./utils/template');
+const { MAX_TRIGGER_TEXT_LENGTH, parseTrigger } = require('./autoResponderStore');
+const {
+    normalizeFlow,
+    loadFlows,
+    insertFlow,
+    updateFlow,
+    deleteFlow,
+    getRun,
+    getActiveRun,
+    createRun,
+    saveRun,
+    endRun,
+    listRuns
+} = require('./flowStore');
+
+/**
+ * Runs multi-step conversations (bookings, surveys) for one WhatsApp session. A chat is in at
+ * most one flow at a time; while it is, its messages answer the current step instead of
+ * reaching the auto-responders. Completed runs are published as "flow_completed" events.
+ */
+class FlowEngine {
+    constructor(whatsappService) {
+        this.whatsappService = whatsappService;
+        this.sessionId = whatsappService.sessionId;
+        this.flows = new Map();
+
+        this.loadFlows();
+    }
+
+    loadFlows() {
+        try {
+            for (const flow of loadFlows(this.sessionId)) {
+                this.flows.set(flow.id, this.compileFlow(flow));
+            }
+            if (this.flows.size > 0) {
+                logger.info(`Loaded ${this.flows.size} flow(s) for session ${this.sessionId}`);
+            }
+        } catch (error) {
+            logger.error('Error loading flows:', error);
+        }
+    }
+
+    // Parses the trigger and templates once instead of for every message
+    compileFlow(flow) {
+        const compile = (text) => (text ? parseTemplate(text) : null);
+
+        flow.compiled = {
+            trigger: flow.trigger ? parseTrigger(flow.trigger) : null,
+            messages: Object.fromEntries(Object.entries(flow.messages).map(([key, text]) => [key, compile(text)])),
+            prompts: new Map(flow.steps.map(step => [step.id, compile(step.prompt)])),
+            errors: new Map(flow.steps.map(step => [step.id, compile(step.errorMessage)]))
+        };
+        return flow;
+    }
+
+    formatFlow(flow) {
+        const { compiled, ...fields } = flow;
+        return fields;
+    }
+
+    getFlow(flowId) {
+        const flow = this.flows.get(flowId);
+        return flow ? this.formatFlow(flow) : null;
+    }
+
+    getFlows() {
+        return Array.from(this.flows.values()).map(flow => this.formatFlow(flow));
+    }
+
+    addFlow(params) {
+        const now = new Date().toISOString();
+        const flow = normalizeFlow({ ...params, createdAt: now, updatedAt: now });
+
+        insertFlow(this.sessionId, flow);
+        this.flows.set(flow.id, this.compileFlow(flow));
+        logger.info(`✅ Flow added: ${flow.id}`);
+
+        return this.formatFlow(flow);
+    }
+
+    /**
+     * Replaces the given fields (steps, keywords and messages as a whole). Chats in the middle
+     * of the flow continue with the new definition from the step they are on.
+     */
+    updateFlow(flowId, changes) {
+        const current = this.flows.get(flowId);
+        if (!current) {
+            return null;
+        }
+
+        const defined = (value, fallback) => (value !== undefined ? value : fallback);
+        const flow = normalizeFlow({
+            ...current,
+            name: defined(changes.name, current.name),
+            description: defined(changes.description, current.description),
+            trigger: defined(changes.trigger, current.trigger),
+            enabled: defined(changes.enabled, current.enabled),
+            timeoutSeconds: defined(changes.timeoutSeconds, current.timeoutSeconds),
+            timezone: defined(changes.timezone, current.timezone),
+            keywords: defined(changes.keywords, current.keywords),
+            messages: defined(changes.messages, current.messages),
+            steps: defined(changes.steps, current.steps),
+            updatedAt: new Date().toISOString()
+        });
+
+        updateFlow(this.sessionId, flow);
+        this.flows.set(flowId, this.compileFlow(flow));
+        logger.info(`✏️ Flow updated: ${flowId}`);
+
+        return this.formatFlow(flow);
+    }
+
+    removeFlow(flowId) {
+        const removed = deleteFlow(this.sessionId, flowId);
+        this.flows.delete(flowId);
+        if (removed) {
+            logger.info(`🗑️ Flow removed: ${flowId}`);
+        }
+        return removed;
+    }
+
+    getRun(runId) {
+        return getRun(this.sessionId, runId);
+    }
+
+    getActiveRun(chatId, contactId = chatId) {
+        return getActiveRun(this.sessionId, chatId, contactId);
+    }
+
+    getRuns(filters = {}) {
+        return listRuns(this.sessionId, filters);
+    }
+
+    /**
+     * Handles a message for the flow engine. Returns true when the message was consumed: it
+     * answered a running flow or started one. Runs past their timeout end before the message
+     * is looked at, so it may start a new flow or reach the auto-responders.
+     */
+    async handleMessage(messageData, originalMessage) {
+        const chatId = messageData.from;
+        // In groups the sender is the author - other participants must not answer their run
+        const contactId = messageData.author || chatId;
+        const text = (messageData.body || '').trim();
+
+        let run = getActiveRun(this.sessionId, chatId, contactId);
+        if (run && run.expiresAt && Date.parse(run.expiresAt) <= Date.now()) {
+            await this.expireRun(run);
+            run = null;
+        }
+
+        if (run) {
+            await this.continueRun(run, text, messageData);
+            return true;
+        }
+
+        const flow = this.findTriggeredFlow(text);
+        if (flow) {
+            await this.startFlow(flow.id, chatId, contactId, { name: messageData.notifyName });
+            return true;
+        }
+        return false;
+    }
+
+    // A text trigger starts a flow only when it is the whole message (ignoring case); regexes follow their flags
+    findTriggeredFlow(text) {
+        for (const flow of this.flows.values()) {
+            const trigger = flow.compiled.trigger;
+            if (!flow.enabled || !trigger) {
+                continue;
+            }
+            if (trigger instanceof RegExp) {
+                trigger.lastIndex = 0;
+                if (trigger.test(text.slice(0, MAX_TRIGGER_TEXT_LENGTH))) {
+                    return flow;
+                }
+            } else if (trigger.toLowerCase() === text.toLowerCase()) {
+                return flow;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Starts a flow in a chat and sends its first prompt. In a group contactId is the participant
+     * who answers. Throws when the flow does not exist or the contact is already in a flow there.
+     */
+    async startFlow(flowId, chatId, contactId = chatId, { name } = {}) {
+        const flow = this.flows.get(flowId);
+        if (!flow) {
+            throw new Error(`Flow ${flowId} not found`);
+        }
+        if (getActiveRun(this.sessionId, chatId, contactId)) {
+            throw new Error(`Contact ${contactId} is already in a flow in chat ${chatId}`);
+        }
+
+        const run = createRun(this.sessionId, {
+            flowId,
+            chatId,
+            contactId,
+            stepId: flow.steps[0].id,
+            expiresAt: this.getExpiry(flow)
+        });
+        run.name = name || '';
+
+        logger.info(`💬 Flow ${flowId} started in chat ${chatId} (run ${run.id})`);
+        await this.sendPrompt(flow, flow.steps[0], run);
+
+        return getRun(this.sessionId, run.id);
+    }
+
+    async continueRun(run, text, messageData) {
+        const flow = this.flows.get(run.flowId);
+        const step = flow && flow.steps.find(item => item.id === run.stepId);
+        run.name = messageData.notifyName || '';
+
+        // The flow was deleted or its current step removed by an edit
+        if (!step) {
+            endRun(run.id, 'cancelled');
+            logger.warn(`Flow run ${run.id} cancelled: ${flow ? `step ${run.stepId} no longer exists` : `flow ${run.flowId} no longer exists`}`);
+            return;
+        }
+
+        const keyword = text.toLowerCase();
+        if (flow.keywords.cancel.some(word => word.toLowerCase() === keyword)) {
+            if (endRun(run.id, 'cancelled')) {
+                logger.info(`🚫 Flow run ${run.id} cancelled by ${run.chatId}`);
+                await this.sendMessage(flow, 'cancelled', run);
+            }
+            return;
+        }
+
+        if (flow.keywords.back.some(word => word.toLowerCase() === keyword)) {
+            const previousId = run.history.pop();
+            const previous = previousId && flow.steps.find(item => item.id === previousId);
+            if (previous) {
+                run.stepId = previous.id;
+            }
+            run.expiresAt = this.getExpiry(flow);
+            saveRun(run);
+            await this.sendPrompt(flow, previous || step, run);
+            return;
+        }
+
+        const answer = this.parseAnswer(step, text, flow);
+        if (!answer.valid) {
+            run.expiresAt = this.getExpiry(flow);
+            saveRun(run);
+            const error = flow.compiled.errors.get(step.id) || flow.compiled.messages.invalid;
+            await this.send(run.chatId, error, run);
+            return;
+        }
+
+        run.answers[step.field || step.id] = answer.value;
+        const nextId = this.getNextStepId(flow, step, answer);
+        const next = nextId !== 'end' && flow.steps.find(item => item.id === nextId);
+
+        if (!next) {
+            await this.completeRun(flow, run);
+            return;
+        }
+
+        run.history.push(step.id);
+        run.stepId = next.id;
+        run.expiresAt = this.getExpiry(flow);
+        saveRun(run);
+        await this.sendPrompt(flow, next, run);
+    }
+
+    /**
+     * Validates an answer against the step type. Choices are picked by their number in the
+     * menu, their value or their label. Returns { valid, value, choice }.
+     */
+    parseAnswer(step, text, flow) {
+        if (!text) {
+            return { valid: false };
+        }
+
+        switch (step.type) {
+            case 'number': {
+                const normalized = text.replace(',', '.');
+                if (!/^-?\d+(\.\d+)?$/.test(normalized)) {
+                    return { valid: false };
+                }
+                const value = Number(normalized);
+                const valid = (!step.integer || Number.isInteger(value)) &&
+                    (step.min === undefined || value >= step.min) &&
+                    (step.max === undefined || value <= step.max);
+                return { valid, value };
+            }
+            case 'date': {
+                const timezone = flow.timezone || DEFAULT_TIMEZONE;
+                const value = parseDateInput(text, timezone);
+                const bound = (limit) => (limit === 'today' ? getZonedDate(timezone) : limit);
+                const valid = value !== null &&
+                    (step.min === undefined || value >= bound(step.min)) &&
+                    (step.max === undefined || value <= bound(step.max));
+                return { valid, value };
+            }
+            case 'choice': {
+                const input = text.toLowerCase();
+                const index = /^\d+$/.test(input) ? parseInt(input) - 1 : -1;
+                const choice = step.choices[index] || step.choices.find(item =>
+                    String(item.value).toLowerCase() === input || (item.label || '').toLowerCase() === input);
+                return choice ? { valid: true, value: choice.value, choice } : { valid: false };
+            }
+            default: {
+                const valid = (step.minLength === undefined || text.length >= step.minLength) &&
+                    (step.maxLength === undefined || text.length <= step.maxLength) &&
+                    (!step.pattern || new RegExp(step.pattern, 'u').test(text.slice(0, MAX_TRIGGER_TEXT_LENGTH)));
+                return { valid, value: text };
+            }
+        }
+    }
+
+    // The chosen menu item's next, then the first matching branch, then the step's next, then the following step
+    getNextStepId(flow, step, answer) {
+        if (answer.choice && answer.choice.next) {
+            return answer.choice.next;
+        }
+
+        const branch = (step.branches || []).find(item => this.matchesBranch(item, answer.value));
+        if (branch) {
+            return branch.next;
+        }
+        if (step.next) {
+            return step.next;
+        }
+
+        const index = flow.steps.indexOf(step);
+        return index + 1 < flow.steps.length ? flow.steps[index + 1].id : 'end';
+    }
+
+    matchesBranch(branch, value) {
+        if (branch.equals !== undefined && String(branch.equals) !== String(value)) {
+            return false;
+        }
+        if (branch.in !== undefined && !branch.in.map(String).includes(String(value))) {
+            return false;
+        }
+        if (branch.min !== undefined && !(value >= branch.min)) {
+            return false;
+        }
+        if (branch.max !== undefined && !(value <= branch.max)) {
+            return false;
+        }
+        return true;
+    }
+
+    async completeRun(flow, run) {
+        if (!endRun(run.id, 'completed', run.answers)) {
+            return;
+        }
+
+        const completed = getRun(this.sessionId, run.id);
+        logger.info(`✅ Flow ${flow.id} completed in chat ${run.chatId} (run ${run.id})`);
+
+        await this.sendMessage(flow, 'completed', run);
+
+        // Delivered to webhooks subscribed to flow_completed (optionally filtered by flowIds)
+        this.whatsappService.emit('flow_completed', {
+            flowId: flow.id,
+            runId: completed.id,
+            chatId: completed.chatId,
+            contactId: completed.contactId,
+            answers: completed.answers,
+            startedAt: completed.startedAt,
+            completedAt: completed.endedAt
+        });
+    }
+
+    // Ends a run that timed out and tells the chat, when the session can still send
+    async expireRun(run) {
+        if (!endRun(run.id, 'timed_out')) {
+            return;
+        }
+
+        logger.info(`⌛ Flow run ${run.id} in chat ${run.chatId} timed out`);
+        const flow = this.flows.get(run.flowId);
+        if (flow && this.whatsappService.isReady) {
+            await this.sendMessage(flow, 'timeout', run);
+        }
+    }
+
+    // Cancels a run over the API; the chat is not notified
+    cancelRun(runId) {
+        const run = getRun(this.sessionId, runId);
+        if (!run || !endRun(run.id, 'cancelled')) {
+            return null;
+        }
+
+        logger.info(`🚫 Flow run ${run.id} cancelled`);
+        return getRun(this.sessionId, run.id);
+    }
+
+    getExpiry(flow) {
+        return Date.now() + flow.timeoutSeconds * 1000;
+    }
+
+    // Choice prompts are followed by the numbered menu
+    async sendPrompt(flow, step, run) {
+        let prompt = this.render(flow.compiled.prompts.get(step.id), run);
+        if (step.type === 'choice' && step.showChoices !== false) {
+            const menu = step.choices.map((choice, index) => `${index + 1}. ${choice.label || choice.value}`).join('\n');
+            prompt = prompt ? `${prompt}\n${menu}` : menu;
+        }
+        await this.sendText(run.chatId, prompt);
+    }
+
+    async sendMessage(flow, key, run) {
+        await this.send(run.chatId, flow.compiled.messages[key], run);
+    }
+
+    async send(chatId, template, run) {
+        await this.sendText(chatId, this.render(template, run));
+    }
+
+    async sendText(chatId, text) {
+        if (!text) {
+            return;
+        }
+
+        const result = await this.whatsappService.sendToChat(chatId, text);
+        if (!result.success) {
+            logger.error(`❌ Failed to send flow message to ${chatId}:`, result.error);
+        }
+    }
+
+    // Prompts and messages may use {{answers.<field>}}, {{name}}, {{firstName}} and {{phone}}
+    render(template, run) {
+        if (!template) {
+            return '';
+        }
+
+        const name = run.name || '';
+        return renderTemplate(template, {
+            answers: run.answers,
+            name,
+            firstName: name.split(/\s+/)[0],
+            phone: run.contactId.split('@')[0],
+            contactId: run.contactId,
+            chatId: run.chatId
+        }).trim();
+    }
+}
+
+module.exports = FlowEngine;
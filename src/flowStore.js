@@ -0,0 +1,212 @@
+/**
+ * Flow Store - persists conversational flows (flows table) and the per-chat state of
+ * running flows (flow_runs table)
+ */
+
+const db = require('./db/whatsapp.db');
+
+const DEFAULT_FLOW_TIMEOUT_SECONDS = parseInt(process.env.FLOW_TIMEOUT_SECONDS) || 15 * 60;
+
+const STEP_TYPES = ['text', 'number', 'date', 'choice'];
+const RUN_STATUSES = ['active', 'completed', 'cancelled', 'timed_out'];
+
+const DEFAULT_KEYWORDS = {
+    cancel: ['ביטול', 'cancel'],
+    back: ['חזור', 'back']
+};
+
+// Sent when the flow ends or an answer is rejected; an empty string sends nothing
+const DEFAULT_MESSAGES = {
+    completed: 'תודה! קיבלנו את הפרטים.',
+    cancelled: 'השיחה בוטלה.',
+    timeout: 'השיחה הסתיימה עקב חוסר פעילות.',
+    invalid: 'התשובה לא תקינה, נסה שוב.'
+};
+
+// Fills in the defaults of a flow given over the API
+function normalizeFlow(flow) {
+    return {
+        id: flow.id,
+        name: flow.name,
+        description: flow.description || '',
+        trigger: flow.trigger || null,
+        enabled: flow.enabled !== false,
+        timeoutSeconds: flow.timeoutSeconds || DEFAULT_FLOW_TIMEOUT_SECONDS,
+        timezone: flow.timezone || null,
+        keywords: { ...DEFAULT_KEYWORDS, ...flow.keywords },
+        messages: { ...DEFAULT_MESSAGES, ...flow.messages },
+        steps: flow.steps,
+        createdAt: flow.createdAt,
+        updatedAt: flow.updatedAt
+    };
+}
+
+function toRow(sessionId, flow) {
+    return {
+        sessionId,
+        id: flow.id,
+        name: flow.name,
+        description: flow.description,
+        trigger: flow.trigger,
+        enabled: flow.enabled ? 1 : 0,
+        definition: JSON.stringify({
+            timeoutSeconds: flow.timeoutSeconds,
+            timezone: flow.timezone,
+            keywords: flow.keywords,
+            messages: flow.messages,
+            steps: flow.steps
+        }),
+        createdAt: flow.createdAt,
+        updatedAt: flow.updatedAt
+    };
+}
+
+function fromRow(row) {
+    return normalizeFlow({
+        ...JSON.parse(row.definition),
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        trigger: row.trigger,
+        enabled: row.enabled === 1,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt
+    });
+}
+
+function loadFlows(sessionId) {
+    return db.prepare(`SELECT * FROM flows WHERE sessionId = ? ORDER BY createdAt, rowid`).all(sessionId).map(fromRow);
+}
+
+function insertFlow(sessionId, flow) {
+    db.prepare(`
+        INSERT INTO flows (sessionId, id, name, description, trigger, enabled, definition, createdAt, updatedAt)
+        VALUES (@sessionId, @id, @name, @description, @trigger, @enabled, @definition, @createdAt, @updatedAt)
+    `).run(toRow(sessionId, flow));
+}
+
+function updateFlow(sessionId, flow) {
+    db.prepare(`
+        UPDATE flows
+        SET name = @name, description = @description, trigger = @trigger, enabled = @enabled, definition = @definition, updatedAt = @updatedAt
+        WHERE sessionId = @sessionId AND id = @id
+    `).run(toRow(sessionId, flow));
+}
+
+// Runs still in progress are cancelled; finished runs are kept with their answers
+function deleteFlow(sessionId, id) {
+    return db.transaction(() => {
+        cancelFlowRuns(sessionId, id);
+        return db.prepare(`DELETE FROM flows WHERE sessionId = ? AND id = ?`).run(sessionId, id).changes > 0;
+    })();
+}
+
+function formatRun(row) {
+    return {
+        id: row.id,
+        sessionId: row.sessionId,
+        flowId: row.flowId,
+        chatId: row.chatId,
+        contactId: row.contactId,
+        stepId: row.stepId,
+        answers: JSON.parse(row.answers),
+        history: JSON.parse(row.history),
+        status: row.status,
+        expiresAt: row.expiresAt ? new Date(row.expiresAt).toISOString() : null,
+        startedAt: row.startedAt,
+        updatedAt: row.updatedAt,
+        endedAt: row.endedAt
+    };
+}
+
+function getRun(sessionId, id) {
+    const row = db.prepare(`SELECT * FROM flow_runs WHERE sessionId = ? AND id = ?`).get(sessionId, id);
+    return row ? formatRun(row) : null;
+}
+
+// In a private chat the contact is the chat; in a group each participant answers their own run
+function getActiveRun(sessionId, chatId, contactId = chatId) {
+    const row = db.prepare(`
+        SELECT * FROM flow_runs WHERE sessionId = ? AND chatId = ? AND contactId = ? AND status = 'active'
+    `).get(sessionId, chatId, contactId);
+    return row ? formatRun(row) : null;
+}
+
+function createRun(sessionId, { flowId, chatId, contactId, stepId, expiresAt }) {
+    const now = new Date().toISOString();
+    const info = db.prepare(`
+        INSERT INTO flow_runs (sessionId, flowId, chatId, contactId, stepId, answers, history, status, expiresAt, startedAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, '{}', '[]', 'active', ?, ?, ?)
+    `).run(sessionId, flowId, chatId, contactId, stepId, expiresAt, now, now);
+
+    return getRun(sessionId, info.lastInsertRowid);
+}
+
+// Saves the position and answers of an active run
+function saveRun(run) {
+    db.prepare(`
+        UPDATE flow_runs SET stepId = ?, answers = ?, history = ?, expiresAt = ?, updatedAt = ?
+        WHERE id = ? AND status = 'active'
+    `).run(run.stepId, JSON.stringify(run.answers), JSON.stringify(run.history), run.expiresAt, new Date().toISOString(), run.id);
+}
+
+// Returns false when the run had already ended (e.g. cancelled over the API meanwhile)
+function endRun(id, status, answers = null) {
+    const now = new Date().toISOString();
+    return db.prepare(`
+        UPDATE flow_runs SET status = ?, answers = COALESCE(?, answers), expiresAt = NULL, updatedAt = ?, endedAt = ?
+        WHERE id = ? AND status = 'active'
+    `).run(status, answers ? JSON.stringify(answers) : null, now, now, id).changes > 0;
+}
+
+function cancelFlowRuns(sessionId, flowId) {
+    const now = new Date().toISOString();
+    return db.prepare(`
+        UPDATE flow_runs SET status = 'cancelled', expiresAt = NULL, updatedAt = ?, endedAt = ?
+        WHERE sessionId = ? AND flowId = ? AND status = 'active'
+    `).run(now, now, sessionId, flowId).changes;
+}
+
+function listRuns(sessionId, { flowId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = ['sessionId = ?'];
+    const params = [sessionId];
+
+    if (flowId) {
+        conditions.push('flowId = ?');
+        params.push(flowId);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+
+    return db.prepare(`SELECT * FROM flow_runs WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(formatRun);
+}
+
+// Active runs of every session whose last answer is older than the flow's timeout
+function getExpiredRuns(now = Date.now()) {
+    return db.prepare(`SELECT * FROM flow_runs WHERE status = 'active' AND expiresAt <= ? ORDER BY expiresAt`)
+        .all(now)
+        .map(formatRun);
+}
+
+module.exports = {
+    DEFAULT_FLOW_TIMEOUT_SECONDS,
+    STEP_TYPES,
+    RUN_STATUSES,
+    normalizeFlow,
+    loadFlows,
+    insertFlow,
+    updateFlow,
+    deleteFlow,
+    getRun,
+    getActiveRun,
+    createRun,
+    saveRun,
+    endRun,
+    cancelFlowRuns,
+    listRuns,
+    getExpiredRuns
+};
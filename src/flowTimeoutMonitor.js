@@ -0,0 +1,50 @@
+const logger = require('./utils/logger');
+const { getExpiredRuns } = require('./flowStore');
+
+// Ends flow runs whose chat stopped answering, even if the chat never writes again
+class FlowTimeoutMonitor {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.FLOW_POLL_INTERVAL_MS) || 15000;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info('Flow timeout monitor started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            for (const run of getExpiredRuns()) {
+                const session = this.sessionManager.getSession(run.sessionId);
+
+                // Runs of a deleted session are left for its (recreated) flow engine
+                if (!session) {
+                    continue;
+                }
+
+                await session.messageHandler.flowEngine.expireRun(run);
+            }
+        } catch (error) {
+            logger.error('Error expiring flow runs:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+}
+
+module.exports = FlowTimeoutMonitor;
@@ -0,0 +1,92 @@
+/**
+ * Group Event Store - persists group membership and group update notifications
+ * (group_events table)
+ */
+
+const db = require('./db/whatsapp.db');
+const { encodeCursor } = require('./utils/cursor');
+
+const GROUP_EVENTS = ['group_join', 'group_leave', 'group_admin_changed', 'group_update'];
+
+function formatGroupEvent(row) {
+    return {
+        id: row.id,
+        sessionId: row.sessionId,
+        groupId: row.groupId,
+        event: row.event,
+        type: row.type,
+        actor: row.actor,
+        participants: JSON.parse(row.participants),
+        body: row.body,
+        notificationId: row.notificationId,
+        timestamp: row.timestamp,
+        createdAt: row.createdAt
+    };
+}
+
+// Returns the id of the stored event
+function saveGroupEvent(sessionId, event, notification) {
+    const info = db.prepare(`
+        INSERT INTO group_events (sessionId, groupId, event, type, actor, participants, body, notificationId, timestamp, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        sessionId,
+        notification.groupId,
+        event,
+        notification.type || null,
+        notification.actor || null,
+        JSON.stringify(notification.participants),
+        notification.body || null,
+        notification.id || null,
+        notification.timestamp || null,
+        new Date().toISOString()
+    );
+
+    return info.lastInsertRowid;
+}
+
+/**
+ * Newest first; participant matches both the actor and the affected participants.
+ * after is a decoded cursor ({ id } of the last event of the previous page).
+ * Returns { events, hasMore, nextCursor }.
+ */
+function listGroupEvents(sessionId, { groupId, event, participant, limit = 50, after = null } = {}) {
+    const conditions = ['sessionId = ?'];
+    const params = [sessionId];
+
+    if (groupId) {
+        conditions.push('groupId = ?');
+        params.push(groupId);
+    }
+    if (event) {
+        conditions.push('event = ?');
+        params.push(event);
+    }
+    if (participant) {
+        conditions.push('(actor = ? OR EXISTS (SELECT 1 FROM json_each(group_events.participants) WHERE value = ?))');
+        params.push(participant, participant);
+    }
+    if (after) {
+        conditions.push('id < ?');
+        params.push(after.id);
+    }
+
+    const rows = db.prepare(`SELECT * FROM group_events WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`)
+        .all(...params, limit + 1);
+
+    // One extra row tells whether there is a next page
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return {
+        events: page.map(formatGroupEvent),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ id: page[page.length - 1].id }) : null
+    };
+}
+
+module.exports = {
+    GROUP_EVENTS,
+    saveGroupEvent,
+    listGroupEvents
+};
@@ -1,20 +1,71 @@
+const crypto = require('crypto');
 const logger = require('./utils/logger');
+const { DEFAULT_TIMEZONE, isWithinSchedule } = require('./utils/time');
+const { parseTemplate, renderTemplate } = require('./utils/template');
+const { getContactFields } = require('./contactFields');
+const FlowEngine = require('./flowEngine');
+const {
+    TEXT_ACTION_TYPES,
+    MAX_TRIGGER_TEXT_LENGTH,
+    normalizeConditions,
+    normalizeAction,
+    loadAutoResponders,
+    insertAutoResponder,
+    updateAutoResponder,
+    deleteAutoResponder,
+    claimFire,
+    releaseFire,
+    deleteFires,
+    getSettings,
+    saveSettings,
+    listGroupSettings,
+    saveGroupSettings,
+    deleteGroupSettings
+} = require('./autoResponderStore');
+
+const DEFAULT_TEMPLATE_LOCALE = process.env.TEMPLATE_LOCALE || 'he-IL';
 
 class MessageHandler {
     constructor(whatsappService) {
         this.whatsappService = whatsappService;
+        this.sessionId = whatsappService.sessionId;
         this.autoResponders = new Map();
         this.messageLog = [];
         this.maxLogSize = 1000;
-        
+
+        this.settings = { matchMode: 'first', groupMessages: false };
+        this.groupSettings = new Map();
+        this.flowEngine = new FlowEngine(whatsappService);
+
+        this.loadAutoResponders();
         this.whatsappService.addMessageHandler(this.processMessage.bind(this));
     }
 
+    // Restores the responders configured through the API before the last restart
+    loadAutoResponders() {
+        try {
+            this.settings = getSettings(this.sessionId);
+            for (const group of listGroupSettings(this.sessionId)) {
+                this.groupSettings.set(group.groupId, group);
+            }
+            for (const responder of loadAutoResponders(this.sessionId)) {
+                this.autoResponders.set(responder.id, this.compileResponse(responder));
+            }
+            if (this.autoResponders.size > 0) {
+                logger.info(`Loaded ${this.autoResponders.size} auto-responder(s) for session ${this.sessionId}`);
+            }
+        } catch (error) {
+            logger.error('Error loading auto-responders:', error);
+        }
+    }
+
     async processMessage(messageData, originalMessage) {
         try {
             this.addToMessageLog(messageData);
 
-            if (messageData.isGroupMsg && !this.shouldProcessGroupMessages()) {
+            // In a group that is not enabled only the responders that opt into it run (no flows)
+            const optedInOnly = messageData.isGroupMsg && !this.shouldProcessGroupMessage(messageData.from);
+            if (optedInOnly && !this.hasGroupOptIn(messageData.from)) {
                 logger.debug('Skipping group message processing');
                 return;
             }
@@ -24,7 +75,18 @@ class MessageHandler {
                 return;
             }
 
-            await this.checkAutoResponders(messageData, originalMessage);
+            const isAddressedToMe = this.createAddressedCheck(originalMessage);
+            const group = messageData.isGroupMsg ? this.groupSettings.get(messageData.from) : null;
+            if (group && group.mentionOnly && !(await isAddressedToMe())) {
+                logger.debug(`Skipping group message not addressed to the bot in ${messageData.from}`);
+                return;
+            }
+
+            // A chat in the middle of a flow is answering it, not talking to the auto-responders
+            const inFlow = !optedInOnly && await this.flowEngine.handleMessage(messageData, originalMessage);
+            if (!inFlow) {
+                await this.checkAutoResponders(messageData, originalMessage, isAddressedToMe, { optedInOnly });
+            }
 
             if (!messageData.fromMe) {
                 this.logMessageDetails(messageData);
@@ -50,8 +112,38 @@ class MessageHandler {
         return messageData.fromMe || false;
     }
 
-    shouldProcessGroupMessages() {
-        return false;
+    // Whether the bot was @mentioned or replied to, looked up once and only when a setting asks for it
+    createAddressedCheck(originalMessage) {
+        let addressed;
+        return async () => {
+            if (addressed === undefined) {
+                addressed = await this.whatsappService.isAddressedToMe(originalMessage);
+            }
+            return addressed;
+        };
+    }
+
+    // A group's own setting wins over the session-wide groupMessages default
+    shouldProcessGroupMessage(groupId) {
+        const group = this.groupSettings.get(groupId);
+        return group ? group.enabled : this.settings.groupMessages;
+    }
+
+    /**
+     * A responder answers in a group without groupMessages when it is meant for groups: its chatTypes
+     * are only "group" or its chatIds name the group. A group's own setting still wins over it.
+     */
+    optsIntoGroup(responder, groupId) {
+        const { chatTypes, chatIds } = responder.conditions;
+        return (chatTypes.length === 1 && chatTypes[0] === 'group') || chatIds.includes(groupId);
+    }
+
+    hasGroupOptIn(groupId) {
+        if (this.groupSettings.has(groupId)) {
+            return false;
+        }
+        return Array.from(this.autoResponders.values())
+            .some(responder => responder.enabled && this.optsIntoGroup(responder, groupId));
     }
 
     logMessageDetails(messageData) {
@@ -68,17 +160,39 @@ class MessageHandler {
         logger.info('📝 Message processed:', logData);
     }
 
-    async checkAutoResponders(messageData, originalMessage) {
+    /**
+     * Runs the enabled responders from the highest priority down (ties in creation order).
+     * In "first" mode evaluation stops at the first responder whose trigger and conditions match,
+     * even when its cooldown or fire limit keeps it from answering; in "all" mode every match fires.
+     */
+    async checkAutoResponders(messageData, originalMessage, isAddressedToMe = this.createAddressedCheck(originalMessage), { optedInOnly = false } = {}) {
         try {
-            if (messageData.type !== 'chat') {
-                return;
-            }
+            const responders = Array.from(this.autoResponders.values())
+                .filter(responder => responder.enabled && (!optedInOnly || this.optsIntoGroup(responder, messageData.from)))
+                .sort((a, b) => b.priority - a.priority);
 
-            const messageText = messageData.body.toLowerCase().trim();
+            for (const responder of responders) {
+                if (!this.matchesConditions(responder.conditions, messageData)) {
+                    continue;
+                }
+                const match = this.matchesTrigger(messageData.body || '', responder.trigger);
+                if (!match) {
+                    continue;
+                }
+                if (responder.conditions.mentionOnly && messageData.isGroupMsg && !(await isAddressedToMe())) {
+                    continue;
+                }
 
-            for (const [trigger, responder] of this.autoResponders) {
-                if (responder.enabled && this.matchesTrigger(messageText, responder.trigger)) {
-                    await this.executeAutoResponder(responder, messageData, originalMessage);
+                // The fire is claimed before sending so that concurrent messages see it, and given back if nothing was sent
+                const fireId = this.claimFire(responder, messageData);
+                if (fireId !== null) {
+                    const sent = await this.executeAutoResponder(responder, messageData, originalMessage, match);
+                    if (!sent) {
+                        releaseFire(this.sessionId, fireId);
+                    }
+                }
+
+                if (this.settings.matchMode === 'first') {
                     break;
                 }
             }
@@ -87,14 +201,65 @@ class MessageHandler {
         }
     }
 
+    // The sender: the author inside a group, otherwise the chat itself
+    getContactId(messageData) {
+        return messageData.author || messageData.from;
+    }
+
+    matchesConditions(conditions, messageData) {
+        const chatId = messageData.from;
+        const contactId = this.getContactId(messageData);
+        const chatType = chatId.endsWith('@g.us') ? 'group' : 'private';
+
+        if (!conditions.messageTypes.includes(messageData.type) || !conditions.chatTypes.includes(chatType)) {
+            return false;
+        }
+        if (conditions.chatIds.length > 0 && !conditions.chatIds.includes(chatId)) {
+            return false;
+        }
+        if (conditions.contactIds.length > 0 && !conditions.contactIds.includes(contactId)) {
+            return false;
+        }
+        if (conditions.excludeChatIds.includes(chatId) || conditions.excludeContactIds.includes(contactId)) {
+            return false;
+        }
+        if (conditions.schedule) {
+            const within = isWithinSchedule(conditions.schedule);
+            return conditions.schedule.outside ? !within : within;
+        }
+        return true;
+    }
+
+    // Per-sender cooldown and max fires per contact, for every responder; returns the fire id or null
+    claimFire(responder, messageData) {
+        const contactId = this.getContactId(messageData);
+        const fireId = claimFire(this.sessionId, responder.id, {
+            chatId: messageData.from,
+            contactId,
+            messageId: messageData.id
+        }, responder.conditions);
+
+        if (fireId === null) {
+            logger.debug(`Auto-responder ${responder.id} is cooling down or reached its limit for ${contactId}`);
+        }
+        return fireId;
+    }
+
+    /**
+     * Text triggers match case-insensitively anywhere in the text; regexes follow their own flags.
+     * Returns the match (regex groups for templates) or a falsy value.
+     */
     matchesTrigger(messageText, trigger) {
         try {
             if (typeof trigger === 'string') {
-                return messageText.includes(trigger.toLowerCase());
+                const index = messageText.toLowerCase().indexOf(trigger.toLowerCase());
+                return index === -1 ? null : [messageText.slice(index, index + trigger.length)];
             } else if (trigger instanceof RegExp) {
-                return trigger.test(messageText);
+                // Global/sticky regexes keep state between exec() calls
+                trigger.lastIndex = 0;
+                return trigger.exec(messageText.slice(0, MAX_TRIGGER_TEXT_LENGTH));
             } else if (typeof trigger === 'function') {
-                return trigger(messageText);
+                return trigger(messageText.toLowerCase().trim());
             }
             return false;
         } catch (error) {
@@ -103,51 +268,156 @@ class MessageHandler {
         }
     }
 
-    async executeAutoResponder(responder, messageData, originalMessage) {
+    // Parses a text response once so it is not re-parsed for every message
+    compileResponse(responder) {
+        responder.template = null;
+        if (typeof responder.response === 'string') {
+            try {
+                responder.template = parseTemplate(responder.response);
+            } catch (error) {
+                logger.error(`Auto-responder ${responder.id} has an invalid template, sending it as is: ${error.message}`);
+            }
+        }
+        return responder;
+    }
+
+    // Variables available to reply templates
+    buildTemplateContext(responder, messageData, originalMessage, match) {
+        const contactId = this.getContactId(messageData);
+        const data = (originalMessage && (originalMessage.rawData || originalMessage._data)) || {};
+        const name = messageData.notifyName || data.notifyName || '';
+        const now = new Date();
+        const format = (options) => new Intl.DateTimeFormat(responder.locale || DEFAULT_TEMPLATE_LOCALE, {
+            timeZone: responder.timezone || DEFAULT_TIMEZONE,
+            ...options
+        }).format(now);
+
+        const groups = {};
+        if (Array.isArray(match)) {
+            match.forEach((value, index) => {
+                groups[index] = value || '';
+            });
+            Object.assign(groups, match.groups);
+        }
+
+        return {
+            name,
+            firstName: name.split(/\s+/)[0],
+            phone: contactId.split('@')[0],
+            contactId,
+            chatId: messageData.from,
+            message: messageData.body || '',
+            match: groups,
+            date: format({ dateStyle: 'short' }),
+            time: format({ timeStyle: 'short' }),
+            datetime: format({ dateStyle: 'short', timeStyle: 'short' }),
+            weekday: format({ weekday: 'long' }),
+            contact: getContactFields(this.sessionId, contactId)
+        };
+    }
+
+    async executeAutoResponder(responder, messageData, originalMessage, match) {
         try {
             let response = '';
             
             if (typeof responder.response === 'string') {
-                response = responder.response;
+                response = responder.template
+                    ? renderTemplate(responder.template, this.buildTemplateContext(responder, messageData, originalMessage, match)).trim()
+                    : responder.response;
             } else if (typeof responder.response === 'function') {
                 response = await responder.response(messageData, originalMessage);
             }
 
-            if (response) {
-                const senderNumber = messageData.from.replace('@c.us', '').replace('972', '');
-                
-                const result = await this.whatsappService.sendMessage(senderNumber, response, '972');
-                
-                if (result.success) {
-                    logger.info(`🤖 Auto-response sent to ${senderNumber}: "${response.substring(0, 50)}..."`, {
-                        responderId: responder.id,
-                        trigger: responder.trigger.toString(),
-                        recipient: senderNumber
-                    });
-                } else {
-                    logger.error(`❌ Failed to send auto-response to ${senderNumber}:`, result.error);
-                }
+            const action = responder.action;
+            if (!response && TEXT_ACTION_TYPES.includes(action.type)) {
+                return false;
+            }
+
+            const result = await this.performAction(action, response, messageData, originalMessage);
+
+            if (result.success) {
+                logger.info(`🤖 Auto-response (${action.type}) sent to ${messageData.from}${response ? `: "${response.substring(0, 50)}..."` : ''}`, {
+                    responderId: responder.id,
+                    trigger: responder.trigger.toString(),
+                    recipient: messageData.from
+                });
+            } else {
+                logger.error(`❌ Failed to send auto-response (${action.type}) to ${messageData.from}:`, result.error);
             }
+            return result.success;
         } catch (error) {
             logger.error('Error executing auto-responder:', error);
+            return false;
         }
     }
 
+    /**
+     * Carries out a responder's action in the chat the message came from. `text` is the rendered
+     * response: the message for text/reply and the caption for media and documents.
+     */
+    async performAction(action, text, messageData, originalMessage) {
+        const chatId = messageData.from;
+        const quotedMessageId = action.quote && originalMessage ? originalMessage.id._serialized : undefined;
+
+        if (['reaction', 'forward'].includes(action.type) && !originalMessage) {
+            return { success: false, error: 'The triggering message is not available' };
+        }
+
+        switch (action.type) {
+            case 'media':
+            case 'document':
+                return this.whatsappService.sendMediaFrom(chatId, {
+                    file: action.file,
+                    url: action.url,
+                    filename: action.filename
+                }, {
+                    caption: text || '',
+                    asDocument: action.type === 'document',
+                    quotedMessageId
+                });
+            case 'location':
+                return this.whatsappService.sendLocation(chatId, action, { quotedMessageId });
+            case 'contact':
+                return this.whatsappService.sendContactCard(chatId, action.contactId, { quotedMessageId });
+            case 'reaction':
+                return this.whatsappService.reactToMessage(originalMessage, action.emoji);
+            case 'forward':
+                return this.whatsappService.forwardMessage(originalMessage, action.chatId);
+            default:
+                return this.whatsappService.sendToChat(chatId, text, { quotedMessageId });
+        }
+    }
+
+    /**
+     * Adds a responder. Text/regex triggers with a text response are persisted; responders with
+     * function triggers or responses (set up in code) only live in memory.
+     */
     addAutoResponder(trigger, response, options = {}) {
         try {
-            const responderId = options.id || `responder_${Date.now()}`;
-            
+            const responderId = options.id || `responder_${crypto.randomUUID()}`;
+            const now = new Date().toISOString();
+
             const responder = {
                 id: responderId,
                 trigger: trigger,
                 response: response,
                 enabled: options.enabled !== false,
-                createdAt: new Date().toISOString(),
                 description: options.description || '',
-                ...options
+                priority: options.priority || 0,
+                conditions: normalizeConditions(options.conditions),
+                locale: options.locale || null,
+                timezone: options.timezone || null,
+                action: normalizeAction(options.action),
+                persistent: typeof trigger !== 'function' && typeof response === 'string',
+                createdAt: now,
+                updatedAt: now
             };
 
-            this.autoResponders.set(responderId, responder);
+            if (responder.persistent) {
+                insertAutoResponder(this.sessionId, responder);
+            }
+
+            this.autoResponders.set(responderId, this.compileResponse(responder));
             logger.info(`✅ Auto-responder added: ${responderId}`);
             
             return responderId;
@@ -157,8 +427,46 @@ class MessageHandler {
         }
     }
 
+    // Replaces the given fields (conditions and action as a whole); returns the updated responder or null
+    updateAutoResponder(responderId, changes) {
+        const current = this.autoResponders.get(responderId);
+        if (!current) {
+            return null;
+        }
+
+        const responder = {
+            ...current,
+            trigger: changes.trigger !== undefined ? changes.trigger : current.trigger,
+            response: changes.response !== undefined ? changes.response : current.response,
+            description: changes.description !== undefined ? changes.description : current.description,
+            enabled: changes.enabled !== undefined ? changes.enabled : current.enabled,
+            priority: changes.priority !== undefined ? changes.priority : current.priority,
+            conditions: changes.conditions !== undefined ? normalizeConditions(changes.conditions) : current.conditions,
+            locale: changes.locale !== undefined ? changes.locale : current.locale,
+            timezone: changes.timezone !== undefined ? changes.timezone : current.timezone,
+            action: changes.action !== undefined ? normalizeAction(changes.action) : current.action,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (responder.persistent) {
+            updateAutoResponder(this.sessionId, responder);
+        }
+
+        this.autoResponders.set(responderId, this.compileResponse(responder));
+        logger.info(`✏️ Auto-responder updated: ${responderId}`);
+
+        return this.formatAutoResponder(responder);
+    }
+
     removeAutoResponder(responderId) {
         try {
+            const responder = this.autoResponders.get(responderId);
+            if (responder && responder.persistent) {
+                deleteAutoResponder(this.sessionId, responderId);
+            } else if (responder) {
+                deleteFires(this.sessionId, responderId);
+            }
+
             const removed = this.autoResponders.delete(responderId);
             if (removed) {
                 logger.info(`🗑️ Auto-responder removed: ${responderId}`);
@@ -175,6 +483,10 @@ class MessageHandler {
             const responder = this.autoResponders.get(responderId);
             if (responder) {
                 responder.enabled = enabled;
+                responder.updatedAt = new Date().toISOString();
+                if (responder.persistent) {
+                    updateAutoResponder(this.sessionId, responder);
+                }
                 logger.info(`🔄 Auto-responder ${responderId} ${enabled ? 'enabled' : 'disabled'}`);
                 return true;
             }
@@ -185,11 +497,46 @@ class MessageHandler {
         }
     }
 
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        saveSettings(this.sessionId, this.settings);
+        logger.info(`🔄 Auto-responder settings for session ${this.sessionId}:`, this.settings);
+        return this.settings;
+    }
+
+    getGroupSettings() {
+        return Array.from(this.groupSettings.values());
+    }
+
+    setGroupSettings(groupId, { enabled = true, mentionOnly = false }) {
+        const group = saveGroupSettings(this.sessionId, groupId, { enabled, mentionOnly });
+        this.groupSettings.set(groupId, group);
+        logger.info(`🔄 Auto-responders in group ${groupId}: ${enabled ? (mentionOnly ? 'mentions only' : 'enabled') : 'disabled'}`);
+        return group;
+    }
+
+    removeGroupSettings(groupId) {
+        const removed = deleteGroupSettings(this.sessionId, groupId);
+        this.groupSettings.delete(groupId);
+        return removed;
+    }
+
+    getAutoResponder(responderId) {
+        const responder = this.autoResponders.get(responderId);
+        return responder ? this.formatAutoResponder(responder) : null;
+    }
+
     getAutoResponders() {
-        return Array.from(this.autoResponders.values()).map(responder => ({
-            ...responder,
-            trigger: responder.trigger.toString()
-        }));
+        return Array.from(this.autoResponders.values()).map(responder => this.formatAutoResponder(responder));
+    }
+
+    formatAutoResponder(responder) {
+        const { template, ...fields } = responder;
+        return {
+            ...fields,
+            trigger: responder.trigger.toString(),
+            response: typeof responder.response === 'function' ? '[function]' : responder.response
+        };
     }
 
     getRecentMessages(limit = 50) {
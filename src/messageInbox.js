@@ -0,0 +1,113 @@
+/**
+ * Message Inbox - claim/lease access to unprocessed incoming messages for competing workers.
+ * A claim hides messages from other workers until the visibility timeout passes; the worker then
+ * acks (processed) or nacks (back to the pool) each message with the lease id it got.
+ */
+
+const crypto = require('crypto');
+const db = require('./db/whatsapp.db');
+const { formatMessage } = require('./messageStore');
+
+const DEFAULT_VISIBILITY_TIMEOUT_SECONDS = parseInt(process.env.INBOX_VISIBILITY_TIMEOUT_SECONDS) || 60;
+
+/**
+ * Leases up to `limit` available messages, oldest first. Messages whose lease expired
+ * (the worker crashed or was too slow) are available again.
+ */
+function claimMessages(sessionId, { limit = 10, visibilityTimeoutSeconds = DEFAULT_VISIBILITY_TIMEOUT_SECONDS, consumer = null } = {}) {
+    const leaseId = crypto.randomUUID();
+    const now = Date.now();
+    const leaseExpiresAt = now + visibilityTimeoutSeconds * 1000;
+
+    const rows = db.transaction(() => {
+        const available = db.prepare(`
+            SELECT id FROM messages
+            WHERE sessionId = ? AND direction = 'inbound' AND processed = 0
+              AND (leaseExpiresAt IS NULL OR leaseExpiresAt <= ?)
+            ORDER BY timestamp, id
+            LIMIT ?
+        `).all(sessionId, now, limit);
+
+        const lease = db.prepare(`
+            UPDATE messages SET leaseId = ?, leasedBy = ?, leaseExpiresAt = ?, deliveryCount = deliveryCount + 1
+            WHERE sessionId = ? AND id = ?
+        `);
+        for (const row of available) {
+            lease.run(leaseId, consumer, leaseExpiresAt, sessionId, row.id);
+        }
+
+        return available.length > 0
+            ? db.prepare(`SELECT * FROM messages WHERE sessionId = ? AND leaseId = ? ORDER BY timestamp, id`).all(sessionId, leaseId)
+            : [];
+    })();
+
+    return {
+        leaseId: rows.length > 0 ? leaseId : null,
+        leaseExpiresAt: rows.length > 0 ? new Date(leaseExpiresAt).toISOString() : null,
+        messages: rows.map(row => formatMessage(row))
+    };
+}
+
+function findInboxMessage(sessionId, messageId) {
+    return db.prepare(`
+        SELECT * FROM messages WHERE sessionId = ? AND direction = 'inbound' AND (id = ? OR serializedId = ?)
+    `).get(sessionId, messageId, messageId);
+}
+
+// Checks that the caller still holds the lease; a lease that expired but was not re-claimed is still honored
+function checkLease(row, leaseId) {
+    if (!row) {
+        return 'not_found';
+    }
+    if (row.processed === 1) {
+        return 'already_processed';
+    }
+    if (!row.leaseId || row.leaseId !== leaseId) {
+        return 'lease_mismatch';
+    }
+    return 'ok';
+}
+
+// Marks a leased message as processed. Returns ok | not_found | already_processed | lease_mismatch
+function ackMessage(sessionId, messageId, leaseId) {
+    const row = findInboxMessage(sessionId, messageId);
+    const result = checkLease(row, leaseId);
+
+    if (result === 'ok') {
+        db.prepare(`
+            UPDATE messages SET processed = 1, processedAt = ?, leaseId = NULL, leasedBy = NULL, leaseExpiresAt = NULL
+            WHERE sessionId = ? AND id = ? AND leaseId = ?
+        `).run(new Date().toISOString(), sessionId, row.id, leaseId);
+    }
+    return result;
+}
+
+// Returns a leased message to the pool, optionally hidden for delaySeconds first
+function nackMessage(sessionId, messageId, leaseId, { delaySeconds = 0 } = {}) {
+    const row = findInboxMessage(sessionId, messageId);
+    const result = checkLease(row, leaseId);
+
+    if (result === 'ok') {
+        db.prepare(`
+            UPDATE messages SET leaseId = NULL, leasedBy = NULL, leaseExpiresAt = ?
+            WHERE sessionId = ? AND id = ? AND leaseId = ?
+        `).run(delaySeconds > 0 ? Date.now() + delaySeconds * 1000 : null, sessionId, row.id, leaseId);
+    }
+    return result;
+}
+
+// Marks a message as processed regardless of leases (replies, manual handling)
+function markProcessed(sessionId, messageId) {
+    return db.prepare(`
+        UPDATE messages SET processed = 1, processedAt = COALESCE(processedAt, ?), leaseId = NULL, leasedBy = NULL, leaseExpiresAt = NULL
+        WHERE sessionId = ? AND (id = ? OR serializedId = ?)
+    `).run(new Date().toISOString(), sessionId, messageId, messageId).changes > 0;
+}
+
+module.exports = {
+    DEFAULT_VISIBILITY_TIMEOUT_SECONDS,
+    claimMessages,
+    ackMessage,
+    nackMessage,
+    markProcessed
+};
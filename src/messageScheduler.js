@@ -0,0 +1,233 @@
+const logger = require('./utils/logger');
+const { formatPhoneNumber } = require('./utils/validator');
+const { DEFAULT_PHONE_REGION } = require('./utils/phone');
+const { DEFAULT_TIMEZONE, parseDateTime } = require('./utils/time');
+const db = require('./db/whatsapp.db');
+
+class MessageScheduler {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000;
+        this.timer = null;
+        this.processing = false;
+
+        this.onSessionReady = () => this.processDue();
+    }
+
+    start() {
+        // Schedules interrupted mid-send by a restart are fired again
+        db.prepare(`UPDATE scheduled_messages SET status = 'pending', updatedAt = ? WHERE status = 'sending'`)
+            .run(new Date().toISOString());
+
+        this.sessionManager.on('ready', this.onSessionReady);
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info('Message scheduler started');
+    }
+
+    stop() {
+        this.sessionManager.removeListener('ready', this.onSessionReady);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Resolves { sendAt | delaySeconds, timezone } to a UTC timestamp (ms)
+    resolveSendAt({ sendAt, delaySeconds, timezone }) {
+        if (delaySeconds !== undefined && delaySeconds !== null) {
+            return Date.now() + delaySeconds * 1000;
+        }
+        return parseDateTime(sendAt, timezone || DEFAULT_TIMEZONE);
+    }
+
+    schedule(sessionId, params) {
+        const now = new Date().toISOString();
+        const info = db.prepare(`
+            INSERT INTO scheduled_messages (sessionId, chatId, phoneNumber, countryCode, message, media, sendAt, timezone, status, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        `).run(
+            sessionId,
+            params.chatId || null,
+            params.chatId ? null : params.phoneNumber,
+            params.countryCode || DEFAULT_PHONE_REGION,
+            params.message || null,
+            params.media ? JSON.stringify(params.media) : null,
+            this.resolveSendAt(params),
+            params.timezone || DEFAULT_TIMEZONE,
+            now,
+            now
+        );
+
+        const scheduled = this.get(info.lastInsertRowid);
+        logger.info(`⏰ Message ${scheduled.id} scheduled for ${scheduled.sendAt} (session: ${sessionId})`);
+
+        return scheduled;
+    }
+
+    get(id, sessionId = null) {
+        const row = db.prepare(`SELECT * FROM scheduled_messages WHERE id = ?`).get(id);
+        if (!row || (sessionId && row.sessionId !== sessionId)) {
+            return null;
+        }
+        return this.format(row);
+    }
+
+    list({ sessionId, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (sessionId) {
+            conditions.push('sessionId = ?');
+            params.push(sessionId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`SELECT * FROM scheduled_messages ${where} ORDER BY sendAt LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset)
+            .map(row => this.format(row));
+    }
+
+    format(row) {
+        const media = row.media ? JSON.parse(row.media) : null;
+        if (media && media.mediaBase64) {
+            media.mediaBase64 = `<${media.mediaBase64.length} base64 chars>`;
+        }
+
+        return {
+            id: row.id,
+            sessionId: row.sessionId,
+            chatId: row.chatId,
+            phoneNumber: row.phoneNumber,
+            countryCode: row.countryCode,
+            message: row.message,
+            media,
+            sendAt: new Date(row.sendAt).toISOString(),
+            timezone: row.timezone,
+            status: row.status,
+            messageId: row.messageId,
+            error: row.error,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt,
+            sentAt: row.sentAt
+        };
+    }
+
+    // Only schedules that have not fired yet can be cancelled; returns the updated schedule or null
+    cancel(id, sessionId) {
+        const result = db.prepare(`
+            UPDATE scheduled_messages SET status = 'cancelled', updatedAt = ?
+            WHERE id = ? AND sessionId = ? AND status = 'pending'
+        `).run(new Date().toISOString(), id, sessionId);
+
+        if (result.changes > 0) {
+            logger.info(`🚫 Scheduled message ${id} cancelled`);
+        }
+        return result.changes > 0 ? this.get(id) : null;
+    }
+
+    // Pending and failed schedules can be moved; a failed one becomes pending again
+    reschedule(id, sessionId, params) {
+        const existing = this.get(id, sessionId);
+        if (!existing || !['pending', 'failed'].includes(existing.status)) {
+            return null;
+        }
+
+        const timezone = params.timezone || existing.timezone;
+        db.prepare(`
+            UPDATE scheduled_messages SET sendAt = ?, timezone = ?, status = 'pending', error = NULL, updatedAt = ?
+            WHERE id = ?
+        `).run(this.resolveSendAt({ ...params, timezone }), timezone, new Date().toISOString(), id);
+
+        const scheduled = this.get(id);
+        logger.info(`⏰ Scheduled message ${id} moved to ${scheduled.sendAt}`);
+
+        return scheduled;
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const rows = db.prepare(`
+                SELECT * FROM scheduled_messages
+                WHERE status = 'pending' AND sendAt <= ?
+                ORDER BY sendAt
+            `).all(Date.now());
+
+            for (const row of rows) {
+                const session = this.sessionManager.getSession(row.sessionId);
+
+                // Due schedules wait for their session to become ready instead of failing
+                if (!session || !session.whatsappService.isReady) {
+                    continue;
+                }
+
+                await this.fire(row, session.whatsappService);
+            }
+        } catch (error) {
+            logger.error('Error processing scheduled messages:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async fire(row, whatsappService) {
+        // The due rows were read before the loop: a schedule cancelled or moved since then is not sent
+        const claimed = db.prepare(`
+            UPDATE scheduled_messages SET status = 'sending', updatedAt = ?
+            WHERE id = ? AND status = 'pending' AND sendAt = ?
+        `).run(new Date().toISOString(), row.id, row.sendAt);
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.send(row, whatsappService);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        const now = new Date().toISOString();
+        if (result.success) {
+            db.prepare(`
+                UPDATE scheduled_messages SET status = 'sent', messageId = ?, error = NULL, updatedAt = ?, sentAt = ?
+                WHERE id = ?
+            `).run(result.messageId || null, now, now, row.id);
+            logger.info(`⏰ Scheduled message ${row.id} sent`);
+        } else {
+            db.prepare(`UPDATE scheduled_messages SET status = 'failed', error = ?, updatedAt = ? WHERE id = ?`)
+                .run(result.error, now, row.id);
+            logger.error(`❌ Scheduled message ${row.id} failed: ${result.error}`);
+        }
+    }
+
+    send(row, whatsappService) {
+        if (row.media) {
+            const media = JSON.parse(row.media);
+            const target = row.chatId || formatPhoneNumber(row.phoneNumber, row.countryCode);
+            return whatsappService.sendMedia(
+                target,
+                media.mediaBase64,
+                media.mimetype,
+                media.filename || 'media',
+                media.caption || ''
+            );
+        }
+
+        if (row.chatId) {
+            return whatsappService.sendToChat(row.chatId, row.message);
+        }
+
+        return whatsappService.sendMessage(row.phoneNumber, row.message, row.countryCode);
+    }
+}
+
+module.exports = MessageScheduler;
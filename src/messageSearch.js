@@ -0,0 +1,146 @@
+/**
+ * Message Search - full-text search over stored message bodies and captions (SQLite FTS5)
+ * The messages_fts index is kept in sync with the messages table by triggers (migration 015).
+ */
+
+const db = require('./db/whatsapp.db');
+const { formatMessage } = require('./messageStore');
+
+// Niqqud and cantillation marks - stripped from query terms (stored text is indexed as is)
+const HEBREW_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+const HEBREW_WORD = /^[\u05D0-\u05EA\u05F0-\u05F4']+$/;
+
+// Hebrew attaches prepositions/conjunctions to the word ("ההזמנה", "ובבית"), which the
+// tokenizer keeps as part of the token, so a Hebrew term also matches these prefixed forms
+const HEBREW_PREFIXES = ['ה', 'ו', 'ב', 'כ', 'ל', 'מ', 'ש', 'וה', 'וב', 'ול', 'ומ', 'וש', 'שה', 'שב', 'של', 'כש', 'מה', 'לכ', 'בה'];
+
+const SNIPPET_TOKENS = 16;
+
+function quote(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function termQuery(word) {
+    const prefixSearch = word.length > 1 && word.endsWith('*');
+    const text = (prefixSearch ? word.slice(0, -1) : word).replace(/"/g, '').replace(HEBREW_MARKS, '');
+    if (!text) {
+        return null;
+    }
+
+    const suffix = prefixSearch ? '*' : '';
+    if (!HEBREW_WORD.test(text)) {
+        return `${quote(text)}${suffix}`;
+    }
+
+    const forms = [text, ...HEBREW_PREFIXES.map(prefix => prefix + text)];
+    return `(${forms.map(form => `${quote(form)}${suffix}`).join(' OR ')})`;
+}
+
+/**
+ * Turns a user query into an FTS5 MATCH expression. Supported syntax: words (all must match),
+ * "quoted phrases", word* for prefixes and OR between terms. Everything else is matched literally,
+ * so user input can never be an FTS5 syntax error. Returns null when nothing searchable is left.
+ */
+function buildMatchQuery(query) {
+    const parts = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1] !== undefined) {
+            const phrase = match[1].replace(HEBREW_MARKS, '').trim();
+            if (phrase) {
+                parts.push(quote(phrase));
+            }
+        } else if (match[2] === 'OR') {
+            parts.push('OR');
+        } else {
+            const term = termQuery(match[2]);
+            if (term) {
+                parts.push(term);
+            }
+        }
+    }
+
+    // OR needs a term on both sides
+    const expression = parts.filter((part, index) => part !== 'OR' ||
+        (index > 0 && index < parts.length - 1 && parts[index - 1] !== 'OR'));
+
+    return expression.length > 0 ? expression.join(' ') : null;
+}
+
+/**
+ * Searches messages of a session. Results are ordered by relevance (bm25) or newest first,
+ * each with a snippet where matches are wrapped in highlightStart/highlightEnd.
+ */
+function searchMessages(sessionId, query, options = {}) {
+    const {
+        chatId,
+        sender,
+        direction,
+        since,
+        until,
+        order = 'rank',
+        limit = 20,
+        offset = 0,
+        highlightStart = '<mark>',
+        highlightEnd = '</mark>',
+        includeRaw = false
+    } = options;
+
+    const matchQuery = buildMatchQuery(query);
+    if (!matchQuery) {
+        return { total: 0, results: [] };
+    }
+
+    const conditions = ['messages_fts MATCH ?', 'm.sessionId = ?'];
+    const params = [matchQuery, sessionId];
+
+    if (chatId) {
+        conditions.push('m.chatId = ?');
+        params.push(chatId);
+    }
+    if (sender) {
+        conditions.push('(m.fromNumber = ? OR m.author = ?)');
+        params.push(sender, sender);
+    }
+    if (direction) {
+        conditions.push('m.direction = ?');
+        params.push(direction);
+    }
+    if (since) {
+        conditions.push('m.timestamp >= ?');
+        params.push(Math.ceil(since / 1000));
+    }
+    if (until) {
+        conditions.push('m.timestamp <= ?');
+        params.push(Math.floor(until / 1000));
+    }
+
+    const from = `FROM messages_fts JOIN messages m ON m.seq = messages_fts.rowid WHERE ${conditions.join(' AND ')}`;
+    const total = db.prepare(`SELECT COUNT(*) AS count ${from}`).get(...params).count;
+
+    const rows = db.prepare(`
+        SELECT m.*,
+            snippet(messages_fts, -1, ?, ?, '…', ${SNIPPET_TOKENS}) AS searchSnippet,
+            bm25(messages_fts) AS searchScore
+        ${from}
+        ORDER BY ${order === 'newest' ? 'm.timestamp DESC, m.seq DESC' : 'searchScore, m.timestamp DESC'}
+        LIMIT ? OFFSET ?
+    `).all(highlightStart, highlightEnd, ...params, limit, offset);
+
+    return {
+        total,
+        results: rows.map(({ searchSnippet, searchScore, ...row }) => ({
+            message: formatMessage(row, { includeRaw }),
+            snippet: searchSnippet,
+            // bm25 is lower for better matches; flip it so a higher score ranks first
+            score: Math.round(-searchScore * 1000) / 1000
+        }))
+    };
+}
+
+module.exports = {
+    buildMatchQuery,
+    searchMessages
+};
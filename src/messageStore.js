@@ -0,0 +1,286 @@
+/**
+ * Message Store - persists inbound and outbound WhatsApp messages to the messages table
+ */
+
+const db = require('./db/whatsapp.db');
+const { encodeCursor } = require('./utils/cursor');
+
+// whatsapp-web.js ACK values
+const ACK_STATUSES = {
+    '-1': 'error',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'played'
+};
+
+function getAckStatus(ack) {
+    return ack === null || ack === undefined ? null : (ACK_STATUSES[ack] || 'unknown');
+}
+
+// Raw payload strings longer than this (media thumbnails, link previews) are not stored
+const MAX_RAW_STRING_LENGTH = 4096;
+
+function serializeRaw(message) {
+    const raw = message.rawData || message._data;
+    if (!raw) {
+        return null;
+    }
+
+    return JSON.stringify(raw, (key, value) => {
+        if (typeof value === 'string' && value.length > MAX_RAW_STRING_LENGTH) {
+            return `<${value.length} chars>`;
+        }
+        return value;
+    });
+}
+
+// Maps a whatsapp-web.js Message to a messages row
+function toRow(sessionId, message) {
+    const data = message.rawData || message._data || {};
+    const chatId = message.fromMe ? message.to : message.from;
+
+    return {
+        id: message.id.id,
+        sessionId,
+        serializedId: message.id._serialized,
+        chatId,
+        direction: message.fromMe ? 'outbound' : 'inbound',
+        fromNumber: message.from,
+        toNumber: message.to,
+        author: message.author || null,
+        notifyName: data.notifyName || message.notifyName || null,
+        body: message.body,
+        timestamp: message.timestamp,
+        type: message.type,
+        isGroupMsg: chatId && chatId.endsWith('@g.us') ? 1 : 0,
+        fromMe: message.fromMe ? 1 : 0,
+        quotedMsgId: data.quotedStanzaID || null,
+        hasMedia: message.hasMedia ? 1 : 0,
+        mimetype: data.mimetype || null,
+        filename: data.filename || null,
+        caption: message.hasMedia ? (data.caption || null) : null,
+        ack: message.ack !== undefined ? message.ack : null,
+        raw: serializeRaw(message),
+        // Only inbound messages wait for processing (see /api/messages/unprocessed)
+        processed: message.fromMe ? 1 : 0,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Inserts or refreshes a message. The same message arrives more than once (send result,
+ * message_create, message), so an existing row keeps its processed flag and highest ack.
+ * Rows are keyed per session: both ends of a chat (and every group member) see the same message id.
+ */
+function saveMessage(sessionId, message) {
+    const row = toRow(sessionId, message);
+
+    db.prepare(`
+        INSERT INTO messages (id, sessionId, serializedId, chatId, direction, fromNumber, toNumber, author, notifyName, body, timestamp, type, isGroupMsg, fromMe, quotedMsgId, hasMedia, mimetype, filename, caption, ack, raw, processed, createdAt)
+        VALUES (@id, @sessionId, @serializedId, @chatId, @direction, @fromNumber, @toNumber, @author, @notifyName, @body, @timestamp, @type, @isGroupMsg, @fromMe, @quotedMsgId, @hasMedia, @mimetype, @filename, @caption, @ack, @raw, @processed, @createdAt)
+        ON CONFLICT(sessionId, id) DO UPDATE SET
+            serializedId = excluded.serializedId,
+            chatId = excluded.chatId,
+            direction = excluded.direction,
+            author = COALESCE(excluded.author, messages.author),
+            notifyName = COALESCE(excluded.notifyName, messages.notifyName),
+            body = excluded.body,
+            timestamp = excluded.timestamp,
+            type = excluded.type,
+            isGroupMsg = excluded.isGroupMsg,
+            fromMe = excluded.fromMe,
+            quotedMsgId = COALESCE(excluded.quotedMsgId, messages.quotedMsgId),
+            hasMedia = excluded.hasMedia,
+            mimetype = COALESCE(excluded.mimetype, messages.mimetype),
+            filename = COALESCE(excluded.filename, messages.filename),
+            caption = COALESCE(excluded.caption, messages.caption),
+            ack = CASE
+                WHEN excluded.ack IS NULL THEN messages.ack
+                WHEN messages.ack IS NULL THEN excluded.ack
+                ELSE MAX(messages.ack, excluded.ack)
+            END,
+            raw = COALESCE(excluded.raw, messages.raw)
+    `).run(row);
+
+    return row;
+}
+
+/**
+ * Records an ack transition for a message (by serialized id). Acks only move forward
+ * (sent -> delivered -> read -> played); repeated or older acks are ignored.
+ * Returns true when the transition was new.
+ */
+function recordAck(sessionId, serializedId, ack) {
+    return db.transaction(() => {
+        const last = db.prepare(`
+            SELECT ack FROM message_acks WHERE sessionId = ? AND messageId = ? ORDER BY id DESC LIMIT 1
+        `).get(sessionId, serializedId);
+
+        // An error (-1) can follow any state; otherwise only a higher ack is a transition
+        if (last && ack !== -1 && ack <= last.ack) {
+            return false;
+        }
+        if (last && ack === -1 && last.ack === -1) {
+            return false;
+        }
+
+        db.prepare(`
+            INSERT INTO message_acks (sessionId, messageId, ack, status, createdAt)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(sessionId, serializedId, ack, getAckStatus(ack), new Date().toISOString());
+
+        db.prepare(`UPDATE messages SET ack = ? WHERE serializedId = ? AND sessionId = ?`)
+            .run(ack, serializedId, sessionId);
+
+        return true;
+    })();
+}
+
+// Finds a stored message by its short id (as returned by the send endpoints) or its serialized id
+function findMessage(sessionId, messageId) {
+    return db.prepare(`
+        SELECT * FROM messages WHERE sessionId = ? AND (id = ? OR serializedId = ?)
+    `).get(sessionId, messageId, messageId);
+}
+
+/**
+ * Delivery status of a message: the current ack plus when each state was first reached.
+ * Returns null when neither the message nor any ack for it is known.
+ */
+function getDeliveryStatus(sessionId, messageId) {
+    const message = findMessage(sessionId, messageId);
+    const serializedId = message ? message.serializedId : messageId;
+    const history = db.prepare(`
+        SELECT ack, status, createdAt FROM message_acks WHERE sessionId = ? AND messageId = ? ORDER BY id
+    `).all(sessionId, serializedId);
+
+    if (!message && history.length === 0) {
+        return null;
+    }
+
+    const ack = history.length > 0 ? history[history.length - 1].ack : message.ack;
+    const reachedAt = (minimum) => {
+        const entry = history.find(item => item.ack >= minimum);
+        return entry ? entry.createdAt : null;
+    };
+
+    return {
+        messageId: message ? message.id : null,
+        serializedId,
+        chatId: message ? message.chatId : null,
+        direction: message ? message.direction : null,
+        ack,
+        status: getAckStatus(ack),
+        sentAt: reachedAt(1),
+        deliveredAt: reachedAt(2),
+        readAt: reachedAt(3),
+        playedAt: reachedAt(4),
+        failedAt: (history.find(item => item.ack === -1) || {}).createdAt || null,
+        history
+    };
+}
+
+// Position of a message in list order, used as the anchor for before/after paging
+function getMessagePosition(sessionId, messageId, chatId = null) {
+    const row = db.prepare(`
+        SELECT timestamp, seq FROM messages
+        WHERE sessionId = ? AND (id = ? OR serializedId = ?) AND (? IS NULL OR chatId = ?)
+    `).get(sessionId, messageId, messageId, chatId, chatId);
+
+    return row ? { timestamp: row.timestamp, seq: row.seq } : null;
+}
+
+/**
+ * Lists stored messages with keyset pagination, ordered by timestamp (then insertion order, seq).
+ * `after` is a decoded cursor position: only messages past it in the requested order are returned.
+ * Timestamps in `since`/`until` are in ms; message timestamps are WhatsApp's unix seconds.
+ */
+function listMessages(sessionId, filters = {}, { limit = 50, order = 'desc', after = null, includeRaw = false } = {}) {
+    const conditions = ['sessionId = ?'];
+    const params = [sessionId];
+
+    if (filters.chatId) {
+        conditions.push('chatId = ?');
+        params.push(filters.chatId);
+    }
+    // In groups the sender is the author; in private chats it is the from number
+    if (filters.sender) {
+        conditions.push('(fromNumber = ? OR author = ?)');
+        params.push(filters.sender, filters.sender);
+    }
+    if (filters.direction) {
+        conditions.push('direction = ?');
+        params.push(filters.direction);
+    }
+    if (filters.types && filters.types.length > 0) {
+        conditions.push(`type IN (${filters.types.map(() => '?').join(', ')})`);
+        params.push(...filters.types);
+    }
+    if (filters.fromMe !== undefined) {
+        conditions.push('fromMe = ?');
+        params.push(filters.fromMe ? 1 : 0);
+    }
+    if (filters.processed !== undefined) {
+        conditions.push('processed = ?');
+        params.push(filters.processed ? 1 : 0);
+    }
+    if (filters.since) {
+        conditions.push('timestamp >= ?');
+        params.push(Math.ceil(filters.since / 1000));
+    }
+    if (filters.until) {
+        conditions.push('timestamp <= ?');
+        params.push(Math.floor(filters.until / 1000));
+    }
+
+    const descending = order !== 'asc';
+    if (after) {
+        const operator = descending ? '<' : '>';
+        conditions.push(`(timestamp ${operator} ? OR (timestamp = ? AND seq ${operator} ?))`);
+        params.push(after.timestamp, after.timestamp, after.seq);
+    }
+
+    const direction = descending ? 'DESC' : 'ASC';
+    const rows = db.prepare(`
+        SELECT * FROM messages
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp ${direction}, seq ${direction}
+        LIMIT ?
+    `).all(...params, limit + 1);
+
+    // One extra row tells whether there is a next page
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+        messages: page.map(row => formatMessage(row, { includeRaw })),
+        hasMore,
+        nextCursor: hasMore
+            ? encodeCursor({ timestamp: last.timestamp, seq: last.seq, order: descending ? 'desc' : 'asc' })
+            : null
+    };
+}
+
+// The raw WhatsApp payload can be large, so it is only returned when asked for; seq is internal
+function formatMessage(row, { includeRaw = false } = {}) {
+    const { raw, seq, ...message } = row;
+    if (includeRaw) {
+        message.raw = raw ? JSON.parse(raw) : null;
+    }
+    return message;
+}
+
+module.exports = {
+    ACK_STATUSES,
+    getAckStatus,
+    saveMessage,
+    recordAck,
+    findMessage,
+    getDeliveryStatus,
+    getMessagePosition,
+    listMessages,
+    formatMessage
+};
@@ -0,0 +1,260 @@
+const EventEmitter = require('events');
+const logger = require('./utils/logger');
+const db = require('./db/whatsapp.db');
+
+const JOB_TYPES = ['message', 'chat', 'media'];
+
+// Errors that will fail the same way on every attempt - these jobs are failed without retrying
+const PERMANENT_ERROR_PATTERNS = [
+    // Rejections of parsePhoneNumber (utils/phone.js)
+    /invalid phone number/i,
+    /invalid international phone number/i,
+    /unknown country code/i,
+    /phone number is required/i,
+    /phone number must be a string/i,
+    /not registered on whatsapp/i,
+    /message cannot be empty/i
+];
+
+const NOT_READY_PATTERN = /not ready/i;
+
+class OutboxQueue extends EventEmitter {
+    constructor(sessionManager, options = {}) {
+        super();
+        this.sessionManager = sessionManager;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+        this.retryBaseMs = options.retryBaseMs || parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 5000;
+        this.retryMaxMs = options.retryMaxMs || parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 5 * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 2000;
+        this.batchSize = 20;
+        this.timer = null;
+        this.processing = false;
+
+        this.onSessionReady = ({ sessionId }) => {
+            logger.info(`📬 Session ${sessionId} is ready - flushing outbox`);
+            this.processDue();
+        };
+    }
+
+    start() {
+        // Jobs left in "sending" by a crash are retried; WhatsApp may or may not have delivered them
+        const reset = db.prepare(`UPDATE outbox SET status = 'queued', updatedAt = ? WHERE status = 'sending'`)
+            .run(new Date().toISOString());
+        if (reset.changes > 0) {
+            logger.warn(`Re-queued ${reset.changes} outbox job(s) interrupted by a restart`);
+        }
+
+        this.sessionManager.on('ready', this.onSessionReady);
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info('Outbox queue started');
+    }
+
+    stop() {
+        this.sessionManager.removeListener('ready', this.onSessionReady);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    enqueue(sessionId, type, payload, options = {}) {
+        if (!JOB_TYPES.includes(type)) {
+            throw new Error(`Unknown outbox job type: ${type}`);
+        }
+
+        const now = new Date().toISOString();
+        const info = db.prepare(`
+            INSERT INTO outbox (sessionId, type, payload, status, attempts, maxAttempts, nextAttemptAt, createdAt, updatedAt)
+            VALUES (?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+        `).run(
+            sessionId,
+            type,
+            JSON.stringify(payload),
+            options.maxAttempts || this.maxAttempts,
+            options.notBefore || Date.now(),
+            now,
+            now
+        );
+
+        logger.info(`📥 Outbox job ${info.lastInsertRowid} queued (${type}, session: ${sessionId})`);
+        const job = this.getJob(info.lastInsertRowid);
+        this.emit('job', job);
+
+        return job;
+    }
+
+    getRow(id) {
+        return db.prepare(`SELECT * FROM outbox WHERE id = ?`).get(id);
+    }
+
+    getJob(id, sessionId = null) {
+        const row = this.getRow(id);
+        if (!row || (sessionId && row.sessionId !== sessionId)) {
+            return null;
+        }
+        return this.formatJob(row);
+    }
+
+    listJobs({ sessionId, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (sessionId) {
+            conditions.push('sessionId = ?');
+            params.push(sessionId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = db.prepare(`SELECT * FROM outbox ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset);
+
+        return rows.map(row => this.formatJob(row));
+    }
+
+    // Media payloads are not echoed back - they can be several megabytes of base64
+    formatJob(row) {
+        const payload = JSON.parse(row.payload);
+        if (payload.mediaBase64) {
+            payload.mediaBase64 = `<${payload.mediaBase64.length} base64 chars>`;
+        }
+
+        return {
+            id: row.id,
+            sessionId: row.sessionId,
+            type: row.type,
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.maxAttempts,
+            nextAttemptAt: row.status === 'queued' ? new Date(row.nextAttemptAt).toISOString() : null,
+            lastError: row.lastError,
+            messageId: row.messageId,
+            result: row.result ? JSON.parse(row.result) : null,
+            payload,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt,
+            sentAt: row.sentAt
+        };
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const rows = db.prepare(`
+                SELECT id, sessionId FROM outbox
+                WHERE status = 'queued' AND nextAttemptAt <= ?
+                ORDER BY id
+                LIMIT ?
+            `).all(Date.now(), this.batchSize);
+
+            for (const row of rows) {
+                if (!this.isSessionReady(row.sessionId)) {
+                    continue;
+                }
+                await this.processJob(row.id);
+            }
+        } catch (error) {
+            logger.error('Error processing outbox:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    isSessionReady(sessionId) {
+        const session = this.sessionManager.getSession(sessionId);
+        return !!(session && session.whatsappService.isReady);
+    }
+
+    // Attempts one delivery of a queued job and returns the updated job
+    async processJob(id) {
+        const now = new Date().toISOString();
+        const claimed = db.prepare(`UPDATE outbox SET status = 'sending', updatedAt = ? WHERE id = ? AND status = 'queued'`)
+            .run(now, id);
+        if (claimed.changes === 0) {
+            return this.getJob(id);
+        }
+
+        const row = this.getRow(id);
+        const session = this.sessionManager.getSession(row.sessionId);
+
+        if (!session || !session.whatsappService.isReady) {
+            // Waiting for a connection does not use up an attempt
+            db.prepare(`UPDATE outbox SET status = 'queued', updatedAt = ? WHERE id = ?`).run(now, id);
+            return this.getJob(id);
+        }
+
+        let result;
+        try {
+            result = await this.dispatch(session.whatsappService, row.type, JSON.parse(row.payload));
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        const attempts = row.attempts + 1;
+        const updatedAt = new Date().toISOString();
+
+        if (result.success) {
+            db.prepare(`
+                UPDATE outbox SET status = 'sent', attempts = ?, messageId = ?, result = ?, lastError = NULL, updatedAt = ?, sentAt = ?
+                WHERE id = ?
+            `).run(attempts, result.messageId || null, JSON.stringify(result), updatedAt, updatedAt, id);
+            logger.info(`📤 Outbox job ${id} sent (attempt ${attempts})`);
+        } else if (NOT_READY_PATTERN.test(result.error || '')) {
+            db.prepare(`UPDATE outbox SET status = 'queued', lastError = ?, updatedAt = ? WHERE id = ?`)
+                .run(result.error, updatedAt, id);
+        } else if (this.isPermanentError(result.error) || attempts >= row.maxAttempts) {
+            db.prepare(`UPDATE outbox SET status = 'failed', attempts = ?, lastError = ?, updatedAt = ? WHERE id = ?`)
+                .run(attempts, result.error, updatedAt, id);
+            logger.error(`❌ Outbox job ${id} failed after ${attempts} attempt(s): ${result.error}`);
+        } else {
+            const delay = this.getRetryDelay(attempts);
+            db.prepare(`UPDATE outbox SET status = 'queued', attempts = ?, lastError = ?, nextAttemptAt = ?, updatedAt = ? WHERE id = ?`)
+                .run(attempts, result.error, Date.now() + delay, updatedAt, id);
+            logger.warn(`⚠️ Outbox job ${id} attempt ${attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${result.error}`);
+        }
+
+        const job = this.getJob(id);
+        this.emit('job', job);
+
+        return job;
+    }
+
+    dispatch(whatsappService, type, payload) {
+        switch (type) {
+            case 'message':
+                return whatsappService.sendMessage(payload.phoneNumber, payload.message, payload.countryCode);
+            case 'chat':
+                return whatsappService.sendToChat(payload.chatId, payload.message);
+            case 'media':
+                return whatsappService.sendMedia(
+                    payload.chatId,
+                    payload.mediaBase64,
+                    payload.mimetype,
+                    payload.filename,
+                    payload.caption
+                );
+            default:
+                throw new Error(`Unknown outbox job type: ${type}`);
+        }
+    }
+
+    isPermanentError(errorMessage) {
+        return PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(errorMessage || ''));
+    }
+
+    // Exponential backoff: base, 2x base, 4x base ... capped at retryMaxMs
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+    }
+}
+
+OutboxQueue.JOB_TYPES = JOB_TYPES;
+
+module.exports = OutboxQueue;
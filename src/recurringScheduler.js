@@ -0,0 +1,300 @@
+const logger = require('./utils/logger');
+const { DEFAULT_TIMEZONE, parseDateTime } = require('./utils/time');
+const { getNextRun } = require('./utils/cron');
+const db = require('./db/whatsapp.db');
+
+class RecurringScheduler {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000;
+        this.timer = null;
+        this.processing = false;
+
+        this.onSessionReady = () => this.processDue();
+    }
+
+    start() {
+        this.sessionManager.on('ready', this.onSessionReady);
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info('Recurring message scheduler started');
+    }
+
+    stop() {
+        this.sessionManager.removeListener('ready', this.onSessionReady);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Next run after `after`, or null once the end date or occurrence limit is reached
+    computeNextRun(row, after = Date.now()) {
+        if (row.maxOccurrences && row.occurrences >= row.maxOccurrences) {
+            return null;
+        }
+
+        const nextRunAt = getNextRun(row.cronExpression, row.timezone, after);
+        if (nextRunAt === null || (row.endAt && nextRunAt > row.endAt)) {
+            return null;
+        }
+        return nextRunAt;
+    }
+
+    create(sessionId, params) {
+        const timezone = params.timezone || DEFAULT_TIMEZONE;
+        const startAt = params.startAt ? parseDateTime(params.startAt, timezone) : Date.now();
+        const row = {
+            cronExpression: params.cron,
+            timezone,
+            endAt: params.endAt ? parseDateTime(params.endAt, timezone) : null,
+            maxOccurrences: params.maxOccurrences || null,
+            occurrences: 0
+        };
+
+        const nextRunAt = this.computeNextRun(row, Math.max(startAt - 1, Date.now()));
+        const now = new Date().toISOString();
+
+        const info = db.prepare(`
+            INSERT INTO recurring_messages (sessionId, chatId, message, cronExpression, timezone, description, endAt, maxOccurrences, occurrences, status, nextRunAt, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?)
+        `).run(
+            sessionId,
+            params.chatId,
+            params.message,
+            row.cronExpression,
+            timezone,
+            params.description || '',
+            row.endAt,
+            row.maxOccurrences,
+            nextRunAt === null ? 'completed' : 'active',
+            nextRunAt,
+            now,
+            now
+        );
+
+        const recurring = this.get(info.lastInsertRowid);
+        logger.info(`🔁 Recurring message ${recurring.id} created (${row.cronExpression} ${timezone}), next run ${recurring.nextRunAt}`);
+
+        return recurring;
+    }
+
+    getRow(id, sessionId = null) {
+        const row = db.prepare(`SELECT * FROM recurring_messages WHERE id = ?`).get(id);
+        if (!row || (sessionId && row.sessionId !== sessionId)) {
+            return null;
+        }
+        return row;
+    }
+
+    get(id, sessionId = null) {
+        const row = this.getRow(id, sessionId);
+        return row ? this.format(row) : null;
+    }
+
+    list({ sessionId, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (sessionId) {
+            conditions.push('sessionId = ?');
+            params.push(sessionId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`SELECT * FROM recurring_messages ${where} ORDER BY id LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset)
+            .map(row => this.format(row));
+    }
+
+    format(row) {
+        return {
+            id: row.id,
+            sessionId: row.sessionId,
+            chatId: row.chatId,
+            message: row.message,
+            cron: row.cronExpression,
+            timezone: row.timezone,
+            description: row.description,
+            endAt: row.endAt ? new Date(row.endAt).toISOString() : null,
+            maxOccurrences: row.maxOccurrences,
+            occurrences: row.occurrences,
+            status: row.status,
+            nextRunAt: row.nextRunAt ? new Date(row.nextRunAt).toISOString() : null,
+            lastRunAt: row.lastRunAt,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt
+        };
+    }
+
+    // Edits content and timing of an active or paused job; the next run is recomputed from now
+    update(id, sessionId, changes) {
+        const row = this.getRow(id, sessionId);
+        if (!row || !['active', 'paused'].includes(row.status)) {
+            return null;
+        }
+
+        const timezone = changes.timezone || row.timezone;
+        const updated = {
+            ...row,
+            chatId: changes.chatId || row.chatId,
+            message: changes.message || row.message,
+            cronExpression: changes.cron || row.cronExpression,
+            timezone,
+            description: changes.description !== undefined ? changes.description : row.description,
+            endAt: changes.endAt !== undefined ? (changes.endAt ? parseDateTime(changes.endAt, timezone) : null) : row.endAt,
+            maxOccurrences: changes.maxOccurrences !== undefined ? changes.maxOccurrences : row.maxOccurrences
+        };
+
+        const nextRunAt = this.computeNextRun(updated);
+        const status = row.status === 'paused' ? 'paused' : (nextRunAt === null ? 'completed' : 'active');
+
+        db.prepare(`
+            UPDATE recurring_messages
+            SET chatId = ?, message = ?, cronExpression = ?, timezone = ?, description = ?, endAt = ?, maxOccurrences = ?, status = ?, nextRunAt = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(
+            updated.chatId,
+            updated.message,
+            updated.cronExpression,
+            updated.timezone,
+            updated.description,
+            updated.endAt,
+            updated.maxOccurrences,
+            status,
+            nextRunAt,
+            new Date().toISOString(),
+            id
+        );
+
+        return this.get(id);
+    }
+
+    pause(id, sessionId) {
+        const result = db.prepare(`
+            UPDATE recurring_messages SET status = 'paused', updatedAt = ?
+            WHERE id = ? AND sessionId = ? AND status = 'active'
+        `).run(new Date().toISOString(), id, sessionId);
+
+        if (result.changes > 0) {
+            logger.info(`⏸️ Recurring message ${id} paused`);
+        }
+        return result.changes > 0 ? this.get(id) : null;
+    }
+
+    // Runs missed while paused are skipped - the schedule continues from now
+    resume(id, sessionId) {
+        const row = this.getRow(id, sessionId);
+        if (!row || row.status !== 'paused') {
+            return null;
+        }
+
+        const nextRunAt = this.computeNextRun(row);
+        db.prepare(`UPDATE recurring_messages SET status = ?, nextRunAt = ?, updatedAt = ? WHERE id = ?`)
+            .run(nextRunAt === null ? 'completed' : 'active', nextRunAt, new Date().toISOString(), id);
+
+        logger.info(`▶️ Recurring message ${id} resumed`);
+        return this.get(id);
+    }
+
+    // Cancelled jobs are kept together with their run history
+    cancel(id, sessionId) {
+        const result = db.prepare(`
+            UPDATE recurring_messages SET status = 'cancelled', nextRunAt = NULL, updatedAt = ?
+            WHERE id = ? AND sessionId = ? AND status IN ('active', 'paused')
+        `).run(new Date().toISOString(), id, sessionId);
+
+        if (result.changes > 0) {
+            logger.info(`🚫 Recurring message ${id} cancelled`);
+        }
+        return result.changes > 0 ? this.get(id) : null;
+    }
+
+    getRuns(id, { limit = 50, offset = 0 } = {}) {
+        return db.prepare(`
+            SELECT * FROM recurring_message_runs WHERE recurringMessageId = ?
+            ORDER BY id DESC LIMIT ? OFFSET ?
+        `).all(id, limit, offset);
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const rows = db.prepare(`
+                SELECT * FROM recurring_messages
+                WHERE status = 'active' AND nextRunAt IS NOT NULL AND nextRunAt <= ?
+                ORDER BY nextRunAt
+            `).all(Date.now());
+
+            for (const row of rows) {
+                const session = this.sessionManager.getSession(row.sessionId);
+
+                // A due run waits for the session; runs missed while offline collapse into one
+                if (!session || !session.whatsappService.isReady) {
+                    continue;
+                }
+
+                await this.fire(row, session.whatsappService);
+            }
+        } catch (error) {
+            logger.error('Error processing recurring messages:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async fire(due, whatsappService) {
+        // The due rows were read before the loop: a job paused, cancelled or edited since then is skipped
+        // (its next run was recomputed). The occurrence is claimed by moving nextRunAt on before sending,
+        // so an overlapping tick or a second process cannot send it again.
+        const row = this.getRow(due.id);
+        if (!row || row.status !== 'active' || row.nextRunAt !== due.nextRunAt) {
+            return;
+        }
+
+        const occurrences = row.occurrences + 1;
+        const nextRunAt = this.computeNextRun({ ...row, occurrences });
+        const ranAt = new Date().toISOString();
+        const claimed = db.prepare(`
+            UPDATE recurring_messages SET occurrences = ?, lastRunAt = ?, nextRunAt = ?, status = ?, updatedAt = ?
+            WHERE id = ? AND status = 'active' AND nextRunAt = ?
+        `).run(occurrences, ranAt, nextRunAt, nextRunAt === null ? 'completed' : 'active', ranAt, row.id, row.nextRunAt);
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await whatsappService.sendToChat(row.chatId, row.message);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        db.prepare(`
+            INSERT INTO recurring_message_runs (recurringMessageId, scheduledFor, ranAt, status, messageId, error)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            row.id,
+            new Date(row.nextRunAt).toISOString(),
+            ranAt,
+            result.success ? 'sent' : 'failed',
+            result.messageId || null,
+            result.success ? null : result.error
+        );
+
+        if (result.success) {
+            logger.info(`🔁 Recurring message ${row.id} sent (run ${occurrences})`);
+        } else {
+            logger.error(`❌ Recurring message ${row.id} run ${occurrences} failed: ${result.error}`);
+        }
+    }
+}
+
+module.exports = RecurringScheduler;
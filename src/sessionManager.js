@@ -0,0 +1,180 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const WhatsAppService = require('./whatsappService');
+const MessageHandler = require('./messageHandler');
+const logger = require('./utils/logger');
+const db = require('./db/whatsapp.db');
+
+const { DEFAULT_SESSION_ID } = WhatsAppService;
+
+// LocalAuth only accepts alphanumerics, underscores and hyphens in the client id
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+
+class SessionManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.sessions = new Map();
+        this.onSessionCreated = options.onSessionCreated || null;
+
+        this.restoreSessions();
+    }
+
+    isValidSessionId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    // Rebuild the registry from the DB so named sessions survive restarts (clients are not started)
+    restoreSessions() {
+        try {
+            const rows = db.prepare(`SELECT * FROM sessions ORDER BY createdAt`).all();
+            for (const row of rows) {
+                this.buildSession(row.id, row.createdAt);
+            }
+            if (rows.length > 0) {
+                logger.info(`Restored ${rows.length} WhatsApp session(s) from database`);
+            }
+        } catch (error) {
+            logger.error('Failed to restore sessions:', error);
+        }
+    }
+
+    buildSession(sessionId, createdAt) {
+        const whatsappService = new WhatsAppService({ sessionId });
+        const messageHandler = new MessageHandler(whatsappService);
+
+        // Service events are re-emitted by the manager with the sessionId attached
+        for (const event of WhatsAppService.EVENTS) {
+            whatsappService.on(event, (payload) => this.emit(event, { sessionId, ...payload }));
+        }
+
+        const session = {
+            id: sessionId,
+            whatsappService,
+            messageHandler,
+            createdAt
+        };
+
+        this.sessions.set(sessionId, session);
+
+        if (this.onSessionCreated) {
+            this.onSessionCreated(session);
+        }
+
+        return session;
+    }
+
+    createSession(sessionId) {
+        if (!this.isValidSessionId(sessionId)) {
+            throw new Error('Invalid session ID. Use 1-64 letters, digits, "_" or "-"');
+        }
+
+        if (this.sessions.has(sessionId)) {
+            throw new Error(`Session ${sessionId} already exists`);
+        }
+
+        const createdAt = new Date().toISOString();
+        db.prepare(`INSERT OR REPLACE INTO sessions (id, createdAt) VALUES (?, ?)`).run(sessionId, createdAt);
+
+        const session = this.buildSession(sessionId, createdAt);
+        logger.info(`✅ Session created: ${sessionId}`);
+
+        return session;
+    }
+
+    getSession(sessionId = DEFAULT_SESSION_ID) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    hasSession(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    // Returns the session, creating it first when it does not exist yet
+    ensureSession(sessionId = DEFAULT_SESSION_ID) {
+        return this.getSession(sessionId) || this.createSession(sessionId);
+    }
+
+    listSessions() {
+        return Array.from(this.sessions.values()).map(session => this.describeSession(session));
+    }
+
+    describeSession(session) {
+        return {
+            ...session.whatsappService.getStatus(),
+            createdAt: session.createdAt
+        };
+    }
+
+    async startSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+
+        await session.whatsappService.start();
+        return session;
+    }
+
+    async stopSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+
+        await session.whatsappService.stop();
+        return session;
+    }
+
+    // Stops the client and removes its LocalAuth directory, so the number must be re-linked
+    async deleteSession(sessionId) {
+        const session = this.getSession(sessionId);
+        if (!session) {
+            return false;
+        }
+
+        try {
+            await session.whatsappService.stop();
+        } catch (error) {
+            logger.warn(`Could not stop session ${sessionId} before deleting:`, error.message);
+        }
+
+        const sessionDir = session.whatsappService.getSessionDir();
+        try {
+            fs.rmSync(sessionDir, { recursive: true, force: true });
+        } catch (error) {
+            logger.warn(`Could not remove session directory ${sessionDir}:`, error.message);
+        }
+
+        db.prepare(`DELETE FROM sessions WHERE id = ?`).run(sessionId);
+        session.whatsappService.removeAllListeners();
+        this.sessions.delete(sessionId);
+        logger.info(`🗑️ Session deleted: ${sessionId}`);
+
+        return true;
+    }
+
+    async startAll() {
+        for (const session of this.sessions.values()) {
+            try {
+                await session.whatsappService.start();
+            } catch (error) {
+                logger.error(`Failed to start session ${session.id}:`, error);
+            }
+        }
+    }
+
+    async stopAll() {
+        for (const session of this.sessions.values()) {
+            try {
+                await session.whatsappService.stop();
+            } catch (error) {
+                logger.error(`Failed to stop session ${session.id}:`, error);
+            }
+        }
+    }
+}
+
+SessionManager.DEFAULT_SESSION_ID = DEFAULT_SESSION_ID;
+
+module.exports = SessionManager;
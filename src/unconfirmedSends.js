@@ -0,0 +1,139 @@
+/**
+ * Unconfirmed Sends - sends that hit the whatsapp-web.js "markedUnread" error.
+ * The message is usually delivered anyway, so the send is recorded as "unconfirmed" and matched
+ * against the outbound messages stored from message_create (same chat, same body, close timestamp).
+ * Sends that find no match before they expire become "failed".
+ */
+
+const crypto = require('crypto');
+const db = require('./db/whatsapp.db');
+
+const CONFIRMATION_TIMEOUT_MS = parseInt(process.env.UNCONFIRMED_SEND_TIMEOUT_MS) || 60 * 1000;
+
+// How far a WhatsApp message timestamp (seconds precision) may be from the moment the send started
+const MATCH_WINDOW_BEFORE_MS = 5 * 1000;
+const MATCH_WINDOW_AFTER_MS = 2 * 60 * 1000;
+
+function format(row) {
+    return {
+        id: row.id,
+        sessionId: row.sessionId,
+        chatId: row.chatId,
+        body: row.body,
+        status: row.status,
+        messageId: row.messageId,
+        serializedId: row.serializedId,
+        error: row.error,
+        sentAt: new Date(row.sentAt).toISOString(),
+        expiresAt: new Date(row.expiresAt).toISOString(),
+        createdAt: row.createdAt,
+        resolvedAt: row.resolvedAt
+    };
+}
+
+// Tries to match one unconfirmed send to a stored outbound message no other send has claimed
+function reconcileRow(row) {
+    const match = db.prepare(`
+        SELECT id, serializedId FROM messages
+        WHERE sessionId = ? AND chatId = ? AND direction = 'outbound' AND body = ?
+          AND timestamp BETWEEN ? AND ?
+          AND id NOT IN (SELECT messageId FROM unconfirmed_sends WHERE messageId IS NOT NULL AND sessionId = ?)
+        ORDER BY timestamp
+        LIMIT 1
+    `).get(
+        row.sessionId,
+        row.chatId,
+        row.body,
+        Math.floor((row.sentAt - MATCH_WINDOW_BEFORE_MS) / 1000),
+        Math.ceil((row.sentAt + MATCH_WINDOW_AFTER_MS) / 1000),
+        row.sessionId
+    );
+
+    if (!match) {
+        return false;
+    }
+
+    db.prepare(`
+        UPDATE unconfirmed_sends SET status = 'confirmed', messageId = ?, serializedId = ?, resolvedAt = ?
+        WHERE id = ? AND status = 'unconfirmed'
+    `).run(match.id, match.serializedId, new Date().toISOString(), row.id);
+    return true;
+}
+
+// Marks sends whose confirmation window has passed as failed
+function expireUnconfirmedSends(sessionId) {
+    return db.prepare(`
+        UPDATE unconfirmed_sends SET status = 'failed', error = ?, resolvedAt = ?
+        WHERE sessionId = ? AND status = 'unconfirmed' AND expiresAt <= ?
+    `).run(
+        'WhatsApp did not create a matching message before the confirmation timeout',
+        new Date().toISOString(),
+        sessionId,
+        Date.now()
+    ).changes;
+}
+
+/**
+ * Matches open unconfirmed sends of a session (optionally one chat) against stored outbound messages,
+ * then expires the ones that are too old. Returns the number of sends that were confirmed.
+ */
+function reconcileUnconfirmedSends(sessionId, chatId = null) {
+    return db.transaction(() => {
+        const rows = chatId
+            ? db.prepare(`SELECT * FROM unconfirmed_sends WHERE sessionId = ? AND status = 'unconfirmed' AND chatId = ? ORDER BY sentAt`).all(sessionId, chatId)
+            : db.prepare(`SELECT * FROM unconfirmed_sends WHERE sessionId = ? AND status = 'unconfirmed' ORDER BY sentAt`).all(sessionId);
+
+        const confirmed = rows.filter(row => reconcileRow(row)).length;
+        expireUnconfirmedSends(sessionId);
+        return confirmed;
+    })();
+}
+
+// Records a send that threw markedUnread; message_create may already have arrived, so it is matched right away
+function createUnconfirmedSend(sessionId, chatId, body, sentAt) {
+    const id = `unconfirmed-${crypto.randomUUID()}`;
+
+    db.prepare(`
+        INSERT INTO unconfirmed_sends (id, sessionId, chatId, body, sentAt, expiresAt, status, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, 'unconfirmed', ?)
+    `).run(id, sessionId, chatId, body, sentAt, Date.now() + CONFIRMATION_TIMEOUT_MS, new Date().toISOString());
+
+    reconcileUnconfirmedSends(sessionId, chatId);
+    return getUnconfirmedSend(sessionId, id);
+}
+
+// Open sends are reconciled (and expired) on read, so a caller polling this gets a definite answer
+function getUnconfirmedSend(sessionId, id) {
+    const select = db.prepare(`SELECT * FROM unconfirmed_sends WHERE id = ? AND sessionId = ?`);
+    let row = select.get(id, sessionId);
+
+    if (row && row.status === 'unconfirmed') {
+        reconcileUnconfirmedSends(sessionId, row.chatId);
+        row = select.get(id, sessionId);
+    }
+    return row ? format(row) : null;
+}
+
+function listUnconfirmedSends(sessionId, { status, limit = 50, offset = 0 } = {}) {
+    expireUnconfirmedSends(sessionId);
+
+    const conditions = ['sessionId = ?'];
+    const params = [sessionId];
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+
+    return db.prepare(`SELECT * FROM unconfirmed_sends WHERE ${conditions.join(' AND ')} ORDER BY sentAt DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(format);
+}
+
+module.exports = {
+    CONFIRMATION_TIMEOUT_MS,
+    createUnconfirmedSend,
+    reconcileUnconfirmedSends,
+    expireUnconfirmedSends,
+    getUnconfirmedSend,
+    listUnconfirmedSends
+};
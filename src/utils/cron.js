@@ -0,0 +1,176 @@
+/**
+ * Cron Utilities - standard 5-field expressions evaluated in a timezone
+ * "minute hour day-of-month month day-of-week", e.g. "0 9 * * SUN"
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('./time');
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Look ahead at most this many days for the next run (covers "29 2 *" leap-day schedules)
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+function parseValue(value, field) {
+    if (field.names) {
+        const index = field.names.indexOf(value.toUpperCase());
+        if (index !== -1) {
+            return field.name === 'month' ? index + 1 : index;
+        }
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value: ${value}`);
+    }
+
+    const number = parseInt(value);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} is out of range ${field.min}-${field.max}`);
+    }
+    return number;
+}
+
+function parseField(expression, field) {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name}: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid range in ${field.name}: ${range}`);
+            }
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Both 0 and 7 mean Sunday
+    if (field.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+}
+
+/**
+ * Parses a cron expression. Throws an Error describing the problem when it is invalid.
+ */
+function parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const schedule = {};
+    FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseField(parts[index], field);
+    });
+
+    // Standard (Vixie) cron: when both day fields are restricted a day matches either of them. A field
+    // that starts with "*" ("*", "*/2") counts as unrestricted, so "0 9 */2 * MON" means odd days that are Mondays
+    schedule.dayOfMonthRestricted = !parts[2].startsWith('*');
+    schedule.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+    return schedule;
+}
+
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function matchesDay(schedule, dayOfMonth, month, dayOfWeek) {
+    if (!schedule.month.has(month)) {
+        return false;
+    }
+
+    const domMatch = schedule.dayOfMonth.has(dayOfMonth);
+    const dowMatch = schedule.dayOfWeek.has(dayOfWeek);
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Returns the first run time (UTC ms) strictly after `after` for the expression in `timeZone`,
+ * or null when there is none within the look-ahead window.
+ */
+function getNextRun(expression, timeZone, after = Date.now()) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const start = getZonedParts(new Date(after), timeZone);
+    const hours = Array.from(schedule.hour).sort((a, b) => a - b);
+    const minutes = Array.from(schedule.minute).sort((a, b) => a - b);
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        // Walk calendar days in the target timezone; Date.UTC normalizes month/year overflow
+        const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const dayOfMonth = day.getUTCDate();
+
+        if (!matchesDay(schedule, dayOfMonth, month, day.getUTCDay())) {
+            continue;
+        }
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const timestamp = zonedTimeToUtc({ year, month, day: dayOfMonth, hour, minute }, timeZone);
+                if (timestamp > after) {
+                    return timestamp;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    isValidCron,
+    getNextRun
+};
@@ -0,0 +1,27 @@
+/**
+ * Cursor Utilities - opaque pagination cursors for keyset (seek) pagination
+ * A cursor is the sort key of the last row of a page, base64url-encoded JSON.
+ */
+
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Returns the decoded position, or null when the cursor is malformed
+function decodeCursor(cursor) {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return position && typeof position === 'object' && !Array.isArray(position) ? position : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,149 @@
+/**
+ * Phone Number Utilities - E.164 parsing and validation with per-country numbering rules
+ * Numbers are given in national form ("050-234-5678" with region IL) or in international
+ * form ("+44 7400 123456", "0044...", or digits starting with the calling code).
+ *
+ * Numbering plans come from libphonenumber-js (Google's libphonenumber metadata, the "max" set
+ * so that number types are known); they are kept current by updating that package.
+ */
+
+const { parsePhoneNumberFromString, isSupportedCountry, getCountryCallingCode } = require('libphonenumber-js/max');
+const { country_calling_codes: REGIONS_BY_CODE } = require('libphonenumber-js/metadata.max.json');
+
+const NUMBER_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+    TOLL_FREE: 'toll_free',
+    VOIP: 'voip',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+/**
+ * A region code ("GB") or calling code ("44", "+44") as the region to read national numbers in.
+ * A calling code shared by several regions resolves to the main one. Returns null when unknown.
+ */
+function toRegion(value) {
+    const text = String(value).trim();
+    if (/^[A-Za-z]{2}$/.test(text)) {
+        return isSupportedCountry(text.toUpperCase()) ? text.toUpperCase() : null;
+    }
+    if (/^\+?\d{1,3}$/.test(text)) {
+        const regions = REGIONS_BY_CODE[text.replace('+', '')];
+        // "001" stands for non-geographic codes (+800, +882...), which have no national form
+        return regions && regions[0] !== '001' ? regions[0] : null;
+    }
+    return null;
+}
+
+const DEFAULT_PHONE_REGION = toRegion(process.env.DEFAULT_PHONE_REGION || 'IL') || 'IL';
+
+// The countryCode/region parameter of the API; missing means DEFAULT_PHONE_REGION
+function resolveRegion(countryCode) {
+    if (countryCode === undefined || countryCode === null || countryCode === '') {
+        return DEFAULT_PHONE_REGION;
+    }
+    return toRegion(countryCode);
+}
+
+function invalid(error) {
+    return { isValid: false, error };
+}
+
+function parse(text, region) {
+    const number = parsePhoneNumberFromString(text, region);
+    if (!number || number.isValid()) {
+        return number;
+    }
+
+    // Mexican mobiles are still written with the "1" the numbering plan dropped in 2019 (+52 1 55 ...)
+    if (number.countryCallingCode === '52' && /^1\d{10}$/.test(number.nationalNumber)) {
+        const withoutMobilePrefix = parsePhoneNumberFromString(`+52${number.nationalNumber.slice(1)}`);
+        if (withoutMobilePrefix && withoutMobilePrefix.isValid()) {
+            return withoutMobilePrefix;
+        }
+    }
+    return number;
+}
+
+function buildResult(number) {
+    const digits = number.number.slice(1);
+    return {
+        isValid: true,
+        e164: number.number,
+        countryCode: number.countryCallingCode,
+        region: number.country || null,
+        nationalNumber: number.nationalNumber,
+        type: NUMBER_TYPES[number.getType()] || 'unknown',
+        chatId: `${digits}@c.us`
+    };
+}
+
+/**
+ * Parses a phone number into E.164. Only numbers in ranges the numbering plan of their
+ * country allocates are valid.
+ * Returns { isValid, e164, countryCode, region, nationalNumber, type, chatId }
+ * or { isValid: false, error }.
+ */
+function parsePhoneNumber(phoneNumber, countryCode) {
+    const region = resolveRegion(countryCode);
+    if (!region) {
+        return invalid(`Unknown country code: ${countryCode}`);
+    }
+
+    if (phoneNumber === undefined || phoneNumber === null || phoneNumber === '') {
+        return invalid('Phone number is required');
+    }
+    if (!['string', 'number'].includes(typeof phoneNumber)) {
+        return invalid('Phone number must be a string');
+    }
+
+    const text = String(phoneNumber).trim().replace(/@c\.us$/, '');
+    if (!/^\+?[\d\s\-.()/]+$/.test(text)) {
+        return invalid('Invalid phone number format');
+    }
+
+    // International dialling prefixes of the region ("00", "011") are understood as well
+    const digits = text.replace(/\D/g, '');
+    if (text.startsWith('+')) {
+        const number = parse(`+${digits}`);
+        if (number && number.isValid()) {
+            return buildResult(number);
+        }
+        if (!number) {
+            return invalid('Invalid international phone number');
+        }
+        const region = number.country || toRegion(number.countryCallingCode);
+        const callingCode = `+${number.countryCallingCode}`;
+        return invalid(`Invalid phone number for ${region ? `${region} (${callingCode})` : callingCode}`);
+    }
+
+    const number = parse(digits, region);
+    if (number && number.isValid()) {
+        return buildResult(number);
+    }
+
+    // Digits are only read as international after "00" or the region's own calling code ("972502345678"),
+    // so that an invalid national number never turns into a valid number of another country
+    let international = null;
+    if (digits.startsWith('00')) {
+        international = parse(`+${digits.slice(2)}`);
+    } else if (digits.startsWith(getCountryCallingCode(region))) {
+        international = parse(`+${digits}`);
+    }
+    if (international && international.isValid()) {
+        return buildResult(international);
+    }
+    return invalid(`Invalid phone number for ${region}`);
+}
+
+module.exports = {
+    DEFAULT_PHONE_REGION,
+    resolveRegion,
+    parsePhoneNumber
+};
@@ -0,0 +1,54 @@
+/**
+ * Webhook Signatures - HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute the HMAC with their secret and compare it to one of the
+ * "sha256=<hex>" values in the X-Webhook-Signature header.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function computeSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Header value for one or more secrets, e.g. "sha256=ab12..., sha256=cd34..." during a rotation
+function buildSignatureHeader(secrets, timestamp, body) {
+    return secrets.map(secret => `${SIGNATURE_PREFIX}${computeSignature(secret, timestamp, body)}`).join(', ');
+}
+
+/**
+ * Reference verifier for webhook receivers written in Node (the service itself only signs).
+ * Checks a received webhook: the timestamp (unix seconds) must be within toleranceSeconds of now
+ * and one of the header signatures must match - so both the new and the previous secret verify
+ * during a rotation. Returns false instead of throwing.
+ */
+function verifySignature(secret, timestamp, body, header, toleranceSeconds = 300) {
+    const sentAt = parseInt(timestamp);
+    if (!secret || !header || !Number.isInteger(sentAt)) {
+        return false;
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - sentAt) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(secret, sentAt, body), 'hex');
+    return header.split(',')
+        .map(value => value.trim())
+        .filter(value => value.startsWith(SIGNATURE_PREFIX))
+        .some(value => {
+            const received = Buffer.from(value.slice(SIGNATURE_PREFIX.length), 'hex');
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        });
+}
+
+module.exports = {
+    generateSecret,
+    computeSignature,
+    buildSignatureHeader,
+    verifySignature
+};
@@ -0,0 +1,146 @@
+/**
+ * Template Utilities - a small logic-less template language for auto-responder replies
+ * Nothing in a template is evaluated as code; variables are looked up by path in a plain object.
+ *
+ *   {{name}}                          variable (dot paths: {{match.1}}, {{contact.company}})
+ *   {{name | friend}}                 variable with a fallback when it is empty
+ *   {{#if contact.vip}}..{{else}}..{{/if}}   conditional on a non-empty value ({{#unless}} negates)
+ *   {{#random}}Hi{{or}}Hello{{/random}}      one variant picked at random
+ */
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const MAX_DEPTH = 10;
+
+function parsePath(expression, tag) {
+    if (!PATH_PATTERN.test(expression)) {
+        throw new Error(`Invalid variable "${expression}" in {{${tag}}}`);
+    }
+    return expression.split('.');
+}
+
+/**
+ * Parses a template into a node tree. Throws an Error describing the first problem
+ * (unknown or unclosed block, invalid variable name) so it can be reported on save.
+ */
+function parseTemplate(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    // Where text and tags go: a block's current branch/variant
+    const target = () => {
+        const node = stack[stack.length - 1];
+        if (node.type === 'if') {
+            return node.inElse ? node.otherwise : node.then;
+        }
+        if (node.type === 'random') {
+            return node.variants[node.variants.length - 1];
+        }
+        return node.children;
+    };
+
+    let lastIndex = 0;
+    let match;
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        if (match.index > lastIndex) {
+            target().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const tag = match[1];
+        const current = stack[stack.length - 1];
+        const block = tag.match(/^#(if|unless)\s+(.+)$/);
+
+        if (block) {
+            if (stack.length > MAX_DEPTH) {
+                throw new Error(`Blocks can be nested at most ${MAX_DEPTH} levels deep`);
+            }
+            const node = { type: 'if', negate: block[1] === 'unless', keyword: block[1], path: parsePath(block[2].trim(), tag), then: [], otherwise: [], inElse: false };
+            target().push(node);
+            stack.push(node);
+        } else if (tag === '#random') {
+            if (stack.length > MAX_DEPTH) {
+                throw new Error(`Blocks can be nested at most ${MAX_DEPTH} levels deep`);
+            }
+            const node = { type: 'random', variants: [[]] };
+            target().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (current.type !== 'if' || current.inElse) {
+                throw new Error('{{else}} outside of {{#if}}/{{#unless}}');
+            }
+            current.inElse = true;
+        } else if (tag === 'or') {
+            if (current.type !== 'random') {
+                throw new Error('{{or}} outside of {{#random}}');
+            }
+            current.variants.push([]);
+        } else if (/^\/(if|unless|random)$/.test(tag)) {
+            const keyword = tag.slice(1);
+            const expected = current.type === 'random' ? 'random' : current.keyword;
+            if (current.type === 'root' || keyword !== expected) {
+                throw new Error(`Unexpected {{${tag}}}`);
+            }
+            stack.pop();
+        } else {
+            const [expression, ...fallback] = tag.split('|');
+            target().push({
+                type: 'variable',
+                path: parsePath(expression.trim(), tag),
+                fallback: fallback.length > 0 ? fallback.join('|').trim() : ''
+            });
+        }
+    }
+
+    if (lastIndex < template.length) {
+        target().push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`Unclosed {{#${open.type === 'random' ? 'random' : open.keyword}}}`);
+    }
+
+    return root;
+}
+
+// Own properties only, so a template can never reach prototypes
+function resolve(context, path) {
+    let value = context;
+    for (const key of path) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+            return '';
+        }
+        value = value[key];
+    }
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? String(value) : '';
+}
+
+function renderNodes(nodes, context, random) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'variable') {
+            output += resolve(context, node.path) || node.fallback;
+        } else if (node.type === 'if') {
+            const value = resolve(context, node.path);
+            const truthy = value !== '' && value !== 'false' && value !== '0';
+            output += renderNodes(truthy !== node.negate ? node.then : node.otherwise, context, random);
+        } else if (node.type === 'random') {
+            output += renderNodes(node.variants[Math.floor(random() * node.variants.length)], context, random);
+        }
+    }
+    return output;
+}
+
+// Renders a template (string or parsed tree) against a context object
+function renderTemplate(template, context, { random = Math.random } = {}) {
+    const tree = typeof template === 'string' ? parseTemplate(template) : template;
+    return renderNodes(tree.children, context, random);
+}
+
+module.exports = {
+    parseTemplate,
+    renderTemplate
+};
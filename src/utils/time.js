@@ -0,0 +1,185 @@
+/**
+ * Time Utilities - timezone handling on top of Intl (no external dependencies)
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Jerusalem';
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// "2026-01-05T08:00" / "2026-01-05 08:00:30" - a wall-clock time without an offset
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock parts of an instant in the given timezone
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toUpperCase())
+    };
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Converts a wall-clock time in a timezone to a UTC timestamp (ms)
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIMEZONE) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Two passes settle the offset around DST transitions
+    let timestamp = asUtc - getTimezoneOffset(new Date(asUtc), timeZone);
+    timestamp = asUtc - getTimezoneOffset(new Date(timestamp), timeZone);
+
+    return timestamp;
+}
+
+/**
+ * Parses a date-time value to a UTC timestamp (ms).
+ * Values with an explicit offset ("Z", "+03:00") or epoch milliseconds are absolute;
+ * local values like "2026-01-05T08:00" are read as wall-clock time in `timeZone`.
+ * Returns null when the value cannot be parsed.
+ */
+function parseDateTime(value, timeZone = DEFAULT_TIMEZONE) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const localMatch = value.trim().match(LOCAL_DATETIME_PATTERN);
+    if (localMatch) {
+        const [, year, month, day, hour, minute, second] = localMatch.map(Number);
+        return zonedTimeToUtc({ year, month, day, hour, minute, second: second || 0 }, timeZone);
+    }
+
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+// "09:00" -> minutes since midnight, or null
+function parseTimeOfDay(value) {
+    const match = typeof value === 'string' ? value.match(/^([01]\d|2[0-3]):([0-5]\d)$/) : null;
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Whether an instant falls inside a weekly window: `days` (0 = Sunday) between `from` and `to`
+ * ("HH:MM", end exclusive) wall-clock time in `timezone`. A window that ends before it starts runs
+ * past midnight and belongs to the day it starts on; from === to covers the whole day.
+ */
+function isWithinSchedule({ days = [0, 1, 2, 3, 4, 5, 6], from = '00:00', to = '00:00', timezone = DEFAULT_TIMEZONE }, date = new Date()) {
+    const parts = getZonedParts(date, timezone);
+    const minute = parts.hour * 60 + parts.minute;
+    const start = parseTimeOfDay(from);
+    const end = parseTimeOfDay(to);
+    const previousDay = (parts.weekday + 6) % 7;
+
+    if (start === end) {
+        return days.includes(parts.weekday);
+    }
+    if (start < end) {
+        return days.includes(parts.weekday) && minute >= start && minute < end;
+    }
+    return (days.includes(parts.weekday) && minute >= start) || (days.includes(previousDay) && minute < end);
+}
+
+// Calendar date (YYYY-MM-DD) in the timezone, `offsetDays` from today
+function getZonedDate(timeZone = DEFAULT_TIMEZONE, offsetDays = 0, now = new Date()) {
+    const today = getZonedParts(now, timeZone);
+    return new Date(Date.UTC(today.year, today.month - 1, today.day + offsetDays)).toISOString().slice(0, 10);
+}
+
+const RELATIVE_DAYS = {
+    today: 0,
+    'היום': 0,
+    tomorrow: 1,
+    'מחר': 1,
+    'מחרתיים': 2
+};
+
+/**
+ * Reads a date as people type it: DD/MM/YYYY (also with "." or "-"), DD/MM (this year),
+ * YYYY-MM-DD, or today/tomorrow in English or Hebrew. Returns YYYY-MM-DD or null.
+ */
+function parseDateInput(value, timeZone = DEFAULT_TIMEZONE) {
+    const text = String(value).trim().toLowerCase();
+    if (RELATIVE_DAYS[text] !== undefined) {
+        return getZonedDate(timeZone, RELATIVE_DAYS[text]);
+    }
+
+    let year;
+    let month;
+    let day;
+    let match;
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        [year, month, day] = match.slice(1).map(Number);
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/))) {
+        [day, month] = [Number(match[1]), Number(match[2])];
+        year = match[3] ? Number(match[3]) : Number(getZonedDate(timeZone).slice(0, 4));
+        if (year < 100) {
+            year += 2000;
+        }
+    } else {
+        return null;
+    }
+
+    // Date.UTC rolls 31/02 over to March, so the parts must survive the round trip
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    WEEKDAYS,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+    parseDateTime,
+    parseTimeOfDay,
+    isWithinSchedule,
+    getZonedDate,
+    parseDateInput
+};
@@ -2,62 +2,56 @@
  * Validation Utilities - Simplified Version
  */
 
-function validatePhoneNumber(phoneNumber) {
-    if (!phoneNumber || typeof phoneNumber !== 'string') {
-        return false;
-    }
-    
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Israeli mobile numbers: 9-12 digits
-    if (cleaned.length < 9 || cleaned.length > 12) {
-        return false;
-    }
-    
-    // Israeli mobile prefixes
-    if (cleaned.startsWith('0')) {
-        return cleaned.length === 10 && cleaned.startsWith('05');
-    } else if (cleaned.startsWith('5')) {
-        return cleaned.length === 9;
-    } else if (cleaned.startsWith('972')) {
-        return cleaned.length === 12;
-    }
-    
-    return true;
+const { isValidTimezone, parseDateTime, parseTimeOfDay, parseDateInput, WEEKDAYS } = require('./time');
+const { parseCron } = require('./cron');
+const { decodeCursor } = require('./cursor');
+const { parseTemplate } = require('./template');
+const { parsePhoneNumber, resolveRegion } = require('./phone');
+
+// "/pattern/flags" strings are regex triggers (see parseTrigger in autoResponderStore)
+const REGEX_TRIGGER_PATTERN = /^\/(.+)\/([dgimsuy]*)$/s;
+
+// countryCode is the region the number is read in when it has no calling code ("IL", "972")
+function validatePhoneNumber(phoneNumber, countryCode) {
+    return parsePhoneNumber(phoneNumber, countryCode).isValid;
 }
 
-function formatPhoneNumber(phoneNumber, countryCode = '972') {
-    if (!phoneNumber) {
-        throw new Error('Phone number is required');
+// Returns the WhatsApp chat ID of a phone number, e.g. 972502345678@c.us
+function formatPhoneNumber(phoneNumber, countryCode) {
+    const parsed = parsePhoneNumber(phoneNumber, countryCode);
+    if (!parsed.isValid) {
+        throw new Error(parsed.error);
     }
-    
-    let cleaned = phoneNumber.replace(/\D/g, '');
-    
-    if (countryCode === '972') {
-        // Remove leading zero
-        if (cleaned.startsWith('0')) {
-            cleaned = cleaned.substring(1);
-        }
-        
-        // Remove country code if present
-        if (cleaned.startsWith('972')) {
-            cleaned = cleaned.substring(3);
-        }
-        
-        // Israeli mobile number should be 9 digits starting with 5
-        if (cleaned.length === 9 && cleaned.startsWith('5')) {
-            return `972${cleaned}@c.us`;
-        }
-        
-        throw new Error('Invalid Israeli mobile number format');
+    return parsed.chatId;
+}
+
+// POST /api/phone/normalize: one phoneNumber or a batch of phoneNumbers
+function validatePhoneNormalizeParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    const hasOne = params.phoneNumber !== undefined;
+    const hasMany = params.phoneNumbers !== undefined;
+
+    if (hasOne === hasMany) {
+        result.isValid = false;
+        result.errors.push('Provide either phoneNumber or phoneNumbers');
+    } else if (hasOne && !['string', 'number'].includes(typeof params.phoneNumber)) {
+        result.isValid = false;
+        result.errors.push('phoneNumber must be a string');
+    } else if (hasMany && (!Array.isArray(params.phoneNumbers) || params.phoneNumbers.length === 0 || params.phoneNumbers.length > 500)) {
+        result.isValid = false;
+        result.errors.push('phoneNumbers must be a list of 1-500 phone numbers');
     }
-    
-    // Generic formatting for other countries
-    if (cleaned.startsWith(countryCode)) {
-        return cleaned + '@c.us';
+
+    if (params.countryCode !== undefined && !resolveRegion(params.countryCode)) {
+        result.isValid = false;
+        result.errors.push(`Unknown country code: ${params.countryCode} - use a region such as "GB" or a calling code such as "44"`);
     }
-    
-    return countryCode + cleaned + '@c.us';
+
+    return result;
 }
 
 function validateMessage(message) {
@@ -112,9 +106,10 @@ function validateSendMessageParams(params) {
         errors: []
     };
     
-    if (!validatePhoneNumber(params.phoneNumber)) {
+    const phone = parsePhoneNumber(params.phoneNumber, params.countryCode);
+    if (!phone.isValid) {
         result.isValid = false;
-        result.errors.push('Invalid Israeli phone number format');
+        result.errors.push(phone.error);
     }
     
     const messageValidation = validateMessage(params.message);
@@ -126,10 +121,1307 @@ function validateSendMessageParams(params) {
     return result;
 }
 
+// sendAt (absolute or local time in `timezone`) or delaySeconds - exactly one of them
+function validateScheduleTime(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    const hasSendAt = params.sendAt !== undefined && params.sendAt !== null;
+    const hasDelay = params.delaySeconds !== undefined && params.delaySeconds !== null;
+
+    if (params.timezone !== undefined && !isValidTimezone(params.timezone)) {
+        result.isValid = false;
+        result.errors.push(`Unknown timezone: ${params.timezone}`);
+        return result;
+    }
+
+    if (hasSendAt === hasDelay) {
+        result.isValid = false;
+        result.errors.push('Provide either sendAt or delaySeconds');
+        return result;
+    }
+
+    if (hasDelay && (typeof params.delaySeconds !== 'number' || params.delaySeconds < 0)) {
+        result.isValid = false;
+        result.errors.push('delaySeconds must be a non-negative number');
+    }
+
+    if (hasSendAt && parseDateTime(params.sendAt, params.timezone || undefined) === null) {
+        result.isValid = false;
+        result.errors.push('sendAt must be an ISO date-time (e.g. "2026-01-05T08:00" or "2026-01-05T08:00:00+02:00")');
+    }
+
+    return result;
+}
+
+function validateScheduledMessageParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (!params.chatId && !params.phoneNumber) {
+        result.isValid = false;
+        result.errors.push('Either chatId or phoneNumber is required');
+    } else if (!params.chatId) {
+        const phone = parsePhoneNumber(params.phoneNumber, params.countryCode);
+        if (!phone.isValid) {
+            result.isValid = false;
+            result.errors.push(phone.error);
+        }
+    }
+
+    if (params.media) {
+        if (!params.media.mediaBase64 || !params.media.mimetype) {
+            result.isValid = false;
+            result.errors.push('media.mediaBase64 and media.mimetype are required');
+        }
+    } else {
+        const messageValidation = validateMessage(params.message);
+        if (!messageValidation.isValid) {
+            result.isValid = false;
+            result.errors.push(...messageValidation.errors);
+        }
+    }
+
+    const timeValidation = validateScheduleTime(params);
+    if (!timeValidation.isValid) {
+        result.isValid = false;
+        result.errors.push(...timeValidation.errors);
+    }
+
+    return result;
+}
+
+// With `partial` (updates) only the fields that are present are checked
+function validateRecurringMessageParams(params, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const partial = options.partial || false;
+
+    if (!partial && !params.chatId && !params.phoneNumber) {
+        result.isValid = false;
+        result.errors.push('Either chatId or phoneNumber is required');
+    } else if (params.phoneNumber && !params.chatId) {
+        const phone = parsePhoneNumber(params.phoneNumber, params.countryCode);
+        if (!phone.isValid) {
+            result.isValid = false;
+            result.errors.push(phone.error);
+        }
+    }
+
+    if (!partial || params.message !== undefined) {
+        const messageValidation = validateMessage(params.message);
+        if (!messageValidation.isValid) {
+            result.isValid = false;
+            result.errors.push(...messageValidation.errors);
+        }
+    }
+
+    if (!partial || params.cron !== undefined) {
+        try {
+            parseCron(params.cron);
+        } catch (error) {
+            result.isValid = false;
+            result.errors.push(error.message);
+        }
+    }
+
+    if (params.timezone !== undefined && !isValidTimezone(params.timezone)) {
+        result.isValid = false;
+        result.errors.push(`Unknown timezone: ${params.timezone}`);
+        return result;
+    }
+
+    for (const field of ['startAt', 'endAt']) {
+        if (params[field] && parseDateTime(params[field], params.timezone || undefined) === null) {
+            result.isValid = false;
+            result.errors.push(`${field} must be an ISO date-time`);
+        }
+    }
+
+    if (params.maxOccurrences !== undefined && params.maxOccurrences !== null &&
+        (!Number.isInteger(params.maxOccurrences) || params.maxOccurrences < 1)) {
+        result.isValid = false;
+        result.errors.push('maxOccurrences must be a positive integer');
+    }
+
+    return result;
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// options.allowedEvents: event names a subscription may pick ("*" means all of them)
+function validateWebhookParams(params, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const partial = options.partial || false;
+    const allowedEvents = options.allowedEvents || [];
+
+    if (!partial || params.url !== undefined) {
+        let url = null;
+        try {
+            url = new URL(params.url);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            result.isValid = false;
+            result.errors.push('url must be a valid http(s) URL');
+        }
+    }
+
+    if (!partial || params.events !== undefined) {
+        if (!isStringArray(params.events) || params.events.length === 0) {
+            result.isValid = false;
+            result.errors.push('events must be a non-empty array of event names');
+        } else {
+            const unknown = params.events.filter(event => event !== '*' && !allowedEvents.includes(event));
+            if (unknown.length > 0) {
+                result.isValid = false;
+                result.errors.push(`Unknown events: ${unknown.join(', ')}. Allowed: ${allowedEvents.join(', ')}`);
+            }
+        }
+    }
+
+    if (params.filters !== undefined) {
+        const filters = params.filters;
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            result.isValid = false;
+            result.errors.push('filters must be an object');
+        } else {
+            for (const field of ['chatIds', 'sessionIds', 'messageTypes', 'flowIds']) {
+                if (filters[field] !== undefined && !isStringArray(filters[field])) {
+                    result.isValid = false;
+                    result.errors.push(`filters.${field} must be an array of strings`);
+                }
+            }
+            if (filters.fromMe !== undefined && typeof filters.fromMe !== 'boolean') {
+                result.isValid = false;
+                result.errors.push('filters.fromMe must be a boolean');
+            }
+        }
+    }
+
+    if (params.enabled !== undefined && typeof params.enabled !== 'boolean') {
+        result.isValid = false;
+        result.errors.push('enabled must be a boolean');
+    }
+
+    if (params.secret !== undefined) {
+        const secretValidation = validateWebhookSecret(params.secret);
+        if (!secretValidation.isValid) {
+            result.isValid = false;
+            result.errors.push(...secretValidation.errors);
+        }
+    }
+
+    return result;
+}
+
+function validateWebhookSecret(secret) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 256) {
+        result.isValid = false;
+        result.errors.push('secret must be a string of 16-256 characters');
+    }
+
+    return result;
+}
+
+// Secret rotation: { secret?, gracePeriodSeconds? } - without a secret a random one is generated
+function validateSecretRotationParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (params.secret !== undefined) {
+        const secretValidation = validateWebhookSecret(params.secret);
+        if (!secretValidation.isValid) {
+            result.isValid = false;
+            result.errors.push(...secretValidation.errors);
+        }
+    }
+
+    if (params.gracePeriodSeconds !== undefined &&
+        (!Number.isInteger(params.gracePeriodSeconds) || params.gracePeriodSeconds < 0 || params.gracePeriodSeconds > 30 * 24 * 60 * 60)) {
+        result.isValid = false;
+        result.errors.push('gracePeriodSeconds must be an integer between 0 and 2592000 (30 days)');
+    }
+
+    return result;
+}
+
+// Event stream query: events, chatIds and sessionIds as comma-separated lists
+function validateEventStreamParams(query, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const allowedEvents = options.allowedEvents || [];
+
+    for (const field of ['events', 'chatIds', 'sessionIds']) {
+        if (query[field] !== undefined && typeof query[field] !== 'string') {
+            result.isValid = false;
+            result.errors.push(`${field} must be a comma-separated list`);
+        }
+    }
+
+    if (result.isValid && query.events) {
+        const unknown = query.events.split(',')
+            .map(event => event.trim())
+            .filter(event => event && !allowedEvents.includes(event));
+        if (unknown.length > 0) {
+            result.isValid = false;
+            result.errors.push(`Unknown events: ${unknown.join(', ')}. Allowed: ${allowedEvents.join(', ')}`);
+        }
+    }
+
+    return result;
+}
+
+// Bulk replay of webhook deliveries: { since, webhookId?, includeDelivered? }
+function validateDeliveryReplayParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (params.since === undefined || params.since === null || params.since === '') {
+        result.isValid = false;
+        result.errors.push('since is required');
+    } else if (parseDateTime(params.since) === null) {
+        result.isValid = false;
+        result.errors.push('since must be an ISO 8601 date-time or a timestamp in milliseconds');
+    }
+
+    if (params.webhookId !== undefined && (!Number.isInteger(params.webhookId) || params.webhookId < 1)) {
+        result.isValid = false;
+        result.errors.push('webhookId must be a positive integer');
+    }
+
+    if (params.includeDelivered !== undefined && typeof params.includeDelivered !== 'boolean') {
+        result.isValid = false;
+        result.errors.push('includeDelivered must be a boolean');
+    }
+
+    return result;
+}
+
+function validateInboxClaimParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (params.limit !== undefined && (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > 100)) {
+        result.isValid = false;
+        result.errors.push('limit must be an integer between 1 and 100');
+    }
+
+    if (params.visibilityTimeoutSeconds !== undefined &&
+        (!Number.isInteger(params.visibilityTimeoutSeconds) || params.visibilityTimeoutSeconds < 1 || params.visibilityTimeoutSeconds > 43200)) {
+        result.isValid = false;
+        result.errors.push('visibilityTimeoutSeconds must be an integer between 1 and 43200');
+    }
+
+    if (params.consumer !== undefined && (typeof params.consumer !== 'string' || params.consumer.length > 100)) {
+        result.isValid = false;
+        result.errors.push('consumer must be a string of up to 100 characters');
+    }
+
+    return result;
+}
+
+function validateInboxLeaseParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (!params.leaseId || typeof params.leaseId !== 'string') {
+        result.isValid = false;
+        result.errors.push('leaseId is required');
+    }
+
+    if (params.delaySeconds !== undefined &&
+        (!Number.isInteger(params.delaySeconds) || params.delaySeconds < 0 || params.delaySeconds > 86400)) {
+        result.isValid = false;
+        result.errors.push('delaySeconds must be an integer between 0 and 86400');
+    }
+
+    return result;
+}
+
+// Query string of the message listing endpoints (all values arrive as strings)
+function validateMessageListParams(query, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    for (const [field, value] of Object.entries(query)) {
+        if (typeof value !== 'string') {
+            result.isValid = false;
+            result.errors.push(`${field} must be given once`);
+        }
+    }
+    if (!result.isValid) {
+        return result;
+    }
+
+    if (query.limit !== undefined && !/^\d+$/.test(query.limit)) {
+        result.isValid = false;
+        result.errors.push('limit must be a positive integer');
+    }
+
+    if (query.cursor !== undefined) {
+        const position = decodeCursor(query.cursor);
+        if (!position || !Number.isInteger(position.timestamp) || !Number.isInteger(position.seq) || !['asc', 'desc'].includes(position.order)) {
+            result.isValid = false;
+            result.errors.push('cursor is invalid - pass nextCursor from a previous page as is');
+        }
+    }
+
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+        result.isValid = false;
+        result.errors.push('order must be asc or desc');
+    }
+
+    if (query.direction !== undefined && !['inbound', 'outbound'].includes(query.direction)) {
+        result.isValid = false;
+        result.errors.push('direction must be inbound or outbound');
+    }
+
+    for (const field of ['fromMe', 'processed', 'includeRaw']) {
+        if (query[field] !== undefined && !['true', 'false'].includes(query[field])) {
+            result.isValid = false;
+            result.errors.push(`${field} must be true or false`);
+        }
+    }
+
+    for (const field of ['since', 'until']) {
+        if (query[field] !== undefined && parseDateTime(query[field]) === null) {
+            result.isValid = false;
+            result.errors.push(`${field} must be an ISO 8601 date-time or a timestamp in milliseconds`);
+        }
+    }
+
+    if (options.allowAnchors) {
+        const anchors = ['before', 'after', 'cursor'].filter(field => query[field] !== undefined);
+        if (anchors.length > 1) {
+            result.isValid = false;
+            result.errors.push('Only one of before, after and cursor can be used');
+        }
+    } else if (query.before !== undefined || query.after !== undefined) {
+        result.isValid = false;
+        result.errors.push('before and after are only supported for chat messages - use cursor');
+    }
+
+    return result;
+}
+
+// Query string of the group event listings
+function validateGroupEventListParams(query) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (query.limit !== undefined && !/^\d+$/.test(query.limit)) {
+        result.isValid = false;
+        result.errors.push('limit must be a positive integer');
+    }
+
+    if (query.cursor !== undefined) {
+        const position = decodeCursor(query.cursor);
+        if (!position || !Number.isInteger(position.id)) {
+            result.isValid = false;
+            result.errors.push('cursor is invalid - pass nextCursor from a previous page as is');
+        }
+    }
+
+    return result;
+}
+
+function validateMessageSearchParams(query) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    for (const [field, value] of Object.entries(query)) {
+        if (typeof value !== 'string') {
+            result.isValid = false;
+            result.errors.push(`${field} must be given once`);
+        }
+    }
+    if (!result.isValid) {
+        return result;
+    }
+
+    if (!query.q || !query.q.trim()) {
+        result.isValid = false;
+        result.errors.push('q is required');
+    } else if (query.q.length > 500) {
+        result.isValid = false;
+        result.errors.push('q must be at most 500 characters');
+    }
+
+    for (const field of ['limit', 'offset']) {
+        if (query[field] !== undefined && !/^\d+$/.test(query[field])) {
+            result.isValid = false;
+            result.errors.push(`${field} must be a non-negative integer`);
+        }
+    }
+
+    if (query.order !== undefined && !['rank', 'newest'].includes(query.order)) {
+        result.isValid = false;
+        result.errors.push('order must be rank or newest');
+    }
+
+    if (query.direction !== undefined && !['inbound', 'outbound'].includes(query.direction)) {
+        result.isValid = false;
+        result.errors.push('direction must be inbound or outbound');
+    }
+
+    for (const field of ['since', 'until']) {
+        if (query[field] !== undefined && parseDateTime(query[field]) === null) {
+            result.isValid = false;
+            result.errors.push(`${field} must be an ISO 8601 date-time or a timestamp in milliseconds`);
+        }
+    }
+
+    return result;
+}
+
+// BCP 47 locale supported by Intl, e.g. "he-IL", "en-US"
+function isValidLocale(locale) {
+    if (typeof locale !== 'string' || !locale) {
+        return false;
+    }
+
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateResponderSchedule(schedule, errors) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        errors.push('conditions.schedule must be an object');
+        return;
+    }
+
+    if (schedule.days !== undefined) {
+        const validDay = (day) => (Number.isInteger(day) && day >= 0 && day <= 6) ||
+            (typeof day === 'string' && WEEKDAYS.includes(day.toUpperCase()));
+        if (!Array.isArray(schedule.days) || schedule.days.length === 0 || !schedule.days.every(validDay)) {
+            errors.push(`conditions.schedule.days must be a non-empty list of 0-6 (0 = Sunday) or ${WEEKDAYS.join(', ')}`);
+        }
+    }
+
+    for (const field of ['from', 'to']) {
+        if (schedule[field] !== undefined && parseTimeOfDay(schedule[field]) === null) {
+            errors.push(`conditions.schedule.${field} must be a time of day as HH:MM`);
+        }
+    }
+
+    if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+        errors.push(`Invalid timezone: ${schedule.timezone}`);
+    }
+
+    if (schedule.outside !== undefined && typeof schedule.outside !== 'boolean') {
+        errors.push('conditions.schedule.outside must be a boolean');
+    }
+}
+
+function validateResponderConditions(conditions, errors) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push('conditions must be an object');
+        return;
+    }
+
+    for (const field of ['chatIds', 'excludeChatIds', 'contactIds', 'excludeContactIds', 'messageTypes']) {
+        if (conditions[field] !== undefined && !isStringArray(conditions[field])) {
+            errors.push(`conditions.${field} must be an array of strings`);
+        }
+    }
+
+    if (conditions.chatTypes !== undefined &&
+        (!Array.isArray(conditions.chatTypes) || conditions.chatTypes.length === 0 ||
+            !conditions.chatTypes.every(type => ['private', 'group'].includes(type)))) {
+        errors.push('conditions.chatTypes must be a non-empty list of private, group');
+    }
+
+    if (conditions.schedule !== undefined && conditions.schedule !== null) {
+        validateResponderSchedule(conditions.schedule, errors);
+    }
+
+    for (const field of ['cooldownSeconds', 'maxFiresPerContact']) {
+        const value = conditions[field];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+            errors.push(`conditions.${field} must be a positive integer`);
+        }
+    }
+
+    if (conditions.mentionOnly !== undefined && typeof conditions.mentionOnly !== 'boolean') {
+        errors.push('conditions.mentionOnly must be a boolean');
+    }
+
+    const known = ['chatIds', 'excludeChatIds', 'contactIds', 'excludeContactIds', 'chatTypes', 'messageTypes', 'schedule', 'cooldownSeconds', 'maxFiresPerContact', 'mentionOnly'];
+    const unknown = Object.keys(conditions).filter(field => !known.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown conditions: ${unknown.join(', ')}`);
+    }
+}
+
+// Fields each action type accepts besides "type" and "quote"
+const RESPONDER_ACTION_FIELDS = {
+    text: [],
+    reply: [],
+    media: ['file', 'url', 'filename'],
+    document: ['file', 'url', 'filename'],
+    location: ['latitude', 'longitude', 'name', 'address'],
+    contact: ['contactId'],
+    reaction: ['emoji'],
+    forward: ['chatId']
+};
+
+function validateResponderAction(action, errors) {
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+        errors.push('action must be an object');
+        return;
+    }
+
+    const types = Object.keys(RESPONDER_ACTION_FIELDS);
+    if (!types.includes(action.type)) {
+        errors.push(`action.type must be one of: ${types.join(', ')}`);
+        return;
+    }
+
+    if (action.quote !== undefined && typeof action.quote !== 'boolean') {
+        errors.push('action.quote must be a boolean');
+    }
+
+    switch (action.type) {
+        case 'media':
+        case 'document':
+            if ((action.file === undefined) === (action.url === undefined)) {
+                errors.push(`action.file or action.url is required for ${action.type} (not both)`);
+            }
+            // Stored files are relative to the media directory
+            if (action.file !== undefined &&
+                (typeof action.file !== 'string' || !action.file || action.file.startsWith('/') || action.file.split(/[\\/]/).includes('..'))) {
+                errors.push('action.file must be a path inside the media directory');
+            }
+            if (action.url !== undefined && (typeof action.url !== 'string' || !/^https?:\/\/\S+$/.test(action.url))) {
+                errors.push('action.url must be an http(s) URL');
+            }
+            if (action.filename !== undefined && (typeof action.filename !== 'string' || !action.filename)) {
+                errors.push('action.filename must be a non-empty string');
+            }
+            break;
+        case 'location':
+            if (typeof action.latitude !== 'number' || action.latitude < -90 || action.latitude > 90) {
+                errors.push('action.latitude must be a number between -90 and 90');
+            }
+            if (typeof action.longitude !== 'number' || action.longitude < -180 || action.longitude > 180) {
+                errors.push('action.longitude must be a number between -180 and 180');
+            }
+            for (const field of ['name', 'address']) {
+                if (action[field] !== undefined && typeof action[field] !== 'string') {
+                    errors.push(`action.${field} must be a string`);
+                }
+            }
+            break;
+        case 'contact':
+            if (typeof action.contactId !== 'string' || !/^\d+@c\.us$/.test(action.contactId)) {
+                errors.push('action.contactId must be a contact ID such as 972502345678@c.us');
+            }
+            break;
+        case 'reaction':
+            if (typeof action.emoji !== 'string' || !action.emoji.trim() || action.emoji.length > 32) {
+                errors.push('action.emoji must be an emoji');
+            }
+            break;
+        case 'forward':
+            if (typeof action.chatId !== 'string' || !/^[\w.-]+@(c|g)\.us$/.test(action.chatId)) {
+                errors.push('action.chatId must be a chat ID ending with @c.us or @g.us');
+            }
+            break;
+    }
+
+    const known = ['type', 'quote', ...RESPONDER_ACTION_FIELDS[action.type]];
+    const unknown = Object.keys(action).filter(field => !known.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown fields for action ${action.type}: ${unknown.join(', ')}`);
+    }
+}
+
+// Only text and reply actions send the response itself; for the others it is optional
+function responderActionNeedsResponse(action) {
+    return !action || !action.type || ['text', 'reply'].includes(action.type);
+}
+
+// Regexes from the API run on every incoming message, so they are kept short and without nested quantifiers
+const MAX_REGEX_LENGTH = 500;
+
+/**
+ * Whether a quantified group contains a quantifier itself ("(a+)+", "(\w+\s?)*", "((ab)*)+").
+ * Such patterns backtrack exponentially on near-misses and can block the event loop (ReDoS).
+ */
+function hasNestedQuantifier(source) {
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const quantifiedInside = groups.pop();
+            const quantified = /^([+*]|\{\d+,)/.test(source.slice(i + 1));
+            if (quantifiedInside && quantified) {
+                return true;
+            }
+            if ((quantifiedInside || quantified) && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else if ((char === '+' || char === '*' || /^\{\d+,/.test(source.slice(i))) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// Error message for a regex given over the API, or null when it is usable
+function getRegexError(source, flags, name) {
+    if (source.length > MAX_REGEX_LENGTH) {
+        return `${name} must be at most ${MAX_REGEX_LENGTH} characters`;
+    }
+    try {
+        new RegExp(source, flags);
+    } catch (error) {
+        return `${name} is not a valid regular expression`;
+    }
+    if (hasNestedQuantifier(source)) {
+        return `${name} must not nest quantifiers, such as (a+)+`;
+    }
+    return null;
+}
+
+// Fields of an auto-responder (all optional with partial)
+function validateAutoResponderParams(params, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const fields = ['trigger', 'response', 'description', 'enabled', 'priority', 'conditions', 'locale', 'timezone', 'action'];
+
+    if (options.partial && !fields.some(field => params[field] !== undefined)) {
+        result.isValid = false;
+        result.errors.push(`At least one of ${fields.join(', ')} is required`);
+        return result;
+    }
+
+    for (const field of ['trigger', 'response']) {
+        const value = params[field];
+        const optional = options.partial || (field === 'response' && !responderActionNeedsResponse(params.action));
+        if (value === undefined && optional) {
+            continue;
+        }
+        if (typeof value !== 'string' || (!value.trim() && !optional)) {
+            result.isValid = false;
+            result.errors.push(`${field} must be a non-empty string`);
+        } else if (value.length > 4096) {
+            result.isValid = false;
+            result.errors.push(`${field} must be at most 4096 characters`);
+        }
+    }
+
+    const regex = typeof params.trigger === 'string' ? params.trigger.match(REGEX_TRIGGER_PATTERN) : null;
+    const regexError = regex && getRegexError(regex[1], regex[2], 'trigger');
+    if (regexError) {
+        result.isValid = false;
+        result.errors.push(regexError);
+    }
+
+    if (typeof params.response === 'string') {
+        try {
+            parseTemplate(params.response);
+        } catch (error) {
+            result.isValid = false;
+            result.errors.push(`response template: ${error.message}`);
+        }
+    }
+
+    if (params.description !== undefined && typeof params.description !== 'string') {
+        result.isValid = false;
+        result.errors.push('description must be a string');
+    }
+
+    if (params.enabled !== undefined && typeof params.enabled !== 'boolean') {
+        result.isValid = false;
+        result.errors.push('enabled must be a boolean');
+    }
+
+    if (params.locale !== undefined && params.locale !== null && !isValidLocale(params.locale)) {
+        result.isValid = false;
+        result.errors.push(`Invalid locale: ${params.locale}`);
+    }
+
+    if (params.timezone !== undefined && params.timezone !== null && !isValidTimezone(params.timezone)) {
+        result.isValid = false;
+        result.errors.push(`Invalid timezone: ${params.timezone}`);
+    }
+
+    if (params.id !== undefined && (typeof params.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(params.id))) {
+        result.isValid = false;
+        result.errors.push('id must be 1-64 letters, digits, "_" or "-"');
+    }
+
+    if (params.priority !== undefined && (!Number.isInteger(params.priority) || Math.abs(params.priority) > 1000000)) {
+        result.isValid = false;
+        result.errors.push('priority must be an integer');
+    }
+
+    if (params.conditions !== undefined) {
+        const errors = [];
+        validateResponderConditions(params.conditions, errors);
+        if (errors.length > 0) {
+            result.isValid = false;
+            result.errors.push(...errors);
+        }
+    }
+
+    if (params.action !== undefined) {
+        const errors = [];
+        validateResponderAction(params.action, errors);
+        if (errors.length > 0) {
+            result.isValid = false;
+            result.errors.push(...errors);
+        }
+    }
+
+    return result;
+}
+
+function validateTemplateText(value, name, errors) {
+    if (typeof value !== 'string') {
+        errors.push(`${name} must be a string`);
+        return;
+    }
+    try {
+        parseTemplate(value);
+    } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+    }
+}
+
+// Bounds of a date step: "today" or YYYY-MM-DD
+function isDateBound(value) {
+    return value === 'today' || (typeof value === 'string' && parseDateInput(value) === value);
+}
+
+function validateFlowBranch(branch, name, step, errors) {
+    if (!branch || typeof branch !== 'object' || Array.isArray(branch)) {
+        errors.push(`${name} must be an object`);
+        return;
+    }
+    if (branch.in !== undefined && !Array.isArray(branch.in)) {
+        errors.push(`${name}.in must be an array`);
+    }
+    for (const field of ['min', 'max']) {
+        if (branch[field] === undefined) {
+            continue;
+        }
+        const valid = step.type === 'date' ? isDateBound(branch[field]) : typeof branch[field] === 'number';
+        if (!valid) {
+            errors.push(`${name}.${field} must be ${step.type === 'date' ? 'a date (YYYY-MM-DD)' : 'a number'}`);
+        }
+    }
+    if (typeof branch.next !== 'string') {
+        errors.push(`${name}.next is required`);
+    }
+}
+
+function validateFlowStep(step, index, errors) {
+    const name = `steps[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        errors.push(`${name} must be an object`);
+        return;
+    }
+
+    if (typeof step.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(step.id) || step.id === 'end') {
+        errors.push(`${name}.id must be 1-64 letters, digits, "_" or "-" (and not "end")`);
+    }
+    if (!['text', 'number', 'date', 'choice'].includes(step.type)) {
+        errors.push(`${name}.type must be one of: text, number, date, choice`);
+    }
+    if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+        errors.push(`${name}.prompt must be a non-empty string`);
+    } else {
+        validateTemplateText(step.prompt, `${name}.prompt`, errors);
+    }
+    if (step.errorMessage !== undefined) {
+        validateTemplateText(step.errorMessage, `${name}.errorMessage`, errors);
+    }
+    if (step.field !== undefined && (typeof step.field !== 'string' || !/^[A-Za-z0-9_]{1,64}$/.test(step.field))) {
+        errors.push(`${name}.field must be 1-64 letters, digits or "_"`);
+    }
+
+    if (step.type === 'choice') {
+        if (!Array.isArray(step.choices) || step.choices.length === 0 || step.choices.length > 50) {
+            errors.push(`${name}.choices must be a list of 1-50 choices`);
+        } else {
+            step.choices.forEach((choice, choiceIndex) => {
+                if (!choice || !['string', 'number'].includes(typeof choice.value) ||
+                    (choice.label !== undefined && typeof choice.label !== 'string')) {
+                    errors.push(`${name}.choices[${choiceIndex}] needs a value (and an optional label string)`);
+                }
+            });
+        }
+        if (step.showChoices !== undefined && typeof step.showChoices !== 'boolean') {
+            errors.push(`${name}.showChoices must be a boolean`);
+        }
+    }
+
+    for (const field of ['min', 'max']) {
+        if (step[field] === undefined) {
+            continue;
+        }
+        if (step.type === 'number' && typeof step[field] !== 'number') {
+            errors.push(`${name}.${field} must be a number`);
+        } else if (step.type === 'date' && !isDateBound(step[field])) {
+            errors.push(`${name}.${field} must be "today" or a date (YYYY-MM-DD)`);
+        } else if (!['number', 'date'].includes(step.type)) {
+            errors.push(`${name}.${field} only applies to number and date steps`);
+        }
+    }
+    if (step.integer !== undefined && typeof step.integer !== 'boolean') {
+        errors.push(`${name}.integer must be a boolean`);
+    }
+
+    for (const field of ['minLength', 'maxLength']) {
+        if (step[field] !== undefined && (!Number.isInteger(step[field]) || step[field] < 0)) {
+            errors.push(`${name}.${field} must be a non-negative integer`);
+        }
+    }
+    if (step.pattern !== undefined) {
+        const patternError = typeof step.pattern === 'string'
+            ? getRegexError(step.pattern, 'u', `${name}.pattern`)
+            : `${name}.pattern must be a string`;
+        if (patternError) {
+            errors.push(patternError);
+        }
+    }
+
+    if (step.branches !== undefined) {
+        if (!Array.isArray(step.branches)) {
+            errors.push(`${name}.branches must be an array`);
+        } else {
+            step.branches.forEach((branch, branchIndex) => validateFlowBranch(branch, `${name}.branches[${branchIndex}]`, step, errors));
+        }
+    }
+}
+
+/**
+ * A conversational flow: settings plus the list of steps. Every "next" must name a step
+ * or "end"; the first step is where the flow starts.
+ */
+function validateFlowParams(params, options = {}) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+    const partial = options.partial || false;
+    const fields = ['name', 'description', 'trigger', 'enabled', 'timeoutSeconds', 'timezone', 'keywords', 'messages', 'steps'];
+
+    if (partial && !fields.some(field => params[field] !== undefined)) {
+        errors.push(`At least one of ${fields.join(', ')} is required`);
+    }
+
+    if (!partial && (typeof params.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(params.id))) {
+        errors.push('id must be 1-64 letters, digits, "_" or "-"');
+    }
+
+    if ((!partial || params.name !== undefined) && (typeof params.name !== 'string' || !params.name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+
+    if (params.description !== undefined && typeof params.description !== 'string') {
+        errors.push('description must be a string');
+    }
+
+    if (params.trigger !== undefined && params.trigger !== null) {
+        const regex = typeof params.trigger === 'string' ? params.trigger.match(REGEX_TRIGGER_PATTERN) : null;
+        if (typeof params.trigger !== 'string' || !params.trigger.trim()) {
+            errors.push('trigger must be a non-empty string or null');
+        } else if (regex) {
+            const regexError = getRegexError(regex[1], regex[2], 'trigger');
+            if (regexError) {
+                errors.push(regexError);
+            }
+        }
+    }
+
+    if (params.enabled !== undefined && typeof params.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+    }
+
+    if (params.timeoutSeconds !== undefined &&
+        (!Number.isInteger(params.timeoutSeconds) || params.timeoutSeconds < 30 || params.timeoutSeconds > 7 * 24 * 60 * 60)) {
+        errors.push('timeoutSeconds must be an integer between 30 and 604800 (7 days)');
+    }
+
+    if (params.timezone !== undefined && params.timezone !== null && !isValidTimezone(params.timezone)) {
+        errors.push(`Invalid timezone: ${params.timezone}`);
+    }
+
+    if (params.keywords !== undefined) {
+        if (!params.keywords || typeof params.keywords !== 'object' || Array.isArray(params.keywords)) {
+            errors.push('keywords must be an object');
+        } else {
+            for (const [field, words] of Object.entries(params.keywords)) {
+                if (!['cancel', 'back'].includes(field)) {
+                    errors.push(`Unknown keywords: ${field}`);
+                } else if (!isStringArray(words)) {
+                    errors.push(`keywords.${field} must be an array of strings`);
+                }
+            }
+        }
+    }
+
+    if (params.messages !== undefined) {
+        if (!params.messages || typeof params.messages !== 'object' || Array.isArray(params.messages)) {
+            errors.push('messages must be an object');
+        } else {
+            for (const [field, text] of Object.entries(params.messages)) {
+                if (!['completed', 'cancelled', 'timeout', 'invalid'].includes(field)) {
+                    errors.push(`Unknown messages: ${field}`);
+                } else {
+                    validateTemplateText(text, `messages.${field}`, errors);
+                }
+            }
+        }
+    }
+
+    if (!partial || params.steps !== undefined) {
+        if (!Array.isArray(params.steps) || params.steps.length === 0 || params.steps.length > 100) {
+            errors.push('steps must be a list of 1-100 steps');
+        } else {
+            params.steps.forEach((step, index) => validateFlowStep(step, index, errors));
+
+            const ids = params.steps.map(step => step && step.id);
+            const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+            if (duplicates.length > 0) {
+                errors.push(`Duplicate step ids: ${[...new Set(duplicates)].join(', ')}`);
+            }
+
+            // Every jump has to land on a step of this flow
+            const targets = [];
+            params.steps.forEach((step, index) => {
+                if (!step || typeof step !== 'object') {
+                    return;
+                }
+                if (step.next !== undefined) {
+                    targets.push([`steps[${index}].next`, step.next]);
+                }
+                (Array.isArray(step.choices) ? step.choices : []).forEach((choice, choiceIndex) => {
+                    if (choice && choice.next !== undefined) {
+                        targets.push([`steps[${index}].choices[${choiceIndex}].next`, choice.next]);
+                    }
+                });
+                (Array.isArray(step.branches) ? step.branches : []).forEach((branch, branchIndex) => {
+                    if (branch && typeof branch.next === 'string') {
+                        targets.push([`steps[${index}].branches[${branchIndex}].next`, branch.next]);
+                    }
+                });
+            });
+            for (const [name, target] of targets) {
+                if (target !== 'end' && !ids.includes(target)) {
+                    errors.push(`${name} refers to unknown step "${target}"`);
+                }
+            }
+        }
+    }
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+function isGroupId(value) {
+    return typeof value === 'string' && /^[\w-]+@g\.us$/.test(value);
+}
+
+// Auto-responder setting of a single group (PUT /auto-responders/groups/:groupId)
+function validateResponderGroupParams(groupId, params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+
+    if (!isGroupId(groupId)) {
+        result.isValid = false;
+        result.errors.push('groupId must be a group chat id ending with @g.us');
+    }
+
+    for (const field of ['enabled', 'mentionOnly']) {
+        if (params[field] !== undefined && typeof params[field] !== 'boolean') {
+            result.isValid = false;
+            result.errors.push(`${field} must be a boolean`);
+        }
+    }
+
+    return result;
+}
+
+// WhatsApp limits group subjects to 100 and descriptions to 2048 characters
+const GROUP_SUBJECT_MAX_LENGTH = 100;
+const GROUP_DESCRIPTION_MAX_LENGTH = 2048;
+const GROUP_SETTINGS = ['messagesAdminsOnly', 'infoAdminsOnly', 'addMembersAdminsOnly', 'membershipApproval'];
+
+// Participants are chat IDs (972502345678@c.us, or @lid) or phone numbers read in countryCode
+function validateGroupParticipants(params, errors, { required = true } = {}) {
+    const participants = params.participants;
+
+    if (participants === undefined && !required) {
+        return;
+    }
+    if (!Array.isArray(participants) || (required && participants.length === 0) || participants.length > 256) {
+        errors.push(`participants must be a list of ${required ? 1 : 0}-256 phone numbers or contact IDs`);
+        return;
+    }
+
+    if (params.countryCode !== undefined && !resolveRegion(params.countryCode)) {
+        errors.push(`Unknown country code: ${params.countryCode}`);
+        return;
+    }
+
+    for (const participant of participants) {
+        if (typeof participant === 'string' && /^\d+@(c\.us|lid)$/.test(participant)) {
+            continue;
+        }
+        const phone = parsePhoneNumber(participant, params.countryCode);
+        if (!phone.isValid) {
+            errors.push(`Participant ${participant}: ${phone.error}`);
+        }
+    }
+}
+
+function validateGroupSubject(subject, errors) {
+    if (typeof subject !== 'string' || subject.trim().length === 0 || subject.length > GROUP_SUBJECT_MAX_LENGTH) {
+        errors.push(`subject must be 1-${GROUP_SUBJECT_MAX_LENGTH} characters`);
+    }
+}
+
+function validateGroupSettingsFields(settings, errors, fields) {
+    for (const field of fields) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        }
+    }
+}
+
+// POST /groups
+function validateGroupCreateParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+
+    validateGroupSubject(params.subject, errors);
+    validateGroupParticipants(params, errors, { required: false });
+
+    if (params.settings !== undefined) {
+        if (!params.settings || typeof params.settings !== 'object' || Array.isArray(params.settings)) {
+            errors.push('settings must be an object');
+        } else {
+            validateGroupSettingsFields(params.settings, errors, GROUP_SETTINGS);
+        }
+    }
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+// Body of the participant actions: add, remove, promote, demote
+function validateGroupParticipantsParams(groupId, params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+
+    if (!isGroupId(groupId)) {
+        errors.push('groupId must be a group chat id ending with @g.us');
+    }
+    validateGroupParticipants(params, errors);
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+// PUT /groups/:groupId - subject and/or description
+function validateGroupInfoParams(groupId, params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+
+    if (!isGroupId(groupId)) {
+        errors.push('groupId must be a group chat id ending with @g.us');
+    }
+    if (params.subject === undefined && params.description === undefined) {
+        errors.push('Provide subject and/or description');
+    }
+    if (params.subject !== undefined) {
+        validateGroupSubject(params.subject, errors);
+    }
+    if (params.description !== undefined &&
+        (typeof params.description !== 'string' || params.description.length > GROUP_DESCRIPTION_MAX_LENGTH)) {
+        errors.push(`description must be a string of at most ${GROUP_DESCRIPTION_MAX_LENGTH} characters`);
+    }
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+// PUT /groups/:groupId/settings - membership approval can only be chosen when creating the group
+function validateGroupSettingsParams(groupId, params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+    const fields = GROUP_SETTINGS.filter(field => field !== 'membershipApproval');
+
+    if (!isGroupId(groupId)) {
+        errors.push('groupId must be a group chat id ending with @g.us');
+    }
+    if (!fields.some(field => params[field] !== undefined)) {
+        errors.push(`Provide at least one of: ${fields.join(', ')}`);
+    }
+    validateGroupSettingsFields(params, errors, fields);
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+// PUT /groups/:groupId/picture - base64 image, or a file in MEDIA_PATH, or a URL
+function validateGroupPictureParams(groupId, params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const errors = result.errors;
+
+    if (!isGroupId(groupId)) {
+        errors.push('groupId must be a group chat id ending with @g.us');
+    }
+
+    const sources = ['mediaBase64', 'file', 'url'].filter(field => params[field] !== undefined);
+    if (sources.length !== 1) {
+        errors.push('Provide exactly one of: mediaBase64, file, url');
+    } else if (sources[0] === 'mediaBase64' && !/^image\/(jpeg|png)$/.test(params.mimetype || '')) {
+        errors.push('mimetype must be image/jpeg or image/png');
+    } else if (typeof params[sources[0]] !== 'string' || params[sources[0]].length === 0) {
+        errors.push(`${sources[0]} must be a non-empty string`);
+    } else if (sources[0] === 'url' && !/^https?:\/\//.test(params.url)) {
+        errors.push('url must be an http(s) URL');
+    }
+
+    result.isValid = errors.length === 0;
+    return result;
+}
+
+// Custom fields of a contact: names are identifiers usable as {{contact.<name>}}, null removes a field
+function validateContactFieldsParams(params) {
+    const result = {
+        isValid: true,
+        errors: []
+    };
+    const fields = params.fields;
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+        result.isValid = false;
+        result.errors.push('fields must be a non-empty object');
+        return result;
+    }
+
+    if (Object.keys(fields).length > 100) {
+        result.isValid = false;
+        result.errors.push('At most 100 fields can be set at once');
+    }
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (!/^[A-Za-z0-9_]{1,64}$/.test(name)) {
+            result.isValid = false;
+            result.errors.push(`Invalid field name "${name}" - use 1-64 letters, digits or "_"`);
+        } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            result.isValid = false;
+            result.errors.push(`Field ${name} must be a string, number, boolean or null`);
+        } else if (typeof value === 'string' && value.length > 1000) {
+            result.isValid = false;
+            result.errors.push(`Field ${name} must be at most 1000 characters`);
+        }
+    }
+
+    return result;
+}
+
 module.exports = {
     validatePhoneNumber,
     formatPhoneNumber,
+    validatePhoneNormalizeParams,
     validateMessage,
     sanitizeInput,
-    validateSendMessageParams
+    validateSendMessageParams,
+    validateScheduleTime,
+    validateScheduledMessageParams,
+    validateRecurringMessageParams,
+    validateWebhookParams,
+    validateSecretRotationParams,
+    validateDeliveryReplayParams,
+    validateEventStreamParams,
+    validateInboxClaimParams,
+    validateInboxLeaseParams,
+    validateMessageListParams,
+    validateGroupEventListParams,
+    validateMessageSearchParams,
+    validateAutoResponderParams,
+    responderActionNeedsResponse,
+    validateResponderGroupParams,
+    isGroupId,
+    validateGroupCreateParams,
+    validateGroupParticipantsParams,
+    validateGroupInfoParams,
+    validateGroupSettingsParams,
+    validateGroupPictureParams,
+    validateContactFieldsParams,
+    validateFlowParams
 };
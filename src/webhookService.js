@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WhatsAppService = require('./whatsappService');
+const logger = require('./utils/logger');
+const { parseDateTime } = require('./utils/time');
+const { generateSecret, buildSignatureHeader } = require('./utils/signature');
+const db = require('./db/whatsapp.db');
+
+// Loading progress is only useful to live dashboards (see the event stream), not to webhooks
+const WEBHOOK_EVENTS = WhatsAppService.EVENTS.filter(event => event !== 'loading_screen');
+
+class WebhookService {
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+        this.retryBaseMs = options.retryBaseMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+        this.retryMaxMs = options.retryMaxMs || parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000;
+        this.maxConcurrent = options.maxConcurrent || parseInt(process.env.WEBHOOK_MAX_CONCURRENT) || 10;
+        this.secretGraceSeconds = options.secretGraceSeconds || parseInt(process.env.WEBHOOK_SECRET_GRACE_SECONDS) || 24 * 60 * 60;
+        this.inFlight = 0;
+        this.timer = null;
+        this.listeners = new Map();
+    }
+
+    start() {
+        // Deliveries cut off by a restart are attempted again; the receiver may see them twice
+        const reset = db.prepare(`UPDATE webhook_deliveries SET status = 'pending', updatedAt = ? WHERE status = 'delivering'`)
+            .run(new Date().toISOString());
+        if (reset.changes > 0) {
+            logger.warn(`Re-queued ${reset.changes} webhook delivery(ies) interrupted by a restart`);
+        }
+
+        this.ensureEnvSubscription();
+
+        for (const event of WEBHOOK_EVENTS) {
+            const listener = (payload) => this.dispatch(event, payload);
+            this.listeners.set(event, listener);
+            this.sessionManager.on(event, listener);
+        }
+
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        logger.info('Webhook dispatcher started');
+    }
+
+    stop() {
+        for (const [event, listener] of this.listeners) {
+            this.sessionManager.removeListener(event, listener);
+        }
+        this.listeners.clear();
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // WEBHOOK_URL keeps working: it is registered once as a subscription to "message" events
+    ensureEnvSubscription() {
+        const url = process.env.WEBHOOK_URL;
+        if (!url) {
+            return;
+        }
+
+        const existing = db.prepare(`SELECT id FROM webhooks WHERE url = ?`).get(url);
+        if (!existing) {
+            this.create({ url, events: ['message'], description: 'Registered from WEBHOOK_URL' });
+            logger.info(`Registered WEBHOOK_URL as a webhook subscription: ${url}`);
+        }
+    }
+
+    create({ url, events, filters = {}, description = '', enabled = true, secret }) {
+        const now = new Date().toISOString();
+        const info = db.prepare(`
+            INSERT INTO webhooks (url, events, filters, description, enabled, secret, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(url, JSON.stringify(events), JSON.stringify(filters), description, enabled ? 1 : 0, secret || generateSecret(), now, now);
+
+        logger.info(`✅ Webhook ${info.lastInsertRowid} registered: ${url}`);
+        return this.get(info.lastInsertRowid, { includeSecret: true });
+    }
+
+    getRow(id) {
+        return db.prepare(`SELECT * FROM webhooks WHERE id = ?`).get(id);
+    }
+
+    get(id, options = {}) {
+        const row = this.getRow(id);
+        return row ? this.format(row, options) : null;
+    }
+
+    list() {
+        return db.prepare(`SELECT * FROM webhooks ORDER BY id`).all().map(row => this.format(row));
+    }
+
+    update(id, changes) {
+        const existing = this.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const updated = { ...existing, ...changes };
+        db.prepare(`
+            UPDATE webhooks SET url = ?, events = ?, filters = ?, description = ?, enabled = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(
+            updated.url,
+            JSON.stringify(updated.events),
+            JSON.stringify(updated.filters || {}),
+            updated.description || '',
+            updated.enabled ? 1 : 0,
+            new Date().toISOString(),
+            id
+        );
+
+        logger.info(`🔄 Webhook ${id} updated`);
+        return this.get(id);
+    }
+
+    remove(id) {
+        const result = db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(id);
+        if (result.changes > 0) {
+            logger.info(`🗑️ Webhook ${id} removed`);
+        }
+        return result.changes > 0;
+    }
+
+    // The secret is only included when asked for (create, rotate and single-webhook reads)
+    format(row, { includeSecret = false } = {}) {
+        const webhook = {
+            id: row.id,
+            url: row.url,
+            events: JSON.parse(row.events),
+            filters: JSON.parse(row.filters),
+            description: row.description,
+            enabled: row.enabled === 1,
+            previousSecretExpiresAt: this.isPreviousSecretActive(row) ? new Date(row.previousSecretExpiresAt).toISOString() : null,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt
+        };
+
+        if (includeSecret) {
+            webhook.secret = row.secret;
+        }
+        return webhook;
+    }
+
+    isPreviousSecretActive(row) {
+        return !!(row.previousSecret && row.previousSecretExpiresAt && row.previousSecretExpiresAt > Date.now());
+    }
+
+    // Current secret first, then the previous one while its grace period lasts
+    getSigningSecrets(row) {
+        return this.isPreviousSecretActive(row) ? [row.secret, row.previousSecret] : [row.secret];
+    }
+
+    /**
+     * Replaces the signing secret. Requests are signed with both the new and the old secret
+     * until the grace period ends, so receivers can switch over without dropping events.
+     */
+    rotateSecret(id, { secret, gracePeriodSeconds } = {}) {
+        const row = this.getRow(id);
+        if (!row) {
+            return null;
+        }
+
+        const graceSeconds = gracePeriodSeconds !== undefined ? gracePeriodSeconds : this.secretGraceSeconds;
+        const expiresAt = graceSeconds > 0 ? Date.now() + graceSeconds * 1000 : null;
+
+        db.prepare(`
+            UPDATE webhooks SET secret = ?, previousSecret = ?, previousSecretExpiresAt = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(secret || generateSecret(), expiresAt ? row.secret : null, expiresAt, new Date().toISOString(), id);
+
+        logger.info(`🔑 Webhook ${id} secret rotated (old secret valid for ${graceSeconds}s)`);
+        return this.get(id, { includeSecret: true });
+    }
+
+    /**
+     * Whether a subscription wants this event. Filters (all optional):
+     * sessionIds, chatIds, fromMe, messageTypes - each one only applies when the payload has that field.
+     * chatIds also match the groupId of group events.
+     */
+    matches(webhook, event, payload) {
+        if (!webhook.events.includes('*') && !webhook.events.includes(event)) {
+            return false;
+        }
+
+        const filters = webhook.filters || {};
+
+        if (filters.sessionIds && filters.sessionIds.length > 0 && !filters.sessionIds.includes(payload.sessionId)) {
+            return false;
+        }
+        const chatId = payload.chatId !== undefined ? payload.chatId : payload.groupId;
+        if (filters.chatIds && filters.chatIds.length > 0 && chatId !== undefined && !filters.chatIds.includes(chatId)) {
+            return false;
+        }
+        if (typeof filters.fromMe === 'boolean' && payload.fromMe !== undefined && payload.fromMe !== filters.fromMe) {
+            return false;
+        }
+        if (filters.messageTypes && filters.messageTypes.length > 0 && payload.type !== undefined &&
+            !filters.messageTypes.includes(payload.type)) {
+            return false;
+        }
+        if (filters.flowIds && filters.flowIds.length > 0 && payload.flowId !== undefined &&
+            !filters.flowIds.includes(payload.flowId)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Events are only written to the delivery table here; sending happens off the event loop's critical path
+    dispatch(event, payload) {
+        try {
+            const webhooks = this.list().filter(webhook => webhook.enabled && this.matches(webhook, event, payload));
+            if (webhooks.length === 0) {
+                return;
+            }
+
+            const { sessionId, ...eventPayload } = payload;
+            const body = JSON.stringify({
+                event,
+                sessionId,
+                timestamp: new Date().toISOString(),
+                payload: eventPayload
+            });
+            const now = new Date().toISOString();
+            const insert = db.prepare(`
+                INSERT INTO webhook_deliveries (webhookId, deliveryId, sessionId, event, body, status, attempts, maxAttempts, nextAttemptAt, createdAt, updatedAt)
+                VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+            `);
+
+            for (const webhook of webhooks) {
+                insert.run(webhook.id, crypto.randomUUID(), sessionId || 'default', event, body, this.maxAttempts, Date.now(), now, now);
+            }
+
+            setImmediate(() => this.processDue());
+        } catch (error) {
+            logger.error(`Error dispatching ${event} webhooks:`, error);
+        }
+    }
+
+    getDelivery(id) {
+        const row = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).get(id);
+        return row ? this.formatDelivery(row) : null;
+    }
+
+    listDeliveries({ webhookId, status, event, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (webhookId) {
+            conditions.push('webhookId = ?');
+            params.push(webhookId);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (event) {
+            conditions.push('event = ?');
+            params.push(event);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset)
+            .map(row => this.formatDelivery(row));
+    }
+
+    formatDelivery(row) {
+        return {
+            id: row.id,
+            deliveryId: row.deliveryId,
+            webhookId: row.webhookId,
+            sessionId: row.sessionId,
+            event: row.event,
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.maxAttempts,
+            nextAttemptAt: row.status === 'pending' ? new Date(row.nextAttemptAt).toISOString() : null,
+            lastError: row.lastError,
+            responseStatus: row.responseStatus,
+            body: JSON.parse(row.body),
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt,
+            deliveredAt: row.deliveredAt
+        };
+    }
+
+    /**
+     * Sends a dead-lettered or delivered event again with a fresh attempt budget; returns null while it is still pending.
+     * A replay gets a new deliveryId, so receivers that skip delivery ids they have processed still accept it.
+     */
+    replay(id) {
+        const result = db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = 'pending', deliveryId = ?, attempts = 0, nextAttemptAt = ?, lastError = NULL, updatedAt = ?
+            WHERE id = ? AND status IN ('dead', 'delivered')
+        `).run(crypto.randomUUID(), Date.now(), new Date().toISOString(), id);
+
+        if (result.changes === 0) {
+            return null;
+        }
+
+        logger.info(`🔁 Webhook delivery ${id} queued for replay`);
+        setImmediate(() => this.processDue());
+        return this.getDelivery(id);
+    }
+
+    // Bulk replay of deliveries created at or after `since` (dead letters only unless includeDelivered)
+    replaySince({ since, webhookId, includeDelivered = false }) {
+        const sinceIso = new Date(parseDateTime(since)).toISOString();
+        const statuses = includeDelivered ? ['dead', 'delivered'] : ['dead'];
+        const conditions = [`status IN (${statuses.map(() => '?').join(', ')})`, 'createdAt >= ?'];
+        const params = [...statuses, sinceIso];
+
+        if (webhookId) {
+            conditions.push('webhookId = ?');
+            params.push(webhookId);
+        }
+
+        // Each replayed delivery needs its own new deliveryId, so rows are updated one by one
+        const replayed = db.transaction(() => {
+            const rows = db.prepare(`SELECT id FROM webhook_deliveries WHERE ${conditions.join(' AND ')}`).all(...params);
+            const update = db.prepare(`
+                UPDATE webhook_deliveries
+                SET status = 'pending', deliveryId = ?, attempts = 0, nextAttemptAt = ?, lastError = NULL, updatedAt = ?
+                WHERE id = ?
+            `);
+            const now = new Date().toISOString();
+            for (const row of rows) {
+                update.run(crypto.randomUUID(), Date.now(), now, row.id);
+            }
+            return rows.length;
+        })();
+
+        if (replayed > 0) {
+            logger.info(`🔁 ${replayed} webhook delivery(ies) since ${sinceIso} queued for replay`);
+            setImmediate(() => this.processDue());
+        }
+        return replayed;
+    }
+
+    // Starts due deliveries without waiting for them, so one slow receiver cannot hold up the others
+    processDue() {
+        try {
+            const available = this.maxConcurrent - this.inFlight;
+            if (available <= 0) {
+                return;
+            }
+
+            const rows = db.prepare(`
+                SELECT id FROM webhook_deliveries
+                WHERE status = 'pending' AND nextAttemptAt <= ?
+                ORDER BY nextAttemptAt
+                LIMIT ?
+            `).all(Date.now(), available);
+
+            const claim = db.prepare(`UPDATE webhook_deliveries SET status = 'delivering', updatedAt = ? WHERE id = ? AND status = 'pending'`);
+
+            for (const row of rows) {
+                if (claim.run(new Date().toISOString(), row.id).changes === 0) {
+                    continue;
+                }
+
+                this.inFlight++;
+                this.attemptDelivery(row.id)
+                    .catch(error => logger.error(`Error delivering webhook ${row.id}:`, error))
+                    .finally(() => {
+                        this.inFlight--;
+                    });
+            }
+        } catch (error) {
+            logger.error('Error processing webhook deliveries:', error);
+        }
+    }
+
+    async attemptDelivery(id) {
+        const row = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`).get(id);
+        const webhook = this.getRow(row.webhookId);
+        const attempts = row.attempts + 1;
+
+        if (!webhook || webhook.enabled !== 1) {
+            // Kept as a dead letter so it can be replayed once the subscription is back
+            this.markDead(row, attempts - 1, webhook ? 'Webhook is disabled' : 'Webhook was removed', null);
+            return;
+        }
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const response = await this.deliver(webhook, row);
+            responseStatus = response.status;
+        } catch (deliveryError) {
+            responseStatus = deliveryError.response ? deliveryError.response.status : null;
+            error = deliveryError.message;
+        }
+
+        const now = new Date().toISOString();
+
+        if (!error) {
+            db.prepare(`
+                UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, responseStatus = ?, lastError = NULL, updatedAt = ?, deliveredAt = ?
+                WHERE id = ?
+            `).run(attempts, responseStatus, now, now, id);
+
+            logger.info('📤 Webhook sent successfully', {
+                deliveryId: id,
+                webhookId: webhook.id,
+                url: webhook.url,
+                event: row.event,
+                attempt: attempts
+            });
+        } else if (attempts >= row.maxAttempts) {
+            this.markDead(row, attempts, error, responseStatus);
+        } else {
+            const delay = this.getRetryDelay(attempts);
+            db.prepare(`
+                UPDATE webhook_deliveries SET status = 'pending', attempts = ?, responseStatus = ?, lastError = ?, nextAttemptAt = ?, updatedAt = ?
+                WHERE id = ?
+            `).run(attempts, responseStatus, error, Date.now() + delay, now, id);
+
+            logger.warn(`⚠️ Webhook delivery ${id} attempt ${attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${error}`);
+        }
+    }
+
+    markDead(row, attempts, error, responseStatus) {
+        db.prepare(`
+            UPDATE webhook_deliveries SET status = 'dead', attempts = ?, responseStatus = ?, lastError = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(attempts, responseStatus, error, new Date().toISOString(), row.id);
+
+        logger.error('❌ Webhook delivery moved to dead letters:', {
+            deliveryId: row.id,
+            webhookId: row.webhookId,
+            event: row.event,
+            attempts,
+            error
+        });
+    }
+
+    // Each attempt is signed with a fresh timestamp; receivers should reject stale timestamps and seen delivery ids
+    deliver(webhook, row) {
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return axios.post(webhook.url, row.body, {
+            timeout: this.timeoutMs,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': String(webhook.id),
+                'X-Webhook-Event': row.event,
+                'X-Webhook-Delivery': row.deliveryId,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': buildSignatureHeader(this.getSigningSecrets(webhook), timestamp, row.body)
+            }
+        });
+    }
+
+    // Exponential backoff: base, 2x base, 4x base ... capped at retryMaxMs
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+    }
+}
+
+WebhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
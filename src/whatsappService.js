@@ -1,18 +1,49 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const EventEmitter = require('events');
+const { Client, LocalAuth, MessageMedia, Location } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
-const axios = require('axios');
 const logger = require('./utils/logger');
-const { validatePhoneNumber, formatPhoneNumber } = require('./utils/validator');
+const { formatPhoneNumber } = require('./utils/validator');
 const path = require('path');
-const db = require('./db/whatsapp.db');
-
-class WhatsAppService {
-    constructor() {
+const { saveMessage, recordAck, getAckStatus } = require('./messageStore');
+const { createUnconfirmedSend, reconcileUnconfirmedSends } = require('./unconfirmedSends');
+const { markProcessed } = require('./messageInbox');
+const { GROUP_EVENTS, saveGroupEvent } = require('./groupEventStore');
+
+const DEFAULT_SESSION_ID = 'default';
+
+// Stored media files (e.g. auto-responder attachments) are read from this directory only
+const MEDIA_PATH = path.resolve(process.env.MEDIA_PATH || './media');
+
+// Events emitted by the service (with a plain-object payload) for webhooks and other subscribers
+const EVENTS = [
+    'qr',
+    'loading_screen',
+    'authenticated',
+    'ready',
+    'auth_failure',
+    'disconnected',
+    'message',
+    'message_create',
+    'ack',
+    'reaction',
+    'group_join',
+    'group_leave',
+    'group_admin_changed',
+    'group_update',
+    'flow_completed'
+];
+
+class WhatsAppService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.sessionId = options.sessionId || DEFAULT_SESSION_ID;
         this.client = null;
+        this.isStarted = false;
         this.isReady = false;
         this.qrCode = null;
         this.connectionStatus = 'disconnected';
         this.messageHandlers = [];
+        this.ownIds = null;
         
         this.initializeClient();
     }
@@ -40,13 +71,22 @@ class WhatsAppService {
         }
     }
 
+    // The default session keeps the original client id so existing installs stay logged in
+    getClientId() {
+        return this.sessionId === DEFAULT_SESSION_ID ? 'whatsapp-api-client' : `wa-session-${this.sessionId}`;
+    }
+
+    getSessionDir() {
+        const sessionPath = process.env.SESSION_PATH || './sessions';
+        return path.resolve(sessionPath, `session-${this.getClientId()}`);
+    }
+
     initializeClient() {
         try {
             const sessionPath = process.env.SESSION_PATH || './sessions';
-            const clientSessionDir = path.resolve(sessionPath, 'session-whatsapp-api-client');
 
             // Clean up stale lock files from previous crashes or restarts
-            this.cleanupStaleLocks(clientSessionDir);
+            this.cleanupStaleLocks(this.getSessionDir());
 
             // Find Chrome executable - check environment variables first (Docker), then common locations
             const fs = require('fs');
@@ -72,7 +112,7 @@ class WhatsAppService {
 
             this.client = new Client({
                 authStrategy: new LocalAuth({
-                    clientId: "whatsapp-api-client",
+                    clientId: this.getClientId(),
                     dataPath: path.resolve(sessionPath)
                 }),
                 puppeteer: {
@@ -90,7 +130,7 @@ class WhatsAppService {
             });
 
             this.setupEventHandlers();
-            logger.info('WhatsApp client initialized successfully');
+            logger.info(`WhatsApp client initialized successfully (session: ${this.sessionId})`);
         } catch (error) {
             logger.error('Failed to initialize WhatsApp client:', error);
             throw new Error('Client initialization failed');
@@ -110,6 +150,8 @@ class WhatsAppService {
                 console.log('Scan this QR code with your WhatsApp:');
                 console.log(qrTerminal);
                 console.log('========================\n');
+
+                this.emit('qr', { qrCode: this.qrCode });
             } catch (error) {
                 logger.error('Failed to generate QR code:', error);
             }
@@ -119,24 +161,29 @@ class WhatsAppService {
             this.isReady = true;
             this.connectionStatus = 'authenticated';
             this.qrCode = null;
+            this.ownIds = null;
             console.log('✅ [EVENT] ready - WhatsApp client is ready and authenticated');
             logger.info('✅ WhatsApp client is ready and authenticated');
+            this.emit('ready', {});
         });
 
         this.client.on('authenticated', () => {
             this.connectionStatus = 'connected';
             console.log('✅ [EVENT] authenticated - WhatsApp client authenticated');
             logger.info('WhatsApp client authenticated successfully');
+            this.emit('authenticated', {});
         });
 
         this.client.on('loading_screen', (percent, message) => {
             console.log(`⏳ [EVENT] loading_screen - ${percent}% - ${message}`);
+            this.emit('loading_screen', { percent, message });
         });
 
         this.client.on('auth_failure', (msg) => {
             this.connectionStatus = 'disconnected';
             this.isReady = false;
             logger.error('❌ Authentication failed:', msg);
+            this.emit('auth_failure', { message: msg });
         });
 
         this.client.on('disconnected', (reason) => {
@@ -144,6 +191,7 @@ class WhatsAppService {
             this.isReady = false;
             this.qrCode = null;
             logger.warn('⚠️ WhatsApp client disconnected:', reason);
+            this.emit('disconnected', { reason });
         });
 
         this.client.on('message', async (message) => {
@@ -154,11 +202,140 @@ class WhatsAppService {
             }
         });
 
+        // Includes messages sent from this account (API, phone or other linked devices)
+        this.client.on('message_create', (message) => {
+            // Incoming messages are stored by handleIncomingMessage; this covers everything we send
+            if (message.fromMe) {
+                this.recordMessage(message);
+                this.reconcileSends(message.to);
+            }
+            this.emit('message_create', this.serializeMessage(message));
+        });
+
+        // WhatsApp repeats acks; subscribers only hear about actual transitions
+        this.client.on('message_ack', (message, ack) => {
+            let changed = true;
+            try {
+                changed = recordAck(this.sessionId, message.id._serialized, ack);
+            } catch (dbErr) {
+                logger.error('❌ Failed to save message ack to DB:', dbErr);
+            }
+
+            if (changed) {
+                this.emit('ack', {
+                    messageId: message.id._serialized,
+                    shortId: message.id.id,
+                    chatId: message.fromMe ? message.to : message.from,
+                    fromMe: message.fromMe,
+                    ack: ack,
+                    status: getAckStatus(ack)
+                });
+            }
+        });
+
+        this.client.on('message_reaction', (reaction) => {
+            this.emit('reaction', {
+                messageId: reaction.msgId?._serialized,
+                chatId: reaction.msgId?.remote,
+                senderId: reaction.senderId,
+                reaction: reaction.reaction,
+                fromMe: reaction.id?.fromMe,
+                timestamp: reaction.timestamp
+            });
+        });
+
+        for (const event of GROUP_EVENTS) {
+            this.client.on(event, (notification) => {
+                this.emit(event, this.recordGroupEvent(event, notification));
+            });
+        }
+
         this.client.on('error', (error) => {
             logger.error('WhatsApp client error:', error);
         });
     }
 
+    // Stores a whatsapp-web.js message; a DB failure must never break sending or receiving
+    recordMessage(message) {
+        try {
+            saveMessage(this.sessionId, message);
+        } catch (dbErr) {
+            logger.error('❌ Failed to save message to DB:', dbErr);
+        }
+    }
+
+    // Stores a group notification and returns its event payload; a DB failure must not drop the event
+    recordGroupEvent(event, notification) {
+        const payload = this.serializeGroupNotification(notification);
+
+        try {
+            payload.eventId = saveGroupEvent(this.sessionId, event, payload);
+        } catch (dbErr) {
+            logger.error('❌ Failed to save group event to DB:', dbErr);
+        }
+
+        return payload;
+    }
+
+    // Matches sends that hit the markedUnread error against the messages WhatsApp actually created
+    reconcileSends(chatId) {
+        try {
+            const confirmed = reconcileUnconfirmedSends(this.sessionId, chatId);
+            if (confirmed > 0) {
+                logger.info(`✅ Confirmed ${confirmed} unconfirmed send(s) to ${chatId}`);
+            }
+        } catch (dbErr) {
+            logger.error('❌ Failed to reconcile unconfirmed sends:', dbErr);
+        }
+    }
+
+    // Result of a send that hit markedUnread: no message id yet, but a record callers can poll for it
+    unconfirmedResult(chatId, message, sentAt) {
+        const unconfirmed = createUnconfirmedSend(this.sessionId, chatId, message, sentAt);
+        const confirmed = unconfirmed.status === 'confirmed';
+
+        return {
+            success: true,
+            messageId: confirmed ? unconfirmed.messageId : null,
+            confirmed: confirmed,
+            unconfirmedId: unconfirmed.id,
+            timestamp: Math.floor(sentAt / 1000),
+            note: confirmed
+                ? 'Message confirmed after the markedUnread error'
+                : `Message likely delivered (markedUnread bug) - poll /api/messages/unconfirmed/${unconfirmed.id} for the real message ID`
+        };
+    }
+
+    serializeMessage(message) {
+        return {
+            id: message.id._serialized,
+            chatId: message.fromMe ? message.to : message.from,
+            from: message.from,
+            to: message.to,
+            body: message.body,
+            timestamp: message.timestamp,
+            fromMe: message.fromMe,
+            isGroupMsg: message.from.includes('@g.us') || message.to?.includes('@g.us'),
+            author: message.author,
+            notifyName: message.notifyName,
+            type: message.type,
+            hasMedia: message.hasMedia
+        };
+    }
+
+    // Same names as the stored GroupEvent (groupId, actor, participants)
+    serializeGroupNotification(notification) {
+        return {
+            id: notification.id?._serialized,
+            groupId: notification.chatId,
+            type: notification.type,
+            actor: notification.author || null,
+            participants: notification.recipientIds || [],
+            body: notification.body,
+            timestamp: notification.timestamp
+        };
+    }
+
     async start() {
         try {
             // If client already exists and might be running, destroy it first
@@ -176,9 +353,7 @@ class WhatsAppService {
                 this.client = null;
 
                 // Clean up lock files in case destroy failed or browser crashed
-                const sessionPath = process.env.SESSION_PATH || './sessions';
-                const clientSessionDir = path.resolve(sessionPath, 'session-whatsapp-api-client');
-                this.cleanupStaleLocks(clientSessionDir);
+                this.cleanupStaleLocks(this.getSessionDir());
             }
 
             // Reinitialize the client
@@ -186,6 +361,7 @@ class WhatsAppService {
             this.initializeClient();
 
             logger.info('Starting WhatsApp client...');
+            this.isStarted = true;
             await this.client.initialize();
             logger.info('WhatsApp client initialization completed');
         } catch (error) {
@@ -229,7 +405,7 @@ class WhatsAppService {
                 throw new Error(`Chat with ID ${chatId} not found`);
             }
 
-            return {
+            const info = {
                 id: chat.id._serialized,
                 name: chat.name,
                 isGroup: chat.isGroup,
@@ -240,12 +416,307 @@ class WhatsAppService {
                 isMuted: chat.isMuted,
                 muteExpiration: chat.muteExpiration
             };
+
+            // A summary only; GET /groups/:groupId has the participants and admin details
+            if (chat.isGroup) {
+                info.group = {
+                    description: chat.description || '',
+                    owner: chat.owner ? chat.owner._serialized : null,
+                    createdAt: chat.groupMetadata.creation ? chat.createdAt.toISOString() : null,
+                    participantCount: (chat.participants || []).length
+                };
+            }
+            return info;
         } catch (error) {
             logger.error('Failed to get chat info:', error);
             throw error;
         }
     }
 
+    // The group chat itself, with the same readiness checks as getChatInfo
+    async getGroupChat(groupId) {
+        if (!this.isReady) {
+            throw new Error('WhatsApp client is not ready. Please authenticate first.');
+        }
+
+        const chat = await this.client.getChatById(groupId);
+        if (!chat) {
+            throw new Error(`Chat with ID ${groupId} not found`);
+        }
+        if (!chat.isGroup) {
+            throw new Error(`Chat ${groupId} is not a group`);
+        }
+        return chat;
+    }
+
+    // Like getGroupChat, but a missing chat or a chat that is not a group gives null
+    async findGroupChat(groupId) {
+        if (!this.isReady) {
+            throw new Error('WhatsApp client is not ready. Please authenticate first.');
+        }
+
+        const chat = await this.client.getChatById(groupId).catch(() => null);
+        return chat && chat.isGroup ? chat : null;
+    }
+
+    formatGroupParticipant(participant, ownIds) {
+        const id = participant.id._serialized;
+        return {
+            id,
+            isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin),
+            isSuperAdmin: Boolean(participant.isSuperAdmin),
+            isMe: ownIds.includes(id)
+        };
+    }
+
+    /**
+     * Group metadata: owner, creation time, description, settings and participants with their admin
+     * flags. The invite code is only included when this account is an admin. Returns null when the
+     * chat is not a known group.
+     */
+    async getGroupInfo(groupId) {
+        try {
+            const chat = await this.findGroupChat(groupId);
+            if (!chat) {
+                return null;
+            }
+
+            const ownIds = await this.getOwnIds();
+            const participants = (chat.participants || []).map(participant => this.formatGroupParticipant(participant, ownIds));
+            const me = participants.find(participant => participant.isMe);
+
+            let inviteCode = null;
+            if (me && me.isAdmin) {
+                try {
+                    inviteCode = await chat.getInviteCode();
+                } catch (error) {
+                    logger.warn(`Could not get the invite code of group ${groupId}: ${error.message}`);
+                }
+            }
+
+            return {
+                id: chat.id._serialized,
+                name: chat.name,
+                description: chat.description || '',
+                owner: chat.owner ? chat.owner._serialized : null,
+                createdAt: chat.groupMetadata.creation ? chat.createdAt.toISOString() : null,
+                settings: {
+                    messagesAdminsOnly: Boolean(chat.groupMetadata.announce),
+                    infoAdminsOnly: Boolean(chat.groupMetadata.restrict),
+                    addMembersAdminsOnly: chat.groupMetadata.memberAddMode === 'admin_add'
+                },
+                isMember: Boolean(me),
+                iAmAdmin: Boolean(me && me.isAdmin),
+                iAmSuperAdmin: Boolean(me && me.isSuperAdmin),
+                inviteCode,
+                inviteLink: inviteCode ? `https://chat.whatsapp.com/${inviteCode}` : null,
+                participantCount: participants.length,
+                participants
+            };
+        } catch (error) {
+            logger.error('Failed to get group info:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Participants resolved to contacts: name is the saved contact name, else the WhatsApp profile
+     * (push) name. Returns null when the chat is not a known group.
+     */
+    async getGroupParticipants(groupId) {
+        try {
+            const chat = await this.findGroupChat(groupId);
+            if (!chat) {
+                return null;
+            }
+
+            const ownIds = await this.getOwnIds();
+            return Promise.all((chat.participants || []).map(async (participant) => {
+                const contact = await this.client.getContactById(participant.id._serialized).catch(() => null);
+                return {
+                    ...this.formatGroupParticipant(participant, ownIds),
+                    name: contact ? (contact.name || contact.pushname || contact.verifiedName || null) : null,
+                    pushname: contact ? contact.pushname || null : null,
+                    number: contact ? contact.number || null : null,
+                    isMyContact: Boolean(contact && contact.isMyContact)
+                };
+            }));
+        } catch (error) {
+            logger.error('Failed to get group participants:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Runs a group administration step (described as e.g. "add participants") and reports it like the
+     * send methods: { success, groupId, ... } or { success: false, error }. The step returns false
+     * where whatsapp-web.js reports that this account lacks the rights.
+     */
+    async runGroupAction(groupId, description, action) {
+        try {
+            const chat = await this.getGroupChat(groupId);
+            const result = await action(chat);
+            if (result === false) {
+                throw new Error('Not permitted - this account must be an admin of the group');
+            }
+
+            logger.info(`✅ Group ${groupId}: ${description} done`);
+            return { success: true, groupId, ...result };
+        } catch (error) {
+            logger.error(`❌ Failed to ${description} in group ${groupId}:`, error);
+            return { success: false, error: error.message, groupId };
+        }
+    }
+
+    /**
+     * settings: messagesAdminsOnly, infoAdminsOnly (on unless false), addMembersAdminsOnly, membershipApproval.
+     * Only membershipApproval is given to createGroup; the create options of whatsapp-web.js do not map
+     * the other settings reliably, so they are applied on the new group like PUT /groups/:groupId/settings.
+     * The group is kept when that fails, with settingsError in the result.
+     */
+    async createGroup(title, participantIds = [], settings = {}) {
+        try {
+            if (!this.isReady) {
+                throw new Error('WhatsApp client is not ready. Please authenticate first.');
+            }
+
+            const result = await this.client.createGroup(title, participantIds, {
+                membershipApprovalMode: settings.membershipApproval === true
+            });
+
+            // whatsapp-web.js reports failures as a message string
+            if (typeof result === 'string') {
+                throw new Error(result);
+            }
+
+            const groupId = result.gid._serialized;
+            logger.info(`✅ Group "${title}" created: ${groupId}`);
+
+            // A new group allows everything, so only the admins-only settings need applying
+            const applied = await this.updateGroupSettings(groupId, {
+                messagesAdminsOnly: settings.messagesAdminsOnly === true || undefined,
+                infoAdminsOnly: settings.infoAdminsOnly !== false || undefined,
+                addMembersAdminsOnly: settings.addMembersAdminsOnly === true || undefined
+            });
+
+            return {
+                success: true,
+                groupId,
+                title: result.title,
+                participants: result.participants,
+                settings: applied.settings || null,
+                ...(applied.success ? {} : { settingsError: applied.error })
+            };
+        } catch (error) {
+            logger.error('❌ Failed to create group:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Per-participant results (statusCode, message, isInviteV4Sent) keyed by participant id
+    async addGroupParticipants(groupId, participantIds) {
+        return this.runGroupAction(groupId, 'add participants', async (chat) => {
+            const result = await chat.addParticipants(participantIds);
+            if (typeof result === 'string') {
+                throw new Error(result);
+            }
+            return { participants: result };
+        });
+    }
+
+    async removeGroupParticipants(groupId, participantIds) {
+        return this.runGroupAction(groupId, 'remove participants', async (chat) => {
+            await chat.removeParticipants(participantIds);
+            return { participants: participantIds };
+        });
+    }
+
+    async promoteGroupParticipants(groupId, participantIds) {
+        return this.runGroupAction(groupId, 'promote participants', async (chat) => {
+            await chat.promoteParticipants(participantIds);
+            return { participants: participantIds };
+        });
+    }
+
+    async demoteGroupParticipants(groupId, participantIds) {
+        return this.runGroupAction(groupId, 'demote participants', async (chat) => {
+            await chat.demoteParticipants(participantIds);
+            return { participants: participantIds };
+        });
+    }
+
+    async updateGroupInfo(groupId, { subject, description }) {
+        return this.runGroupAction(groupId, 'update group info', async (chat) => {
+            if (subject !== undefined && !(await chat.setSubject(subject))) {
+                return false;
+            }
+            if (description !== undefined && !(await chat.setDescription(description))) {
+                return false;
+            }
+            return { subject: subject !== undefined ? subject : chat.name, description: description !== undefined ? description : chat.description };
+        });
+    }
+
+    // The picture comes from base64 data or, like auto-responder media, a file in MEDIA_PATH or a URL
+    async setGroupPicture(groupId, { mediaBase64, mimetype, file, url }) {
+        return this.runGroupAction(groupId, 'set group picture', async (chat) => {
+            const media = mediaBase64
+                ? new MessageMedia(mimetype, mediaBase64)
+                : await this.loadMedia({ file, url });
+            return (await chat.setPicture(media)) ? {} : false;
+        });
+    }
+
+    async deleteGroupPicture(groupId) {
+        return this.runGroupAction(groupId, 'delete group picture', async (chat) => {
+            return (await chat.deletePicture()) ? {} : false;
+        });
+    }
+
+    async updateGroupSettings(groupId, { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly }) {
+        return this.runGroupAction(groupId, 'update group settings', async (chat) => {
+            const changes = [
+                [messagesAdminsOnly, value => chat.setMessagesAdminsOnly(value)],
+                [infoAdminsOnly, value => chat.setInfoAdminsOnly(value)],
+                [addMembersAdminsOnly, value => chat.setAddMembersAdminsOnly(value)]
+            ];
+            for (const [value, apply] of changes) {
+                if (value !== undefined && !(await apply(value))) {
+                    return false;
+                }
+            }
+            return {
+                settings: {
+                    messagesAdminsOnly: Boolean(chat.groupMetadata.announce),
+                    infoAdminsOnly: Boolean(chat.groupMetadata.restrict),
+                    addMembersAdminsOnly: chat.groupMetadata.memberAddMode === 'admin_add'
+                }
+            };
+        });
+    }
+
+    async leaveGroup(groupId) {
+        return this.runGroupAction(groupId, 'leave group', async (chat) => {
+            await chat.leave();
+            return {};
+        });
+    }
+
+    async getGroupInviteLink(groupId) {
+        return this.runGroupAction(groupId, 'get invite link', async (chat) => {
+            const inviteCode = await chat.getInviteCode();
+            return { inviteCode, inviteLink: `https://chat.whatsapp.com/${inviteCode}` };
+        });
+    }
+
+    // The old link stops working; the new one is returned
+    async revokeGroupInviteLink(groupId) {
+        return this.runGroupAction(groupId, 'revoke invite link', async (chat) => {
+            const inviteCode = await chat.revokeInvite();
+            return { inviteCode, inviteLink: `https://chat.whatsapp.com/${inviteCode}` };
+        });
+    }
+
     async getMessages(chatId, limit = 50) {
         try {
             if (!this.isReady) {
@@ -293,8 +764,10 @@ class WhatsAppService {
 
     async stop() {
         try {
-            if (this.client) {
+            // A client that was never initialized has no browser to destroy
+            if (this.client && this.isStarted) {
                 await this.client.destroy();
+                this.isStarted = false;
                 this.isReady = false;
                 this.connectionStatus = 'disconnected';
                 this.qrCode = null;
@@ -306,28 +779,26 @@ class WhatsAppService {
         }
     }
 
-    async sendMessage(phoneNumber, message, countryCode = '972') {
+    // countryCode: region of a number without calling code ("IL", "972"); defaults to DEFAULT_PHONE_REGION
+    async sendMessage(phoneNumber, message, countryCode) {
         try {
             if (!this.isReady) {
                 throw new Error('WhatsApp client is not ready. Please authenticate first.');
             }
 
-            if (!validatePhoneNumber(phoneNumber)) {
-                throw new Error('Invalid phone number format');
-            }
+            const formattedNumber = formatPhoneNumber(phoneNumber, countryCode);
 
             if (!message || message.trim().length === 0) {
                 throw new Error('Message cannot be empty');
             }
 
-            const formattedNumber = formatPhoneNumber(phoneNumber, countryCode);
-            
             const numberId = await this.client.getNumberId(formattedNumber);
             if (!numberId) {
                 throw new Error(`Phone number ${phoneNumber} is not registered on WhatsApp`);
             }
 
             let result;
+            const sentAt = Date.now();
             try {
                 result = await this.client.sendMessage(numberId._serialized, message);
             } catch (sendError) {
@@ -336,19 +807,18 @@ class WhatsAppService {
                 if (sendError.message && sendError.message.includes('markedUnread')) {
                     logger.warn(`⚠️ markedUnread bug encountered - message likely sent to ${formattedNumber}`);
                     return {
-                        success: true,
-                        messageId: `pending-${Date.now()}`,
-                        timestamp: Math.floor(Date.now() / 1000),
+                        ...this.unconfirmedResult(numberId._serialized, message, sentAt),
                         to: formattedNumber,
                         originalNumber: phoneNumber,
                         message: message,
-                        countryCode: countryCode,
-                        note: 'Message likely delivered (markedUnread bug workaround)'
+                        countryCode: countryCode
                     };
                 }
                 throw sendError;
             }
 
+            this.recordMessage(result);
+
             logger.info(`✅ Message sent successfully to ${formattedNumber}`, {
                 messageId: result.id.id,
                 timestamp: result.timestamp,
@@ -376,7 +846,7 @@ class WhatsAppService {
         }
     }
 
-    async sendToChat(chatId, message) {
+    async sendToChat(chatId, message, options = {}) {
         try {
             if (!this.isReady) {
                 throw new Error('WhatsApp client is not ready. Please authenticate first.');
@@ -387,24 +857,24 @@ class WhatsAppService {
             }
 
             let result;
+            const sentAt = Date.now();
             try {
-                result = await this.client.sendMessage(chatId, message);
+                result = await this.client.sendMessage(chatId, message, options);
             } catch (sendError) {
                 // Handle known whatsapp-web.js bug: markedUnread error
                 if (sendError.message && sendError.message.includes('markedUnread')) {
                     logger.warn(`⚠️ markedUnread bug encountered - message likely sent to chat ${chatId}`);
                     return {
-                        success: true,
-                        messageId: `pending-${Date.now()}`,
-                        timestamp: Math.floor(Date.now() / 1000),
+                        ...this.unconfirmedResult(chatId, message, sentAt),
                         to: chatId,
-                        message: message,
-                        note: 'Message likely delivered (markedUnread bug workaround)'
+                        message: message
                     };
                 }
                 throw sendError;
             }
 
+            this.recordMessage(result);
+
             logger.info(`✅ Message sent successfully to chat ${chatId}`, {
                 messageId: result.id.id,
                 timestamp: result.timestamp
@@ -442,6 +912,8 @@ class WhatsAppService {
                 caption: caption
             });
 
+            this.recordMessage(result);
+
             logger.info(`✅ Media sent successfully to chat ${chatId}`, {
                 messageId: result.id.id,
                 timestamp: result.timestamp,
@@ -466,6 +938,161 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Loads media from a file under MEDIA_PATH (`file`) or from a URL (`url`).
+     * Throws when the file lies outside the media directory or cannot be read.
+     */
+    async loadMedia({ file, url, filename }) {
+        let media;
+        if (file) {
+            const filePath = path.resolve(MEDIA_PATH, file);
+            if (!filePath.startsWith(MEDIA_PATH + path.sep)) {
+                throw new Error(`Media file ${file} is outside the media directory`);
+            }
+            media = MessageMedia.fromFilePath(filePath);
+        } else if (url) {
+            media = await MessageMedia.fromUrl(url, { unsafeMime: true });
+        } else {
+            throw new Error('Either file or url is required');
+        }
+
+        if (filename) {
+            media.filename = filename;
+        }
+        return media;
+    }
+
+    // Sends a non-text message (media, location, contact card) and records it like any other send
+    async sendContent(chatId, content, options, description) {
+        try {
+            if (!this.isReady) {
+                throw new Error('WhatsApp client is not ready. Please authenticate first.');
+            }
+
+            const result = await this.client.sendMessage(chatId, content, options);
+            this.recordMessage(result);
+
+            logger.info(`✅ ${description} sent successfully to chat ${chatId}`, {
+                messageId: result.id.id,
+                timestamp: result.timestamp
+            });
+
+            return {
+                success: true,
+                messageId: result.id.id,
+                timestamp: result.timestamp,
+                to: chatId
+            };
+        } catch (error) {
+            logger.error(`❌ Failed to send ${description.toLowerCase()}:`, error);
+            return {
+                success: false,
+                error: error.message,
+                to: chatId
+            };
+        }
+    }
+
+    // Media from a stored file or URL; `asDocument` sends it as a file attachment
+    async sendMediaFrom(chatId, source, { caption = '', asDocument = false, quotedMessageId } = {}) {
+        let media;
+        try {
+            media = await this.loadMedia(source);
+        } catch (error) {
+            logger.error('❌ Failed to load media:', error);
+            return { success: false, error: error.message, to: chatId };
+        }
+
+        return this.sendContent(chatId, media, {
+            caption,
+            sendMediaAsDocument: asDocument,
+            quotedMessageId
+        }, asDocument ? 'Document' : 'Media');
+    }
+
+    async sendLocation(chatId, { latitude, longitude, name, address }, { quotedMessageId } = {}) {
+        const location = new Location(latitude, longitude, { name, address });
+        return this.sendContent(chatId, location, { quotedMessageId }, 'Location');
+    }
+
+    async sendContactCard(chatId, contactId, { quotedMessageId } = {}) {
+        let contact;
+        try {
+            contact = await this.client.getContactById(contactId);
+        } catch (error) {
+            logger.error('❌ Failed to load contact for contact card:', error);
+            return { success: false, error: error.message, to: chatId };
+        }
+
+        return this.sendContent(chatId, contact, { quotedMessageId }, 'Contact card');
+    }
+
+    // Reactions are not messages of their own, so nothing is recorded
+    async reactToMessage(message, emoji) {
+        try {
+            await message.react(emoji);
+            logger.info(`✅ Reacted ${emoji} to message ${message.id.id}`);
+            return { success: true, messageId: message.id.id, reaction: emoji };
+        } catch (error) {
+            logger.error('❌ Failed to react to message:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The forwarded copy arrives through message_create and is recorded there
+    async forwardMessage(message, chatId) {
+        try {
+            await message.forward(chatId);
+            logger.info(`✅ Message ${message.id.id} forwarded to chat ${chatId}`);
+            return { success: true, messageId: message.id.id, to: chatId };
+        } catch (error) {
+            logger.error('❌ Failed to forward message:', error);
+            return { success: false, error: error.message, to: chatId };
+        }
+    }
+
+    // This account's ids: the phone-number id and, once WhatsApp has moved it to LIDs, the LID
+    async getOwnIds() {
+        if (!this.ownIds) {
+            const wid = this.client.info.wid._serialized;
+            const ids = [wid];
+            try {
+                const [{ lid }] = await this.client.getContactLidAndPhone([wid]);
+                if (lid) {
+                    ids.push(lid);
+                }
+            } catch (error) {
+                logger.debug(`Could not resolve the LID of ${wid}: ${error.message}`);
+            }
+            this.ownIds = ids;
+        }
+        return this.ownIds;
+    }
+
+    // Whether a message @mentions this account or replies to one of its messages
+    async isAddressedToMe(message) {
+        if (!this.isReady || !message) {
+            return false;
+        }
+
+        try {
+            const ownIds = await this.getOwnIds();
+            const mentionedIds = (message.mentionedIds || []).map(id => typeof id === 'string' ? id : id._serialized);
+            if (mentionedIds.some(id => ownIds.includes(id))) {
+                return true;
+            }
+
+            if (message.hasQuotedMsg) {
+                const quoted = await message.getQuotedMessage();
+                return Boolean(quoted && quoted.fromMe);
+            }
+            return false;
+        } catch (error) {
+            logger.error('Failed to check whether a message is addressed to this account:', error);
+            return false;
+        }
+    }
+
     async replyToMessage(messageId, replyMessage) {
         try {
             var originalMessageId = messageId;
@@ -475,9 +1102,9 @@ class WhatsAppService {
                 messageId = parts[parts.length - 1];
             }
             const message = await this.client.getMessageById(originalMessageId);
-            await message.reply(replyMessage);
-            const update = db.prepare(`UPDATE messages SET processed = 1 WHERE id = ?`);
-            update.run(messageId);
+            const reply = await message.reply(replyMessage);
+            this.recordMessage(reply);
+            markProcessed(this.sessionId, messageId);
             logger.info(`✅ Reply sent successfully to message ${messageId}`, {
                 replyMessage: replyMessage
             });
@@ -503,77 +1130,23 @@ class WhatsAppService {
                 body: message.body,
                 timestamp: message.timestamp,
                 type: message.type,
-                isGroupMsg: message.isGroupMsg,
+                isGroupMsg: message.from.endsWith('@g.us'),
                 author: message.author,
                 notifyName: message.notifyName,
                 fromMe: message.fromMe
             };
-            try {
-                const insert = db.prepare(`
-                    INSERT OR REPLACE INTO messages (id, fromNumber, toNumber, body, timestamp, type, isGroupMsg, processed)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, 0)
-                `);
-
-                insert.run(
-                    messageData.id,
-                    messageData.from,
-                    messageData.to,
-                    messageData.body,
-                    messageData.timestamp,
-                    messageData.type,
-                    messageData.isGroupMsg ? 1 : 0
-                );
-            } catch (dbErr) {
-                logger.error('❌ Failed to save message to DB:', dbErr);
-            }
+            this.recordMessage(message);
 
             if (!message.fromMe) {
                 logger.info('📨 Incoming message received', {
                     from: message.from,
                     type: message.type,
                     preview: message.body?.substring(0, 50) + (message.body?.length > 50 ? '...' : ''),
-                    isGroup: message.isGroupMsg
+                    isGroup: messageData.isGroupMsg
                 });
             }
 
-            // Send webhook notification if configured
-            if (process.env.WEBHOOK_URL) {
-                try {
-                    const webhookPayload = {
-                        event: 'message',
-                        payload: {
-                            id: message.id._serialized,
-                            from: message.from,
-                            to: message.to,
-                            body: message.body,
-                            timestamp: message.timestamp,
-                            fromMe: message.fromMe,
-                            isGroupMsg: message.from.includes('@g.us'),
-                            author: message.author,
-                            notifyName: message.notifyName,
-                            type: message.type
-                        }
-                    };
-
-                    await axios.post(process.env.WEBHOOK_URL, webhookPayload, {
-                        timeout: 5000,
-                        headers: {
-                            'Content-Type': 'application/json'
-                        }
-                    });
-
-                    logger.info('📤 Webhook sent successfully', {
-                        url: process.env.WEBHOOK_URL,
-                        messageId: message.id.id,
-                        fromMe: message.fromMe
-                    });
-                } catch (webhookError) {
-                    logger.error('❌ Failed to send webhook:', {
-                        url: process.env.WEBHOOK_URL,
-                        error: webhookError.message
-                    });
-                }
-            }
+            this.emit('message', this.serializeMessage(message));
 
             for (const handler of this.messageHandlers) {
                 try {
@@ -599,6 +1172,7 @@ class WhatsAppService {
 
     getStatus() {
         return {
+            sessionId: this.sessionId,
             isReady: this.isReady,
             connectionStatus: this.connectionStatus,
             hasQrCode: !!this.qrCode,
@@ -631,7 +1205,7 @@ class WhatsAppService {
         }
     }
 
-    async isRegisteredNumber(phoneNumber, countryCode = '972') {
+    async isRegisteredNumber(phoneNumber, countryCode) {
         try {
             if (!this.isReady) {
                 throw new Error('WhatsApp client is not ready');
@@ -648,4 +1222,7 @@ class WhatsAppService {
     }
 }
 
+WhatsAppService.DEFAULT_SESSION_ID = DEFAULT_SESSION_ID;
+WhatsAppService.EVENTS = EVENTS;
+
 module.exports = WhatsAppService;
@@ -131,8 +131,8 @@ async function testPhoneValidation() {
     console.log('\n📞 Testing Phone Number Validation...');
     try {
         const testNumbers = [
-            { number: '0501234567', expected: true, description: 'Valid Israeli mobile' },
-            { number: '501234567', expected: true, description: 'Valid Israeli mobile (no leading 0)' },
+            { number: '0502345678', expected: true, description: 'Valid Israeli mobile' },
+            { number: '502345678', expected: true, description: 'Valid Israeli mobile (no leading 0)' },
             { number: '9721234567', expected: false, description: 'Invalid Israeli number' },
             { number: '123456', expected: false, description: 'Too short' }
         ];
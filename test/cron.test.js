@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidCron, getNextRun } = require('../src/utils/cron');
+
+const sorted = (values) => Array.from(values).sort((a, b) => a - b);
+
+test('parses lists, ranges, steps and names', () => {
+    const schedule = parseCron('0,30 9-17/4 1 JAN-MAR mon-fri');
+
+    assert.deepEqual(sorted(schedule.minute), [0, 30]);
+    assert.deepEqual(sorted(schedule.hour), [9, 13, 17]);
+    assert.deepEqual(sorted(schedule.dayOfMonth), [1]);
+    assert.deepEqual(sorted(schedule.month), [1, 2, 3]);
+    assert.deepEqual(sorted(schedule.dayOfWeek), [1, 2, 3, 4, 5]);
+    assert.equal(schedule.dayOfMonthRestricted, true);
+    assert.equal(schedule.dayOfWeekRestricted, true);
+});
+
+test('a single value with a step runs to the end of the field', () => {
+    assert.deepEqual(sorted(parseCron('50/5 * * * *').minute), [50, 55]);
+});
+
+test('treats 7 as Sunday and expands macros', () => {
+    assert.deepEqual(sorted(parseCron('0 0 * * 5-7').dayOfWeek), [0, 5, 6]);
+    assert.deepEqual(parseCron('@weekly'), parseCron('0 0 * * 0'));
+    assert.deepEqual(parseCron(' @Daily '), parseCron('0 0 * * *'));
+});
+
+// [expression, error]
+const INVALID = [
+    ['', 'Cron expression is required'],
+    ['* * * *', 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week'],
+    ['60 * * * *', 'minute value 60 is out of range 0-59'],
+    ['* 24 * * *', 'hour value 24 is out of range 0-23'],
+    ['* * 0 * *', 'dayOfMonth value 0 is out of range 1-31'],
+    ['* * * 13 *', 'month value 13 is out of range 1-12'],
+    ['* * * * 8', 'dayOfWeek value 8 is out of range 0-7'],
+    ['* * * * FUN', 'Invalid dayOfWeek value: FUN'],
+    ['*/0 * * * *', 'Invalid step in minute: */0'],
+    ['* 17-9 * * *', 'Invalid range in hour: 17-9']
+];
+
+for (const [expression, error] of INVALID) {
+    test(`rejects ${JSON.stringify(expression)}`, () => {
+        assert.throws(() => parseCron(expression), { message: error });
+        assert.equal(isValidCron(expression), false);
+    });
+}
+
+// [expression, timezone, after, next run]
+const NEXT_RUNS = [
+    ['0 9 * * *', 'UTC', '2026-03-10T08:59:00Z', '2026-03-10T09:00:00Z'],
+    ['0 9 * * *', 'UTC', '2026-03-10T09:00:00Z', '2026-03-11T09:00:00Z'],
+    ['*/15 * * * *', 'UTC', '2026-03-10T10:07:30Z', '2026-03-10T10:15:00Z'],
+    ['0 9 * * *', 'Asia/Jerusalem', '2026-01-15T12:00:00Z', '2026-01-16T07:00:00Z'],
+    ['0 9 * * *', 'Asia/Jerusalem', '2026-07-15T12:00:00Z', '2026-07-16T06:00:00Z'],
+    ['0 9 * * SUN', 'Asia/Jerusalem', '2026-10-19T12:00:00Z', '2026-10-25T07:00:00Z'],
+    ['30 8 31 * *', 'UTC', '2026-04-01T00:00:00Z', '2026-05-31T08:30:00Z'],
+    ['0 0 29 2 *', 'UTC', '2026-03-01T00:00:00Z', '2028-02-29T00:00:00Z'],
+    ['0 0 1 1 *', 'America/New_York', '2026-12-31T12:00:00Z', '2027-01-01T05:00:00Z'],
+    // Day of month OR day of week when both are restricted
+    ['0 12 13 * FRI', 'UTC', '2026-10-19T00:00:00Z', '2026-10-23T12:00:00Z'],
+    // A day field starting with "*" is unrestricted: both must match (Monday the 19th is odd, the 26th is not)
+    ['0 12 */2 * MON', 'UTC', '2026-10-19T12:00:00Z', '2026-11-09T12:00:00Z'],
+    ['0 12 13 * */2', 'UTC', '2026-10-19T00:00:00Z', '2026-12-13T12:00:00Z']
+];
+
+for (const [expression, timeZone, after, expected] of NEXT_RUNS) {
+    test(`next run of "${expression}" in ${timeZone} after ${after}`, () => {
+        assert.equal(new Date(getNextRun(expression, timeZone, Date.parse(after))).toISOString(), new Date(expected).toISOString());
+    });
+}
+
+test('returns null when the expression never matches', () => {
+    assert.equal(getNextRun('0 0 31 2 *', 'UTC', Date.parse('2026-01-01T00:00:00Z')), null);
+});
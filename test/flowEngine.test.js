@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-flows-'));
+
+const db = require('../src/db/whatsapp.db');
+const FlowEngine = require('../src/flowEngine');
+const FlowTimeoutMonitor = require('../src/flowTimeoutMonitor');
+const { validateFlowParams } = require('../src/utils/validator');
+
+const CHAT = '972502345678@c.us';
+const GROUP = '120363000000000001@g.us';
+let sessions = 0;
+
+const BOOKING = {
+    id: 'booking',
+    name: 'Booking',
+    trigger: 'book',
+    messages: { completed: 'Thanks {{firstName}}: {{answers.service}} for {{answers.people}} on {{answers.day}}', invalid: 'Try again' },
+    steps: [
+        { id: 'service', type: 'choice', prompt: 'What for?', choices: [{ value: 'cut', label: 'Haircut' }, { value: 'info', label: 'Just asking', next: 'end' }] },
+        { id: 'people', type: 'number', prompt: 'How many?', integer: true, min: 1, max: 8, errorMessage: '1-8 please', branches: [{ min: 4, next: 'group' }], next: 'day' },
+        { id: 'group', type: 'text', prompt: 'Group name?', minLength: 2 },
+        { id: 'day', type: 'date', prompt: 'Which day?', min: '2030-01-01' }
+    ]
+};
+
+// An engine on a session of its own, with a WhatsApp service that records what it sends and emits
+function createEngine(flow = BOOKING) {
+    const sent = [];
+    const events = [];
+    const whatsappService = {
+        sessionId: `flows-${++sessions}`,
+        isReady: true,
+        sendToChat: async (chatId, text) => {
+            sent.push(text);
+            return { success: true };
+        },
+        emit: (event, data) => events.push({ event, data })
+    };
+    const engine = new FlowEngine(whatsappService);
+    engine.addFlow(flow);
+    return { engine, sent, events, whatsappService };
+}
+
+// Sends each text as the next message of the chat and returns whether the engine consumed them
+async function answer(engine, texts, { from = CHAT, author } = {}) {
+    const consumed = [];
+    for (const body of texts) {
+        consumed.push(await engine.handleMessage({ from, author, body, notifyName: 'Dana Levi' }));
+    }
+    return consumed;
+}
+
+// [definition, errors]
+const INVALID_FLOWS = [
+    [{ ...BOOKING, id: 'bad id' }, ['id must be 1-64 letters, digits, "_" or "-"']],
+    [{ ...BOOKING, steps: [] }, ['steps must be a list of 1-100 steps']],
+    [{ ...BOOKING, steps: [BOOKING.steps[2], BOOKING.steps[2]] }, ['Duplicate step ids: group']],
+    [{ ...BOOKING, steps: [{ id: 'end', type: 'text', prompt: 'x' }] }, ['steps[0].id must be 1-64 letters, digits, "_" or "-" (and not "end")']],
+    [{ ...BOOKING, steps: [{ id: 'a', type: 'choice', prompt: 'x', choices: [{ value: 1, next: 'b' }] }] }, ['steps[0].choices[0].next refers to unknown step "b"']],
+    [{ ...BOOKING, steps: [{ id: 'a', type: 'number', prompt: 'x', branches: [{ min: 'one' }] }] }, ['steps[0].branches[0].min must be a number', 'steps[0].branches[0].next is required']],
+    [{ ...BOOKING, steps: [{ id: 'a', type: 'text', prompt: 'x', min: 1 }] }, ['steps[0].min only applies to number and date steps']],
+    [{ ...BOOKING, steps: [{ id: 'a', type: 'text', prompt: 'Hi {{#if name}}' }] }, ['steps[0].prompt: Unclosed {{#if}}']],
+    [{ ...BOOKING, keywords: { stop: ['stop'] }, messages: { bye: 'bye' } }, ['Unknown keywords: stop', 'Unknown messages: bye']],
+    [{ ...BOOKING, timeoutSeconds: 10 }, ['timeoutSeconds must be an integer between 30 and 604800 (7 days)']]
+];
+
+test('accepts a valid flow', () => {
+    assert.deepEqual(validateFlowParams(BOOKING), { isValid: true, errors: [] });
+});
+
+for (const [definition, errors] of INVALID_FLOWS) {
+    test(`rejects a flow with ${errors[0]}`, () => {
+        assert.deepEqual(validateFlowParams(definition), { isValid: false, errors });
+    });
+}
+
+test('a trigger starts the flow, answers follow branches and the completed run is published', async () => {
+    const { engine, sent, events } = createEngine();
+
+    const consumed = await answer(engine, ['BOOK', '1', '5', 'Team A', '02/01/2030']);
+
+    assert.deepEqual(consumed, [true, true, true, true, true]);
+    assert.deepEqual(sent, ['What for?\n1. Haircut\n2. Just asking', 'How many?', 'Group name?', 'Which day?', 'Thanks Dana: cut for 5 on 2030-01-02']);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'flow_completed');
+    assert.deepEqual(events[0].data.answers, { service: 'cut', people: 5, group: 'Team A', day: '2030-01-02' });
+    assert.equal(engine.getActiveRun(CHAT), null);
+});
+
+test('a choice can end the flow and other branches fall through to next', async () => {
+    const { engine, sent } = createEngine();
+
+    await answer(engine, ['book', 'just asking']);
+    assert.equal(sent.pop(), 'Thanks Dana: info for  on');
+
+    await answer(engine, ['book', 'haircut', '2']);
+    assert.equal(sent.pop(), 'Which day?');
+});
+
+test('invalid answers are rejected with the step error or the flow message', async () => {
+    const { engine, sent } = createEngine();
+
+    await answer(engine, ['book', '3', '1', '2.5', '9', '2', '31/12/2029']);
+
+    assert.deepEqual(sent.slice(1), ['Try again', 'How many?', '1-8 please', '1-8 please', 'Which day?', 'Try again']);
+    assert.equal(engine.getActiveRun(CHAT).stepId, 'day');
+});
+
+test('back returns to the previous step and cancel ends the run', async () => {
+    const { engine, sent } = createEngine();
+
+    await answer(engine, ['book', '1', 'Back', 'חזור', '1', 'ביטול']);
+
+    assert.deepEqual(sent.slice(2), ['What for?\n1. Haircut\n2. Just asking', 'What for?\n1. Haircut\n2. Just asking', 'How many?', 'השיחה בוטלה.']);
+    assert.equal(engine.getRuns()[0].status, 'cancelled');
+    assert.deepEqual(await answer(engine, ['hello']), [false]);
+});
+
+test('each group participant answers their own run', async () => {
+    const { engine } = createEngine();
+    const other = '972522345678@c.us';
+
+    await answer(engine, ['book'], { from: GROUP, author: CHAT });
+    await answer(engine, ['1'], { from: GROUP, author: other });
+    assert.equal(engine.getActiveRun(GROUP, CHAT).stepId, 'service');
+    assert.equal(engine.getActiveRun(GROUP, other), null);
+
+    await answer(engine, ['1'], { from: GROUP, author: CHAT });
+    assert.equal(engine.getActiveRun(GROUP, CHAT).stepId, 'people');
+});
+
+test('a timed out run ends before the next message, which may start the flow again', async () => {
+    const { engine, sent } = createEngine();
+
+    await answer(engine, ['book']);
+    const run = engine.getActiveRun(CHAT);
+    db.prepare(`UPDATE flow_runs SET expiresAt = ? WHERE id = ?`).run(Date.now() - 1000, run.id);
+
+    await answer(engine, ['book']);
+
+    assert.equal(engine.getRun(run.id).status, 'timed_out');
+    assert.deepEqual(sent.slice(1), ['השיחה הסתיימה עקב חוסר פעילות.', 'What for?\n1. Haircut\n2. Just asking']);
+});
+
+test('the timeout monitor ends runs of chats that stopped answering', async () => {
+    const { engine, sent, whatsappService } = createEngine();
+    await answer(engine, ['book']);
+    const run = engine.getActiveRun(CHAT);
+    db.prepare(`UPDATE flow_runs SET expiresAt = ? WHERE id = ?`).run(Date.now() - 1000, run.id);
+
+    const sessionManager = {
+        getSession: (sessionId) => (sessionId === whatsappService.sessionId ? { messageHandler: { flowEngine: engine } } : null)
+    };
+    await new FlowTimeoutMonitor(sessionManager).processDue();
+
+    assert.equal(engine.getRun(run.id).status, 'timed_out');
+    assert.equal(sent.pop(), 'השיחה הסתיימה עקב חוסר פעילות.');
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-responders-'));
+
+const MessageHandler = require('../src/messageHandler');
+
+const GROUP = '120363000000000001@g.us';
+let sessions = 0;
+
+// A handler on a session of its own, with a WhatsApp service that records what it sends
+function createHandler() {
+    const sent = [];
+    const whatsappService = {
+        sessionId: `test-${++sessions}`,
+        addMessageHandler() {},
+        isAddressedToMe: async () => false,
+        sendToChat: async (chatId, text) => {
+            sent.push({ chatId, text });
+            return { success: true };
+        }
+    };
+    return { handler: new MessageHandler(whatsappService), sent };
+}
+
+function groupMessage(body) {
+    return { id: `m-${Math.random()}`, from: GROUP, author: '972502345678@c.us', body, type: 'chat', isGroupMsg: true, fromMe: false, timestamp: 1 };
+}
+
+test('group messages are ignored by default', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'hi');
+
+    await handler.processMessage(groupMessage('hello'));
+
+    assert.deepEqual(sent, []);
+});
+
+test('a responder for groups answers without groupMessages', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'everyone', { id: 'everyone', conditions: { chatTypes: ['private', 'group'] } });
+    handler.addAutoResponder('hello', 'groups', { id: 'groups', conditions: { chatTypes: ['group'] }, priority: -1 });
+
+    await handler.processMessage(groupMessage('hello'));
+
+    assert.deepEqual(sent, [{ chatId: GROUP, text: 'groups' }]);
+});
+
+test('a responder naming the group in chatIds answers in it', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'named', { conditions: { chatIds: [GROUP] } });
+
+    await handler.processMessage(groupMessage('hello'));
+
+    assert.deepEqual(sent, [{ chatId: GROUP, text: 'named' }]);
+});
+
+test("a group's own setting wins over the responder's opt-in", async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'groups', { conditions: { chatTypes: ['group'] } });
+    handler.setGroupSettings(GROUP, { enabled: false });
+
+    await handler.processMessage(groupMessage('hello'));
+
+    assert.deepEqual(sent, []);
+});
+
+test('groupMessages turns on every responder in groups', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'hi');
+    handler.updateSettings({ groupMessages: true });
+
+    await handler.processMessage(groupMessage('hello'));
+
+    assert.deepEqual(sent, [{ chatId: GROUP, text: 'hi' }]);
+});
+
+function privateMessage(body, from = '972502345678@c.us') {
+    return { id: `m-${Math.random()}`, from, body, type: 'chat', isGroupMsg: false, fromMe: false, timestamp: 1 };
+}
+
+test('maxFiresPerContact holds for concurrent messages', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder('hello', 'once', { conditions: { maxFiresPerContact: 1 } });
+
+    await Promise.all([handler.processMessage(privateMessage('hello')), handler.processMessage(privateMessage('hello'))]);
+    await handler.processMessage(privateMessage('hello', '972522345678@c.us'));
+
+    assert.deepEqual(sent.map(message => message.chatId), ['972502345678@c.us', '972522345678@c.us']);
+});
+
+test('responders set up in code keep their cooldown', async () => {
+    const { handler, sent } = createHandler();
+    handler.addAutoResponder(text => text === 'hello', async () => 'cooling', { conditions: { cooldownSeconds: 60 } });
+
+    await handler.processMessage(privateMessage('hello'));
+    await handler.processMessage(privateMessage('hello'));
+
+    assert.deepEqual(sent.map(message => message.text), ['cooling']);
+});
+
+test('a response that was not sent does not count against the limit', async () => {
+    const { handler, sent } = createHandler();
+    let fail = true;
+    const sendToChat = handler.whatsappService.sendToChat;
+    handler.whatsappService.sendToChat = async (...args) => (fail ? { success: false, error: 'offline' } : sendToChat(...args));
+    handler.addAutoResponder('hello', 'once', { conditions: { maxFiresPerContact: 1 } });
+
+    await handler.processMessage(privateMessage('hello'));
+    fail = false;
+    await handler.processMessage(privateMessage('hello'));
+
+    assert.deepEqual(sent.map(message => message.text), ['once']);
+});
+
+test('responders created in the same millisecond get different ids', () => {
+    const { handler } = createHandler();
+    const ids = Array.from({ length: 20 }, () => handler.addAutoResponder('hello', 'hi'));
+
+    assert.equal(new Set(ids).size, ids.length);
+});
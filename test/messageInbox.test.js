@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-inbox-'));
+
+const db = require('../src/db/whatsapp.db');
+const { saveMessage } = require('../src/messageStore');
+const { claimMessages, ackMessage, nackMessage, markProcessed } = require('../src/messageInbox');
+
+let sessions = 0;
+
+// A session of its own with `count` incoming messages, oldest first
+function createInbox(count) {
+    const sessionId = `inbox-${++sessions}`;
+    for (let i = 1; i <= count; i++) {
+        saveMessage(sessionId, {
+            id: { id: `M${i}`, _serialized: `false_972502345678@c.us_M${i}` },
+            from: '972502345678@c.us',
+            to: '972522345678@c.us',
+            body: `message ${i}`,
+            timestamp: 1000 + i,
+            type: 'chat',
+            fromMe: false
+        });
+    }
+    return sessionId;
+}
+
+const ids = (claim) => claim.messages.map(message => message.id);
+
+test('claims hide leased messages from other workers', () => {
+    const sessionId = createInbox(3);
+
+    const first = claimMessages(sessionId, { limit: 2, consumer: 'worker-1' });
+    const second = claimMessages(sessionId, { limit: 2, consumer: 'worker-2' });
+    const third = claimMessages(sessionId, { limit: 2 });
+
+    assert.deepEqual(ids(first), ['M1', 'M2']);
+    assert.deepEqual(ids(second), ['M3']);
+    assert.notEqual(first.leaseId, second.leaseId);
+    assert.deepEqual(third, { leaseId: null, leaseExpiresAt: null, messages: [] });
+});
+
+test('an acked message is processed and not claimed again', () => {
+    const sessionId = createInbox(1);
+    const { leaseId } = claimMessages(sessionId, { visibilityTimeoutSeconds: 0 });
+
+    assert.equal(ackMessage(sessionId, 'M1', 'other-lease'), 'lease_mismatch');
+    assert.equal(ackMessage(sessionId, 'M1', leaseId), 'ok');
+    assert.equal(ackMessage(sessionId, 'M1', leaseId), 'already_processed');
+    assert.equal(ackMessage(sessionId, 'M9', leaseId), 'not_found');
+    assert.deepEqual(ids(claimMessages(sessionId)), []);
+});
+
+test('a nacked message returns to the pool, after its delay', () => {
+    const sessionId = createInbox(2);
+    const { leaseId } = claimMessages(sessionId);
+
+    assert.equal(nackMessage(sessionId, 'M1', leaseId), 'ok');
+    assert.equal(nackMessage(sessionId, 'M2', leaseId, { delaySeconds: 60 }), 'ok');
+
+    const again = claimMessages(sessionId);
+    assert.deepEqual(ids(again), ['M1']);
+    assert.equal(again.messages[0].deliveryCount, 2);
+});
+
+test('messages of an expired lease are claimed again; the old lease can no longer ack them', () => {
+    const sessionId = createInbox(1);
+    const expired = claimMessages(sessionId);
+    db.prepare(`UPDATE messages SET leaseExpiresAt = ? WHERE sessionId = ?`).run(Date.now() - 1, sessionId);
+
+    const reclaimed = claimMessages(sessionId);
+
+    assert.deepEqual(ids(reclaimed), ['M1']);
+    assert.equal(ackMessage(sessionId, 'M1', expired.leaseId), 'lease_mismatch');
+    assert.equal(ackMessage(sessionId, 'M1', reclaimed.leaseId), 'ok');
+});
+
+test('an expired lease that nobody re-claimed can still be acked', () => {
+    const sessionId = createInbox(1);
+    const { leaseId } = claimMessages(sessionId);
+    db.prepare(`UPDATE messages SET leaseExpiresAt = ? WHERE sessionId = ?`).run(Date.now() - 1, sessionId);
+
+    assert.equal(ackMessage(sessionId, 'M1', leaseId), 'ok');
+});
+
+test('leases are per session', () => {
+    const [first, second] = [createInbox(1), createInbox(1)];
+
+    assert.deepEqual(ids(claimMessages(first)), ['M1']);
+    assert.deepEqual(ids(claimMessages(second)), ['M1']);
+});
+
+test('markProcessed takes a message out of the inbox regardless of leases', () => {
+    const sessionId = createInbox(1);
+    claimMessages(sessionId);
+
+    assert.equal(markProcessed(sessionId, 'false_972502345678@c.us_M1'), true);
+    db.prepare(`UPDATE messages SET leaseExpiresAt = NULL WHERE sessionId = ?`).run(sessionId);
+    assert.deepEqual(ids(claimMessages(sessionId)), []);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-search-'));
+
+const db = require('../src/db/whatsapp.db');
+const { saveMessage } = require('../src/messageStore');
+const { buildMatchQuery, searchMessages } = require('../src/messageSearch');
+
+const SESSION = 'search';
+const CUSTOMER = '972502345678@c.us';
+const OTHER = '972522345678@c.us';
+
+let messages = 0;
+function store(body, { sessionId = SESSION, from = CUSTOMER, caption, id = `S${++messages}` } = {}) {
+    saveMessage(sessionId, {
+        id: { id, _serialized: `false_${from}_${id}` },
+        from,
+        to: '972532345678@c.us',
+        body,
+        timestamp: 1000 + messages,
+        type: caption ? 'image' : 'chat',
+        hasMedia: !!caption,
+        _data: caption ? { caption } : {},
+        fromMe: false
+    });
+    return id;
+}
+
+const found = (query, options) => searchMessages(SESSION, query, options).results.map(result => result.message.body);
+
+// [query, MATCH expression]
+const QUERIES = [
+    ['order 42', '"order" "42"'],
+    ['"next week" OR tomorrow', '"next week" OR "tomorrow"'],
+    ['deliv*', '"deliv"*'],
+    ['OR order OR', '"order"'],
+    ['NEAR(a b) -x ^y', '"NEAR(a" "b)" "-x" "^y"'],
+    ['say "hi', '"say" "hi"'],
+    ['   ', null],
+    ['בית', `(${['בית', 'הבית', 'ובית', 'בבית', 'כבית', 'לבית', 'מבית', 'שבית', 'והבית', 'ובבית', 'ולבית', 'ומבית', 'ושבית', 'שהבית', 'שבבית', 'שלבית', 'כשבית', 'מהבית', 'לכבית', 'בהבית'].map(form => `"${form}"`).join(' OR ')})`]
+];
+
+for (const [query, expected] of QUERIES) {
+    test(`builds the match query for ${JSON.stringify(query)}`, () => {
+        assert.equal(buildMatchQuery(query), expected);
+    });
+}
+
+test('strips niqqud before expanding a Hebrew word', () => {
+    assert.equal(buildMatchQuery('שָׁלוֹם'), buildMatchQuery('שלום'));
+});
+
+test('finds messages by words, phrases, prefixes and OR', () => {
+    store('Your order 42 ships next week');
+    store('Delivery is tomorrow');
+    store('Order cancelled');
+
+    assert.deepEqual(found('order ships'), ['Your order 42 ships next week']);
+    assert.deepEqual(found('"next week"'), ['Your order 42 ships next week']);
+    assert.deepEqual(found('deliv*'), ['Delivery is tomorrow']);
+    assert.deepEqual(found('cancelled OR tomorrow', { order: 'newest' }), ['Order cancelled', 'Delivery is tomorrow']);
+});
+
+test('a Hebrew word matches its prefixed forms and ignores niqqud in the query', () => {
+    store('ההזמנה שלך מוכנה');
+    store('נתראה ובבית הספר');
+
+    assert.deepEqual(found('הזמנה'), ['ההזמנה שלך מוכנה']);
+    assert.deepEqual(found('בית'), ['נתראה ובבית הספר']);
+    assert.deepEqual(found('הַזְמָנָה'), ['ההזמנה שלך מוכנה']);
+});
+
+test('searches captions and follows edits of the body', () => {
+    store(null, { caption: 'invoice for March' });
+    const id = store('draft text');
+    store('final text', { id });
+
+    assert.equal(searchMessages(SESSION, 'invoice').results[0].message.caption, 'invoice for March');
+    assert.deepEqual(found('draft'), []);
+    assert.deepEqual(found('final'), ['final text']);
+});
+
+test('filters by sender and session and marks matches in the snippet', () => {
+    store('pickup point changed', { from: OTHER });
+    store('pickup point changed', { sessionId: 'other-session' });
+
+    const { total, results } = searchMessages(SESSION, 'pickup', { sender: OTHER, highlightStart: '[', highlightEnd: ']' });
+    assert.equal(total, 1);
+    assert.equal(results[0].snippet, '[pickup] point changed');
+    assert.deepEqual(found('pickup', { sender: CUSTOMER }), []);
+});
+
+test('the index still points at the right messages after VACUUM', () => {
+    store('temporary note');
+    db.prepare(`DELETE FROM messages WHERE body = ?`).run('temporary note');
+    store('kept after vacuum');
+    db.exec('VACUUM');
+
+    assert.deepEqual(found('vacuum'), ['kept after vacuum']);
+    assert.deepEqual(found('temporary'), []);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { loadMigrations, migrate, rollback } = require('../src/db/migrator');
+
+const MIGRATIONS = loadMigrations();
+const logger = { info() {} };
+
+// A fresh database with the migrations up to (and including) `version` applied
+function createDatabase(version) {
+    const db = new Database(':memory:');
+    migrateTo(db, version);
+    return db;
+}
+
+function migrateTo(db, version) {
+    migrate(db, { migrations: MIGRATIONS.filter(migration => migration.version <= version), logger });
+}
+
+function insertMessage(db, sessionId, id, body) {
+    db.prepare(`INSERT INTO messages (id, sessionId, fromNumber, body) VALUES (?, ?, '972502345678', ?)`).run(id, sessionId, body);
+}
+
+const search = (db, text) => db.prepare(`
+    SELECT m.sessionId, m.body FROM messages_fts JOIN messages m ON m.rowid = messages_fts.rowid
+    WHERE messages_fts MATCH ? ORDER BY m.rowid
+`).all(text);
+
+test('023 keys messages by session and id, and rolls back to one row per id', () => {
+    const db = createDatabase(22);
+    insertMessage(db, 'one', 'ABC', 'first copy');
+
+    migrateTo(db, 23);
+    insertMessage(db, 'two', 'ABC', 'second copy');
+    assert.throws(() => insertMessage(db, 'two', 'ABC', 'again'), { code: 'SQLITE_CONSTRAINT_PRIMARYKEY' });
+    assert.deepEqual(search(db, 'copy'), [{ sessionId: 'one', body: 'first copy' }, { sessionId: 'two', body: 'second copy' }]);
+
+    assert.deepEqual(rollback(db, { logger }).map(migration => migration.version), [23]);
+    assert.deepEqual(search(db, 'copy'), [{ sessionId: 'one', body: 'first copy' }]);
+    assert.throws(() => insertMessage(db, 'two', 'ABC', 'again'), { code: 'SQLITE_CONSTRAINT_PRIMARYKEY' });
+
+    migrateTo(db, 23);
+    insertMessage(db, 'two', 'ABC', 'second copy');
+    assert.equal(search(db, 'copy').length, 2);
+});
+
+test('024 keeps the message rowids as seq through VACUUM, and rolls back to rowids', () => {
+    const db = createDatabase(23);
+    for (const id of ['A', 'B', 'C']) {
+        insertMessage(db, 'one', id, `note ${id}`);
+    }
+    db.prepare(`DELETE FROM messages WHERE id = 'B'`).run();
+    const rowids = db.prepare(`SELECT rowid, id FROM messages ORDER BY rowid`).all();
+
+    migrateTo(db, 24);
+    db.exec('VACUUM');
+    assert.deepEqual(db.prepare(`SELECT seq AS rowid, id FROM messages ORDER BY seq`).all(), rowids);
+    assert.deepEqual(search(db, 'note').map(row => row.body), ['note A', 'note C']);
+
+    // AUTOINCREMENT: a deleted seq is never handed out again
+    db.prepare(`DELETE FROM messages WHERE id = 'C'`).run();
+    insertMessage(db, 'one', 'D', 'note D');
+    assert.ok(db.prepare(`SELECT seq FROM messages WHERE id = 'D'`).get().seq > rowids[1].rowid);
+
+    rollback(db, { logger });
+    assert.equal(db.prepare(`SELECT COUNT(*) AS count FROM pragma_table_info('messages') WHERE name = 'seq'`).get().count, 0);
+    assert.deepEqual(search(db, 'note').map(row => row.body), ['note A', 'note D']);
+
+    migrateTo(db, 24);
+    assert.deepEqual(search(db, 'note').map(row => row.body), ['note A', 'note D']);
+});
+
+function startRun(db, chatId, contactId) {
+    db.prepare(`
+        INSERT INTO flow_runs (sessionId, flowId, chatId, contactId, stepId, expiresAt, startedAt, updatedAt)
+        VALUES ('one', 'booking', ?, ?, 'first', 1, '2026-10-19T00:00:00Z', '2026-10-19T00:00:00Z')
+    `).run(chatId, contactId);
+}
+
+test('025 allows one active flow run per group participant, and rolls back to the newest run per chat', () => {
+    const db = createDatabase(24);
+    const group = '120363000000000001@g.us';
+    startRun(db, group, 'dana@c.us');
+    assert.throws(() => startRun(db, group, 'noa@c.us'), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+
+    migrateTo(db, 25);
+    startRun(db, group, 'noa@c.us');
+    assert.throws(() => startRun(db, group, 'noa@c.us'), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+
+    rollback(db, { logger });
+    const runs = db.prepare(`SELECT contactId, status, expiresAt, endedAt IS NOT NULL AS ended FROM flow_runs ORDER BY id`).all();
+    assert.deepEqual(runs, [
+        { contactId: 'dana@c.us', status: 'cancelled', expiresAt: null, ended: 1 },
+        { contactId: 'noa@c.us', status: 'active', expiresAt: 1, ended: 0 }
+    ]);
+    assert.throws(() => startRun(db, group, 'dana@c.us'), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+
+    migrateTo(db, 25);
+    startRun(db, group, 'dana@c.us');
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-outbox-'));
+
+const db = require('../src/db/whatsapp.db');
+const OutboxQueue = require('../src/outboxQueue');
+
+// A queue over one session whose sendToChat answers with the given results in turn
+function createQueue(results, { isReady = true, maxAttempts = 3 } = {}) {
+    const whatsappService = {
+        isReady,
+        calls: 0,
+        sendToChat: async () => results[Math.min(whatsappService.calls++, results.length - 1)]
+    };
+    const sessionManager = { getSession: sessionId => (sessionId === 'default' ? { whatsappService } : null) };
+    return { queue: new OutboxQueue(sessionManager, { maxAttempts, retryBaseMs: 1000, retryMaxMs: 3000 }), whatsappService };
+}
+
+function enqueue(queue) {
+    return queue.enqueue('default', 'chat', { chatId: '972502345678@c.us', message: 'hello' });
+}
+
+// Makes a queued job due now instead of waiting for its backoff
+function makeDue(job) {
+    db.prepare(`UPDATE outbox SET nextAttemptAt = ? WHERE id = ?`).run(Date.now(), job.id);
+}
+
+test('a sent job records its message id', async () => {
+    const { queue } = createQueue([{ success: true, messageId: 'ABC' }]);
+
+    const job = await queue.processJob(enqueue(queue).id);
+
+    assert.equal(job.status, 'sent');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.messageId, 'ABC');
+});
+
+test('a failed attempt is retried with exponential backoff until maxAttempts', async () => {
+    const { queue, whatsappService } = createQueue([{ success: false, error: 'Evaluation failed' }]);
+    const queued = enqueue(queue);
+
+    const before = Date.now();
+    let job = await queue.processJob(queued.id);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'Evaluation failed');
+    assert.ok(Date.parse(job.nextAttemptAt) >= before + 1000);
+
+    makeDue(job);
+    job = await queue.processJob(job.id);
+    assert.ok(Date.parse(job.nextAttemptAt) >= before + 2000);
+
+    makeDue(job);
+    job = await queue.processJob(job.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 3);
+    assert.equal(whatsappService.calls, 3);
+});
+
+test('the retry delay doubles up to retryMaxMs', () => {
+    const { queue } = createQueue([]);
+
+    assert.deepEqual([1, 2, 3, 4].map(attempts => queue.getRetryDelay(attempts)), [1000, 2000, 3000, 3000]);
+});
+
+// [error, permanent]
+const ERRORS = [
+    ['Invalid phone number for IL', true],
+    ['Invalid international phone number', true],
+    ['Unknown country code: XX', true],
+    ['Phone number is required', true],
+    ['Phone number 972502345678 is not registered on WhatsApp', true],
+    ['Message cannot be empty', true],
+    ['Protocol error (Runtime.callFunctionOn): Target closed', false],
+    ['Evaluation failed', false]
+];
+
+for (const [error, permanent] of ERRORS) {
+    test(`"${error}" ${permanent ? 'fails the job at once' : 'is retried'}`, async () => {
+        const { queue } = createQueue([{ success: false, error }]);
+
+        const job = await queue.processJob(enqueue(queue).id);
+
+        assert.equal(job.status, permanent ? 'failed' : 'queued');
+        assert.equal(job.attempts, 1);
+    });
+}
+
+test('a session that is not ready does not use up an attempt', async () => {
+    const { queue, whatsappService } = createQueue([{ success: true }], { isReady: false });
+
+    const job = await queue.processJob(enqueue(queue).id);
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.attempts, 0);
+    assert.equal(whatsappService.calls, 0);
+});
+
+test('a "not ready" send error requeues the job without counting the attempt', async () => {
+    const { queue } = createQueue([{ success: false, error: 'WhatsApp client is not ready' }]);
+
+    const job = await queue.processJob(enqueue(queue).id);
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.attempts, 0);
+});
+
+test('a job that is already being sent is not sent again', async () => {
+    const { queue, whatsappService } = createQueue([{ success: true }]);
+    const queued = enqueue(queue);
+
+    await Promise.all([queue.processJob(queued.id), queue.processJob(queued.id)]);
+
+    assert.equal(whatsappService.calls, 1);
+});
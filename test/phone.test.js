@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhoneNumber, resolveRegion } = require('../src/utils/phone');
+
+// [input, countryCode, e164, region, type]
+const VALID = [
+    ['050-234-5678', 'IL', '+972502345678', 'IL', 'mobile'],
+    ['0502345678', '972', '+972502345678', 'IL', 'mobile'],
+    ['972502345678', 'IL', '+972502345678', 'IL', 'mobile'],
+    ['972502345678@c.us', 'IL', '+972502345678', 'IL', 'mobile'],
+    ['03-123-4567', 'IL', '+97231234567', 'IL', 'landline'],
+    ['1-800-123-456', 'IL', '+9721800123456', 'IL', 'toll_free'],
+    ['0044 7400 123456', 'IL', '+447400123456', 'GB', 'mobile'],
+    ['07400 123456', 'GB', '+447400123456', 'GB', 'mobile'],
+    ['+44 20 7946 0958', undefined, '+442079460958', 'GB', 'landline'],
+    ['+49 151 23456789', undefined, '+4915123456789', 'DE', 'mobile'],
+    ['0401 123 456', 'AU', '+61401123456', 'AU', 'mobile'],
+    ['+372 5123 4567', undefined, '+37251234567', 'EE', 'mobile'],
+    ['(212) 555-0123', 'US', '+12125550123', 'US', 'mobile_or_landline'],
+    ['011 44 7400 123456', 'US', '+447400123456', 'GB', 'mobile'],
+    ['0044 7400 123456', 'US', '+447400123456', 'GB', 'mobile'],
+    ['+33 6 12 34 56 78', 'IL', '+33612345678', 'FR', 'mobile'],
+    ['+1 416 555 0123', undefined, '+14165550123', 'CA', 'mobile_or_landline'],
+    // NANP toll-free numbers belong to no single country and are reported as US
+    ['+1 800 555 0123', undefined, '+18005550123', 'US', 'toll_free'],
+    ['1-800-555-0123', 'CA', '+18005550123', 'US', 'toll_free'],
+    ['+52 55 1234 5678', undefined, '+525512345678', 'MX', 'mobile_or_landline'],
+    ['+52 1 55 1234 5678', undefined, '+525512345678', 'MX', 'mobile_or_landline'],
+    ['55 1234 5678', 'MX', '+525512345678', 'MX', 'mobile_or_landline'],
+    ['+800 1234 5678', undefined, '+80012345678', null, 'toll_free']
+];
+
+// [input, countryCode, error]
+const INVALID = [
+    ['', 'IL', 'Phone number is required'],
+    ['abc', 'IL', 'Invalid phone number format'],
+    ['050-123-4567', 'IL', 'Invalid phone number for IL'],
+    ['12345', 'IL', 'Invalid phone number for IL'],
+    ['+44 7400 12', undefined, 'Invalid phone number for GB (+44)'],
+    ['+372 123', undefined, 'Invalid phone number for EE (+372)'],
+    ['+800 123', undefined, 'Invalid phone number for +800'],
+    ['+999 1234567', undefined, 'Invalid international phone number'],
+    // Digits without "+" or "00" are only read as international with the region's own calling code
+    ['33612345678', 'IL', 'Invalid phone number for IL'],
+    ['447400123456', 'US', 'Invalid phone number for US'],
+    ['0502345678', 'XX', 'Unknown country code: XX']
+];
+
+for (const [input, countryCode, e164, region, type] of VALID) {
+    test(`parses ${input} (${countryCode || 'international'})`, () => {
+        const result = parsePhoneNumber(input, countryCode);
+
+        assert.equal(result.isValid, true, result.error);
+        assert.equal(result.e164, e164);
+        assert.equal(result.region, region);
+        assert.equal(result.type, type);
+        assert.equal(result.chatId, `${e164.slice(1)}@c.us`);
+    });
+}
+
+for (const [input, countryCode, error] of INVALID) {
+    test(`rejects ${JSON.stringify(input)} (${countryCode || 'international'})`, () => {
+        assert.deepEqual(parsePhoneNumber(input, countryCode), { isValid: false, error });
+    });
+}
+
+test('rejects phone numbers that are not strings or numbers', () => {
+    assert.deepEqual(parsePhoneNumber({ number: 1 }, 'IL'), { isValid: false, error: 'Phone number must be a string' });
+});
+
+test('resolves region and calling codes, the main region for shared calling codes', () => {
+    assert.equal(resolveRegion('gb'), 'GB');
+    assert.equal(resolveRegion('+44'), 'GB');
+    assert.equal(resolveRegion('1'), 'US');
+    assert.equal(resolveRegion('7'), 'RU');
+    assert.equal(resolveRegion('800'), null);
+    assert.equal(resolveRegion('ZZ'), null);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-recurring-'));
+
+const db = require('../src/db/whatsapp.db');
+const RecurringScheduler = require('../src/recurringScheduler');
+
+// A WhatsApp service whose sends stay in flight until release() is called
+function createService() {
+    const sent = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    return {
+        sent,
+        release: () => release(),
+        isReady: true,
+        sendToChat: async (chatId, message) => {
+            sent.push({ chatId, message });
+            await gate;
+            return { success: true, messageId: `msg-${sent.length}` };
+        }
+    };
+}
+
+function createDueJob(scheduler, params = {}) {
+    const job = scheduler.create('default', { chatId: '972502345678@c.us', message: 'Good morning', cron: '0 9 * * *', timezone: 'UTC', ...params });
+    db.prepare(`UPDATE recurring_messages SET nextRunAt = ? WHERE id = ?`).run(Date.now() - 1000, job.id);
+    return scheduler.getRow(job.id);
+}
+
+test('an occurrence fired by two schedulers at once is sent once', async () => {
+    const [first, second] = [new RecurringScheduler({}), new RecurringScheduler({})];
+    const due = createDueJob(first);
+    const service = createService();
+
+    const fires = [first.fire(due, service), second.fire(due, service)];
+    service.release();
+    await Promise.all(fires);
+
+    assert.equal(service.sent.length, 1);
+    const row = first.getRow(due.id);
+    assert.equal(row.occurrences, 1);
+    assert.ok(row.nextRunAt > Date.now());
+    assert.equal(first.getRuns(due.id).length, 1);
+});
+
+test('the last occurrence completes the job', async () => {
+    const scheduler = new RecurringScheduler({});
+    const due = createDueJob(scheduler, { maxOccurrences: 1 });
+    const service = createService();
+    service.release();
+
+    await scheduler.fire(due, service);
+
+    const row = scheduler.getRow(due.id);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.nextRunAt, null);
+    assert.equal(scheduler.getRuns(due.id)[0].status, 'sent');
+});
+
+test('a job cancelled while its run is in flight stays cancelled', async () => {
+    const scheduler = new RecurringScheduler({});
+    const due = createDueJob(scheduler);
+    const service = createService();
+
+    const fire = scheduler.fire(due, service);
+    scheduler.cancel(due.id, 'default');
+    service.release();
+    await fire;
+
+    const row = scheduler.getRow(due.id);
+    assert.equal(row.status, 'cancelled');
+    assert.equal(row.nextRunAt, null);
+});
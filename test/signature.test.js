@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, buildSignatureHeader, verifySignature } = require('../src/utils/signature');
+
+const body = JSON.stringify({ event: 'message', data: { body: 'שלום' } });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('verifies a signature made with the same secret', () => {
+    const secret = generateSecret();
+    const timestamp = now();
+
+    assert.equal(verifySignature(secret, String(timestamp), body, buildSignatureHeader([secret], timestamp, body)), true);
+});
+
+test('verifies both the new and the previous secret during a rotation', () => {
+    const [secret, previousSecret] = [generateSecret(), generateSecret()];
+    const timestamp = now();
+    const header = buildSignatureHeader([secret, previousSecret], timestamp, body);
+
+    assert.equal(verifySignature(secret, timestamp, body, header), true);
+    assert.equal(verifySignature(previousSecret, timestamp, body, header), true);
+    assert.equal(verifySignature(generateSecret(), timestamp, body, header), false);
+});
+
+test('rejects a changed body, another timestamp and an old timestamp', () => {
+    const secret = generateSecret();
+    const timestamp = now();
+    const header = buildSignatureHeader([secret], timestamp, body);
+
+    assert.equal(verifySignature(secret, timestamp, `${body} `, header), false);
+    assert.equal(verifySignature(secret, timestamp + 1, body, header), false);
+
+    const old = timestamp - 301;
+    assert.equal(verifySignature(secret, old, body, buildSignatureHeader([secret], old, body)), false);
+    assert.equal(verifySignature(secret, old, body, buildSignatureHeader([secret], old, body), 600), true);
+});
+
+test('rejects missing and malformed headers', () => {
+    const secret = generateSecret();
+    const timestamp = now();
+
+    for (const header of [undefined, '', 'sha256=', 'sha256=zz', 'md5=abc', buildSignatureHeader([secret], timestamp, body).slice(0, -2)]) {
+        assert.equal(verifySignature(secret, timestamp, body, header), false, String(header));
+    }
+    assert.equal(verifySignature(secret, 'abc', body, buildSignatureHeader([secret], timestamp, body)), false);
+});
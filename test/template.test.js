@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-templates-'));
+
+const { parseTemplate, renderTemplate } = require('../src/utils/template');
+const { validateAutoResponderParams } = require('../src/utils/validator');
+const MessageHandler = require('../src/messageHandler');
+
+const CONTEXT = {
+    name: 'Dana Levi',
+    firstName: 'Dana',
+    empty: '',
+    count: 0,
+    match: { 0: 'order 42', 1: '42' },
+    contact: { vip: 'true', company: 'Acme' }
+};
+
+// [template, output]
+const RENDERS = [
+    ['Hi {{firstName}}!', 'Hi Dana!'],
+    ['{{ name }}', 'Dana Levi'],
+    ['Order {{match.1}}', 'Order 42'],
+    ['Hi {{missing | friend}}', 'Hi friend'],
+    ['Hi {{empty|there | you}}', 'Hi there | you'],
+    ['{{contact.company | -}}', 'Acme'],
+    ['{{#if contact.vip}}VIP{{else}}regular{{/if}}', 'VIP'],
+    ['{{#if count}}some{{else}}none{{/if}}', 'none'],
+    ['{{#unless contact.vip}}regular{{/unless}}', ''],
+    ['{{#if contact.vip}}{{#unless empty}}nested {{firstName}}{{/unless}}{{/if}}', 'nested Dana'],
+    ['{{#random}}A{{or}}B{{or}}C{{/random}}', 'B'],
+    ['no tags at all', 'no tags at all']
+];
+
+for (const [template, output] of RENDERS) {
+    test(`renders ${JSON.stringify(template)}`, () => {
+        assert.equal(renderTemplate(template, CONTEXT, { random: () => 0.5 }), output);
+    });
+}
+
+// [template, error]
+const INVALID = [
+    ['{{#if vip}}yes', 'Unclosed {{#if}}'],
+    ['{{#random}}a{{or}}b', 'Unclosed {{#random}}'],
+    ['{{#if vip}}yes{{/unless}}', 'Unexpected {{/unless}}'],
+    ['{{/if}}', 'Unexpected {{/if}}'],
+    ['{{else}}', '{{else}} outside of {{#if}}/{{#unless}}'],
+    ['{{#if a}}x{{else}}y{{else}}z{{/if}}', '{{else}} outside of {{#if}}/{{#unless}}'],
+    ['{{or}}', '{{or}} outside of {{#random}}'],
+    ['{{name.}}', 'Invalid variable "name." in {{name.}}'],
+    ['{{process.exit()}}', 'Invalid variable "process.exit()" in {{process.exit()}}'],
+    ['{{#if a}}'.repeat(11) + '{{/if}}'.repeat(11), 'Blocks can be nested at most 10 levels deep']
+];
+
+for (const [template, error] of INVALID) {
+    test(`rejects ${JSON.stringify(template.slice(0, 40))}`, () => {
+        assert.throws(() => parseTemplate(template), { message: error });
+    });
+}
+
+test('never reaches inherited properties or non-scalar values', () => {
+    const template = '[{{constructor}}][{{toString}}][{{match.__proto__}}][{{contact}}][{{name.length}}]';
+    assert.equal(renderTemplate(template, CONTEXT), '[][][][][]');
+});
+
+test('a parsed template renders the same as its source', () => {
+    const tree = parseTemplate('{{#if firstName}}Hi {{firstName}}{{/if}}');
+    assert.equal(renderTemplate(tree, CONTEXT), renderTemplate('{{#if firstName}}Hi {{firstName}}{{/if}}', CONTEXT));
+});
+
+test('responders with an invalid template are rejected on save', () => {
+    const result = validateAutoResponderParams({ trigger: 'hi', response: 'Hi {{#if vip}}friend' });
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ['response template: Unclosed {{#if}}']);
+});
+
+test('a responder reply is rendered with the sender and the trigger groups', async () => {
+    const sent = [];
+    const handler = new MessageHandler({
+        sessionId: 'templates',
+        addMessageHandler() {},
+        isAddressedToMe: async () => false,
+        sendToChat: async (chatId, text) => {
+            sent.push(text);
+            return { success: true };
+        }
+    });
+    handler.addAutoResponder(/order (\d+)/i, 'Hi {{firstName | there}}, order {{match.1}} {{#if contact.vip}}is a priority{{else}}is on its way{{/if}}');
+
+    await handler.processMessage({
+        id: 'm-1',
+        from: '972502345678@c.us',
+        body: 'Where is Order 42?',
+        notifyName: 'Dana Levi',
+        type: 'chat',
+        isGroupMsg: false,
+        fromMe: false,
+        timestamp: 1
+    });
+
+    assert.deepEqual(sent, ['Hi Dana, order 42 is on its way']);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAutoResponderParams } = require('../src/utils/validator');
+
+const triggerErrors = (trigger) => validateAutoResponderParams({ trigger, response: 'hi' }).errors;
+
+// [trigger, error]
+const REGEX_TRIGGERS = [
+    ['/^(hi|hello)\\b/i', null],
+    ['/order #(\\d+)/', null],
+    ['/(ab)+c/', null],
+    ['/[(+*)]+/', null],
+    ['/\\(a+\\)+/', null],
+    ['/(a+)+$/', 'trigger must not nest quantifiers, such as (a+)+'],
+    ['/^(\\w+\\s?)*$/', 'trigger must not nest quantifiers, such as (a+)+'],
+    ['/((ab)*)+/', 'trigger must not nest quantifiers, such as (a+)+'],
+    ['/(?:x[a-z]{2,})+/', 'trigger must not nest quantifiers, such as (a+)+'],
+    ['/(a{1,3}){2,}/', 'trigger must not nest quantifiers, such as (a+)+'],
+    ['/([/', 'trigger is not a valid regular expression'],
+    [`/${'a'.repeat(501)}/`, 'trigger must be at most 500 characters']
+];
+
+for (const [trigger, error] of REGEX_TRIGGERS) {
+    test(`${error ? 'rejects' : 'accepts'} the regex trigger ${trigger.slice(0, 40)}`, () => {
+        assert.deepEqual(triggerErrors(trigger), error ? [error] : []);
+    });
+}
+
+test('text triggers are not checked as regexes', () => {
+    assert.deepEqual(triggerErrors('(a+)+'), []);
+});
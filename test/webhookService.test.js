@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-webhooks-'));
+
+const db = require('../src/db/whatsapp.db');
+const WebhookService = require('../src/webhookService');
+
+const service = new WebhookService({ on() {} });
+service.processDue = () => {};
+
+function createDeliveries(count) {
+    const webhook = service.create({ url: 'http://127.0.0.1:9/hook', events: ['message'] });
+    for (let i = 0; i < count; i++) {
+        service.dispatch('message', { sessionId: 'default', chatId: `97250234567${i}@c.us` });
+    }
+    db.prepare(`UPDATE webhook_deliveries SET status = 'delivered' WHERE webhookId = ?`).run(webhook.id);
+    return {
+        webhook,
+        deliveries: db.prepare(`SELECT id, deliveryId FROM webhook_deliveries WHERE webhookId = ? ORDER BY id`).all(webhook.id)
+    };
+}
+
+test('a replayed delivery is sent with a new delivery id', () => {
+    const { deliveries: [delivery] } = createDeliveries(1);
+
+    const replayed = service.replay(delivery.id);
+
+    assert.equal(replayed.status, 'pending');
+    assert.notEqual(replayed.deliveryId, delivery.deliveryId);
+});
+
+test('a pending delivery is not replayed', () => {
+    const { deliveries: [delivery] } = createDeliveries(1);
+    service.replay(delivery.id);
+
+    assert.equal(service.replay(delivery.id), null);
+});
+
+test('bulk replays give every delivery its own new delivery id', () => {
+    const { webhook, deliveries } = createDeliveries(3);
+
+    assert.equal(service.replaySince({ since: '2000-01-01T00:00:00Z', webhookId: webhook.id }), 0);
+    assert.equal(service.replaySince({ since: '2000-01-01T00:00:00Z', webhookId: webhook.id, includeDelivered: true }), 3);
+
+    const replayed = db.prepare(`SELECT deliveryId, status FROM webhook_deliveries WHERE webhookId = ? ORDER BY id`).all(webhook.id);
+    const ids = new Set(replayed.map(row => row.deliveryId));
+    assert.equal(ids.size, 3);
+    for (const [i, row] of replayed.entries()) {
+        assert.equal(row.status, 'pending');
+        assert.notEqual(row.deliveryId, deliveries[i].deliveryId);
+    }
+});